@@ -14,6 +14,13 @@ import morgan from "morgan"; // HTTP request logger middleware
 import userRoutes from "./routes/userRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import followRoutes from "./routes/followRoutes.js";
+import postRoutes from "./routes/postRoutes.js";
+import feedRoutes from "./routes/feedRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import streamRoutes from "./routes/streamRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import { redactUrl } from "./utils/redactUrl.js";
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +28,9 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Keep stream tokens passed as `?access_token=` out of the request logs
+morgan.token("url", (req) => redactUrl(req.originalUrl || req.url));
+
 // Middleware configuration
 app.use(morgan("dev")); // Log HTTP requests and responses in the terminal
 app.use(bodyParser.json()); // Parse JSON request bodies
@@ -30,7 +40,7 @@ app.use(compression()); // Compress response bodies
 app.use(helmet()); // Secure app with HTTP headers
 app.use(cors({ origin: process.env.FRONTEND_URL, credentials: true })); // Allow frontend requests
 app.use((req, res, next) => {
-    console.log("👉 Incoming Request:", req.method, req.url);
+    console.log("👉 Incoming Request:", req.method, redactUrl(req.url));
     console.log("📥 Request Body:", req.body);
     console.log("📥 Request Headers:", req.headers);
   
@@ -49,6 +59,12 @@ app.use((req, res, next) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/follow", followRoutes);
+app.use("/api/posts", postRoutes);
+app.use("/api/feed", feedRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Default route
 app.get("/", (req, res) => res.send("MERN Skeleton API Running"));
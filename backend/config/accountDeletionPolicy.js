@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Account Deletion Policy
+ * @module config/accountDeletionPolicy
+ * @description How long deleted accounts can be restored, and how often they are purged.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How often the purge job looks for accounts whose grace period has ended.
+ */
+export const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @function getDeletionGracePeriodMs
+ * @description Reads the grace period from `ACCOUNT_DELETION_GRACE_DAYS` (default 30 days).
+ * During the grace period the account is hidden, and signing in restores it.
+ * @returns {number} Grace period in milliseconds
+ */
+export const getDeletionGracePeriodMs = () => {
+  const days = process.env.ACCOUNT_DELETION_GRACE_DAYS ? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) : NaN;
+
+  return (Number.isFinite(days) && days >= 0 ? days : 30) * DAY_MS;
+};
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Personal Data Export Policy
+ * @module config/dataExportPolicy
+ * @description Where data export archives are stored and how long they can be downloaded.
+ */
+
+/**
+ * Directory generated archives are written to, relative to the working directory.
+ */
+export const DATA_EXPORT_DIR = "exports";
+
+/**
+ * How long a finished export can be downloaded before it is removed.
+ */
+export const DATA_EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * An export still generating after this long is assumed to have been interrupted (e.g. by a restart),
+ * and the user may request a new one.
+ */
+export const DATA_EXPORT_TIMEOUT_MS = 60 * 60 * 1000;
+
+/**
+ * How often expired archives are cleaned up.
+ */
+export const DATA_EXPORT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
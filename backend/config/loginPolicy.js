@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Sign-in Brute-Force Policy
+ * @module config/loginPolicy
+ * @description Thresholds for failed sign-in tracking per account and per IP address.
+ */
+
+/**
+ * @function getLoginPolicy
+ * @description Reads the policy, with `LOGIN_DELAY_BASE_MS` overriding the base delay.
+ * @returns {Object} Policy values (durations in milliseconds)
+ */
+export const getLoginPolicy = () => ({
+  // Per account: a few free attempts, then exponentially growing delays, then a temporary lock
+  accountFreeAttempts: 3,
+  accountLockThreshold: 5,
+  lockDurationMs: 15 * 60 * 1000,
+  unlockTokenTtlMs: 60 * 60 * 1000,
+  // Failures older than this are forgotten, for registered and unknown emails alike
+  accountWindowMs: 24 * 60 * 60 * 1000,
+
+  // Per IP address: more headroom (shared networks), then blocked until the window expires
+  ipFreeAttempts: 10,
+  ipBlockThreshold: 30,
+  ipWindowMs: 15 * 60 * 1000,
+
+  baseDelayMs: process.env.LOGIN_DELAY_BASE_MS !== undefined ? Number(process.env.LOGIN_DELAY_BASE_MS) : 1000,
+  maxDelayMs: 30 * 1000,
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview OAuth / OpenID Connect Providers
+ * @module config/oauthProviders
+ * @description Reads the external identity providers users can sign in with.
+ */
+
+/**
+ * How long a user has to complete an authorization request at the provider.
+ */
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * @function getProviderNames
+ * @description Reads the enabled providers from `OAUTH_PROVIDERS`, a comma-separated list of names.
+ * @returns {string[]} Lowercase provider names
+ */
+export const getProviderNames = () => {
+  return (process.env.OAUTH_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * @function getProviderConfig
+ * @description Reads one provider's settings from `OAUTH_<NAME>_*` variables. Endpoints are either
+ * discovered from `OAUTH_<NAME>_ISSUER` or given explicitly (explicit values win).
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider settings, or null if the provider is not enabled and fully configured
+ */
+export const getProviderConfig = (name) => {
+  if (typeof name !== "string" || !getProviderNames().includes(name.toLowerCase())) return null;
+
+  const key = name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const env = (setting) => process.env[`OAUTH_${key}_${setting}`] || undefined;
+
+  const config = {
+    name: name.toLowerCase(),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    issuer: env("ISSUER"),
+    authorizationUrl: env("AUTHORIZATION_URL"),
+    tokenUrl: env("TOKEN_URL"),
+    userinfoUrl: env("USERINFO_URL"),
+    jwksUrl: env("JWKS_URL"),
+    scopes: env("SCOPES") || "openid email profile",
+    redirectUri: env("REDIRECT_URI") || `${process.env.FRONTEND_URL}/oauth/callback/${name.toLowerCase()}`,
+  };
+
+  if (!config.clientId || (!config.issuer && !(config.authorizationUrl && config.tokenUrl))) return null;
+
+  return config;
+};
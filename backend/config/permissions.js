@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Roles and Permissions
+ * @module config/permissions
+ * @description Maps each role to the permissions it grants. Permissions are named `resource:action`,
+ * with an `:own` or `:any` scope for actions on content that belongs to a user.
+ */
+
+/**
+ * Roles a user can hold, from least to most privileged.
+ */
+export const ROLES = ["user", "moderator", "admin"];
+
+const USER_PERMISSIONS = [
+  "users:update:own",
+  "users:delete:own",
+  "posts:update:own",
+  "posts:delete:own",
+  "comments:update:own",
+  "comments:delete:own",
+];
+
+const MODERATOR_PERMISSIONS = [...USER_PERMISSIONS, "posts:delete:any", "comments:delete:any"];
+
+const ADMIN_PERMISSIONS = [...MODERATOR_PERMISSIONS, "users:delete:any", "users:manage", "roles:assign", "audit:read"];
+
+/**
+ * Permissions granted by each role.
+ */
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+/**
+ * @function hasPermission
+ * @description Check whether a user's role grants a permission.
+ * @param {Object} user - User document (needs `role`)
+ * @param {string} permission - Permission name, e.g. "roles:assign" or "posts:delete:any"
+ * @returns {boolean} True if the permission is granted
+ */
+export const hasPermission = (user, permission) => {
+  return Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+};
+
+/**
+ * @function can
+ * @description Check whether a user may perform an action on something owned by `ownerId`:
+ * the `:any` scope always suffices, the `:own` scope only for the owner.
+ * @param {Object} user - User document (needs `_id` and `role`)
+ * @param {string} action - Unscoped permission, e.g. "posts:delete"
+ * @param {string|Object} ownerId - ID of the user who owns the target
+ * @returns {boolean} True if the action is allowed
+ */
+export const can = (user, action, ownerId) => {
+  if (hasPermission(user, `${action}:any`)) return true;
+  return Boolean(user && ownerId) && ownerId.toString() === user._id.toString() && hasPermission(user, `${action}:own`);
+};
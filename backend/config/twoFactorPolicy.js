@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Two-Factor Authentication Policy
+ * @module config/twoFactorPolicy
+ * @description Decides which accounts must use two-factor authentication.
+ */
+
+/**
+ * Issuer name shown in authenticator apps.
+ */
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Social Media";
+
+/**
+ * Number of single-use backup codes issued on enrolment.
+ */
+export const BACKUP_CODE_COUNT = 10;
+
+/**
+ * How long a sign-in challenge waits for the second factor.
+ */
+export const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Codes that may be tried against one sign-in challenge before it is invalidated.
+ */
+export const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Wrong codes an account may enter across all of its challenges before second-factor sign-in is
+ * locked. Only a correct code or the failures ageing out clears the count, never a correct password.
+ */
+export const SECOND_FACTOR_LOCK_THRESHOLD = 10;
+export const SECOND_FACTOR_LOCK_MS = 15 * 60 * 1000;
+export const SECOND_FACTOR_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function isTwoFactorRequired
+ * @description Admin accounts must enrol in 2FA when `REQUIRE_ADMIN_2FA` is "true".
+ * @param {Object} user - User document (needs `role`)
+ * @returns {boolean} True if the account may not opt out of 2FA
+ */
+export const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === "true" && user.role === "admin";
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Unverified Account Policy
+ * @module config/verificationPolicy
+ * @description Decides which actions require a verified email address.
+ */
+
+/**
+ * Actions that can be restricted for unverified accounts, with the wording used in error messages.
+ */
+export const RESTRICTABLE_ACTIONS = {
+  follow: "follow users",
+  post: "create posts",
+  comment: "comment on posts",
+  react: "react to posts",
+  message: "send messages",
+};
+
+/**
+ * How long an email verification link stays valid.
+ */
+export const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function getRestrictedActions
+ * @description Reads the restricted actions from `UNVERIFIED_USER_RESTRICTIONS`, a comma-separated
+ * list of action names (or `all`). Unset means unverified accounts are not restricted.
+ * @returns {string[]} Restricted action names
+ */
+export const getRestrictedActions = () => {
+  const setting = (process.env.UNVERIFIED_USER_RESTRICTIONS || "").trim();
+
+  if (setting === "all") {
+    return Object.keys(RESTRICTABLE_ACTIONS);
+  }
+
+  return setting
+    .split(",")
+    .map((action) => action.trim())
+    .filter((action) => action in RESTRICTABLE_ACTIONS);
+};
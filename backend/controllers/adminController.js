@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Admin Controller
+ * @module controllers/adminController
+ * @description Implements administrative user management: roles, suspensions, forced password resets and sessions.
+ */
+
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import UserIdentity from "../models/UserIdentity.js";
+import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+import { suspendUser as applySuspension, reactivateUser as liftSuspension } from "../services/suspensionService.js";
+import { listUserSessions, revokeUserSessions } from "../services/sessionService.js";
+import { sendMail, frontendLink, requestLocale } from "../services/mailer/index.js";
+import { createSecureToken } from "../utils/secureToken.js";
+import { recordAudit } from "../services/auditService.js";
+
+// Forced resets may reach users who are not online, so the link lasts longer than a self-service one
+const FORCED_RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Account state admins can see in addition to the public profile; secrets stay hidden
+const FULL_RECORD_FIELDS = "-password +passwordChangedAt +failedLoginAttempts +lastFailedLoginAt +lockUntil +pendingEmail";
+
+/**
+ * @description Validate the target of an admin action and load it.
+ * @param {string} userId - ID of the target user from the request params
+ * @returns {Promise<Object>} `{ target }` on success, otherwise `{ status, message }` describing the error response
+ */
+const findTargetUser = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { status: 400, message: "Invalid user ID." };
+  }
+
+  const target = await User.findById(userId);
+
+  if (!target) {
+    return { status: 404, message: "User not found." };
+  }
+
+  return { target };
+};
+
+/**
+ * @desc Change a user's role
+ * @route PATCH /api/admin/users/:userId/role
+ * @access Private (requires `roles:assign`)
+ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(", ")}.` });
+    }
+
+    // Stops admins from demoting themselves and leaving nobody able to assign roles
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: "You cannot change your own role." });
+    }
+
+    const { target, status, message } = await findTargetUser(userId);
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    // Roles are read from the database on every request, so the change applies immediately
+    const previousRole = target.role;
+    target.role = role;
+    await target.save();
+
+    await recordAudit(req, {
+      action: "user.role.change",
+      target: { type: "User", id: target._id },
+      before: { role: previousRole },
+      after: { role },
+    });
+
+    res.status(200).json({
+      message: "Role updated successfully.",
+      user: { id: target._id, name: target.name, email: target.email, role: target.role },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc View a user's full record: account state, sessions and linked identities
+ * @route GET /api/admin/users/:userId
+ * @access Private (requires `users:manage`)
+ */
+export const getUserRecord = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+
+    const user = await User.findById(userId).select(FULL_RECORD_FIELDS).populate("suspension.suspendedBy", "name email");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const [sessions, identities, postCount] = await Promise.all([
+      listUserSessions(user._id),
+      UserIdentity.find({ user: user._id }).select("provider email createdAt"),
+      Post.countDocuments({ author: user._id }),
+    ]);
+
+    res.status(200).json({
+      user,
+      sessions,
+      identities,
+      stats: { posts: postCount, followers: user.followersCount, following: user.followingCount },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Suspend a user with a reason and an optional expiry; the user is signed out everywhere
+ * @route POST /api/admin/users/:userId/suspend
+ * @access Private (requires `users:manage`)
+ */
+export const suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, expiresAt } = req.body;
+
+    if (typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ message: "A suspension reason is required." });
+    }
+
+    if (reason.trim().length > 500) {
+      return res.status(400).json({ message: "Suspension reason must be at most 500 characters." });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : undefined;
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= Date.now())) {
+      return res.status(400).json({ message: "Suspension expiry must be a future date." });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: "You cannot suspend your own account." });
+    }
+
+    const { target, status, message } = await findTargetUser(userId);
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const user = await applySuspension(target._id, {
+      reason: reason.trim(),
+      expiresAt: expiry,
+      suspendedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "user.suspend",
+      target: { type: "User", id: target._id },
+      before: { active: target.active },
+      after: { active: false },
+      metadata: { reason: user.suspension.reason, expiresAt: user.suspension.expiresAt },
+    });
+
+    res.status(200).json({ message: "User suspended successfully.", suspension: user.suspension });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Lift a user's suspension
+ * @route POST /api/admin/users/:userId/reactivate
+ * @access Private (requires `users:manage`)
+ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId);
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    if (!(await liftSuspension(target._id))) {
+      return res.status(400).json({ message: "This account is not suspended." });
+    }
+
+    await recordAudit(req, {
+      action: "user.reactivate",
+      target: { type: "User", id: target._id },
+      before: { active: false },
+      after: { active: true },
+      metadata: { reason: target.suspension?.reason },
+    });
+
+    res.status(200).json({ message: "User reactivated successfully." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Require a user to choose a new password: sign them out and email a reset link
+ * @route POST /api/admin/users/:userId/password-reset
+ * @access Private (requires `users:manage`)
+ */
+export const forcePasswordReset = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId);
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const { token: resetToken, tokenHash } = createSecureToken();
+    target.resetPasswordToken = tokenHash;
+    target.resetPasswordExpires = Date.now() + FORCED_RESET_TTL_MS;
+    target.passwordResetRequired = true;
+    await target.save();
+
+    await revokeUserSessions(target._id);
+    await recordAudit(req, { action: "user.password_reset.force", target: { type: "User", id: target._id } });
+
+    await sendMail({
+      to: target.email,
+      template: "passwordResetRequired",
+      locale: requestLocale(req),
+      data: { name: target.name, link: frontendLink(`/reset-password/${resetToken}`) },
+    }).catch(() => {});
+
+    res.status(200).json({ message: "Password reset required. The user has been signed out and emailed a reset link." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Sign a user out of every session
+ * @route DELETE /api/admin/users/:userId/sessions
+ * @access Private (requires `users:manage`)
+ */
+export const revokeSessions = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId);
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    await revokeUserSessions(target._id);
+    await recordAudit(req, { action: "user.sessions.revoke", target: { type: "User", id: target._id } });
+
+    res.status(200).json({ message: "All sessions revoked." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Audit Log Controller
+ * @module controllers/auditController
+ * @description Implements querying and exporting the audit log.
+ */
+
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import mongoose from "mongoose";
+import { toCsv } from "../utils/csv.js";
+
+// Upper bound on a single export, so one request cannot stream the whole collection
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actor",
+  "actorEmail",
+  "targetType",
+  "targetId",
+  "ip",
+  "userAgent",
+  "before",
+  "after",
+  "metadata",
+];
+
+/**
+ * @description Build the audit log filter from the query string
+ * @param {Object} query - `{ actor, action, target, from, to }`; `actor` is a user ID or email,
+ * `action` a comma-separated list and `from`/`to` ISO dates (inclusive)
+ * @returns {Object} `{ filter }` on success, otherwise `{ status, message }` describing the error response
+ */
+const buildAuditFilter = ({ actor, action, target, from, to }) => {
+  const filter = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter.actor = actor;
+    } else if (String(actor).includes("@")) {
+      filter.actorEmail = String(actor).toLowerCase().trim();
+    } else {
+      return { status: 400, message: "Actor must be a user ID or email address." };
+    }
+  }
+
+  if (action) {
+    const actions = String(action).split(",").map((name) => name.trim());
+    const unknown = actions.find((name) => !AUDIT_ACTIONS.includes(name));
+
+    if (unknown) {
+      return { status: 400, message: `Unknown audit action: ${unknown}.` };
+    }
+    filter.action = { $in: actions };
+  }
+
+  if (target) {
+    if (!mongoose.Types.ObjectId.isValid(target)) {
+      return { status: 400, message: "Invalid target ID." };
+    }
+    filter["target.id"] = target;
+  }
+
+  if (from || to) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime())) || (start && end && start > end)) {
+      return { status: 400, message: "Invalid date range." };
+    }
+
+    filter.createdAt = { ...(start && { $gte: start }), ...(end && { $lte: end }) };
+  }
+
+  return { filter };
+};
+
+/**
+ * @desc Query the audit log, newest first
+ * @route GET /api/admin/audit-logs?actor=&action=&target=&from=&to=&page=&limit=
+ * @access Private (requires `audit:read`)
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { filter, status, message } = buildAuditFilter(req.query);
+
+    if (!filter) {
+      return res.status(status).json({ message });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      totalEntries,
+      currentPage: page,
+      totalPages: Math.ceil(totalEntries / limit),
+      entries,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Download the audit log entries matching the same filters as `getAuditLogs`
+ * @route GET /api/admin/audit-logs/export?format=csv|json
+ * @access Private (requires `audit:read`)
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ message: "Export format must be csv or json." });
+    }
+
+    const { filter, status, message } = buildAuditFilter(req.query);
+
+    if (!filter) {
+      return res.status(status).json({ message });
+    }
+
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).limit(EXPORT_LIMIT).lean();
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "json") {
+      return res.status(200).json(entries);
+    }
+
+    const rows = entries.map((entry) => ({
+      ...entry,
+      targetType: entry.target?.type,
+      targetId: entry.target?.id,
+      before: entry.changes?.before,
+      after: entry.changes?.after,
+    }));
+
+    res.status(200).type("text/csv").send(toCsv(rows, CSV_COLUMNS));
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
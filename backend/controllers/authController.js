@@ -1,8 +1,87 @@
 import User from "../models/User.js";
-import jwt from "jsonwebtoken";
-import crypto from "crypto";
-import { generateToken } from "../utils/generateToken.js";
-import { sendEmail } from "../config/emailService.js";
+import bcrypt from "bcryptjs";
+import { issueAccessToken, verifyAccessToken, verifyChallengeToken } from "../services/tokenService.js";
+import {
+  verifySecondFactor,
+  consumeChallengeAttempt,
+  endChallenge,
+  getSecondFactorLock,
+  recordSecondFactorFailure,
+  resetSecondFactorFailures,
+} from "../services/twoFactorService.js";
+import {
+  setRefreshTokenCookie,
+  sendSignInResponse,
+  completeSignIn,
+  PASSWORD_RESET_REQUIRED_RESPONSE,
+} from "../services/signInService.js";
+import { getActiveSuspension, suspendedResponse } from "../services/suspensionService.js";
+import { isPendingDeletion, canRestoreAccount } from "../services/accountDeletionService.js";
+import { recordAudit } from "../services/auditService.js";
+import {
+  LOGIN_TRACKING_FIELDS,
+  getIpThrottle,
+  getAccountThrottle,
+  recordFailedLogin,
+  resetFailedLogins,
+  unlockAccount,
+} from "../services/loginProtectionService.js";
+import { sendMail, frontendLink, requestLocale } from "../services/mailer/index.js";
+import { VERIFICATION_TOKEN_TTL_MS } from "../config/verificationPolicy.js";
+import { createSecureToken, hashToken } from "../utils/secureToken.js";
+import { validateNewPassword } from "../utils/passwordPolicy.js";
+import { createNotification } from "../services/notificationService.js";
+import {
+  ACCESS_TOKEN_EXPIRATION,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+} from "../services/sessionService.js";
+
+// Compared against when the email is unknown, so both failure paths take as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+/**
+ * @description Reply that the client must wait before signing in again
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterMs - Milliseconds to wait
+ */
+const sendTooManyAttempts = (res, retryAfterMs) => {
+  res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  res.status(429).json({ message: "Too many sign-in attempts. Please try again later." });
+};
+
+/**
+ * @description Record a refused sign-in in the audit log
+ * @param {Object} req - Express request object
+ * @param {Object|null} user - The account signed in to, or null for unknown emails
+ * @param {Object} metadata - `{ email, reason }` and any other details
+ * @returns {Promise<void>}
+ */
+const auditSignInFailure = (req, user, metadata) =>
+  recordAudit(req, {
+    action: "auth.signin.failure",
+    actor: user,
+    target: user ? { type: "User", id: user._id } : undefined,
+    metadata,
+  });
+
+/**
+ * @description Email a verification link to a user
+ * @param {Object} req - Express request object (for the locale)
+ * @param {Object} user - Recipient user document
+ * @param {string} verificationToken - Raw verification token
+ * @returns {Promise<Object>} Delivery info
+ */
+const sendVerificationLink = (req, user, verificationToken) =>
+  sendMail({
+    to: user.email,
+    template: "emailVerification",
+    locale: requestLocale(req),
+    data: { name: user.name, link: frontendLink(`/verify-email/${verificationToken}`) },
+  });
 
 /**
  * @desc Register a new user and return authentication token
@@ -31,19 +110,36 @@ export const registerUser = async (req, res) => {
       return res.status(400).json({ message: "Invalid name format. Name can contain letters, numbers, and spaces." });
     }
 
-    // Create a new user
+    // Create a new user with a pending email verification (only the token hash is stored)
+    const { token: verificationToken, tokenHash } = createSecureToken();
     const newUser = new User({
       name: name.trim(),
       email: normalizedEmail,
       password,
+      verificationToken: tokenHash,
+      verificationTokenExpires: Date.now() + VERIFICATION_TOKEN_TTL_MS,
     });
 
     await newUser.save();
+    await recordAudit(req, {
+      action: "user.signup",
+      actor: newUser,
+      target: { type: "User", id: newUser._id },
+      after: { name: newUser.name, email: newUser.email },
+    });
+
+    // A failed send should not fail signup; the user can request another link
+    await sendVerificationLink(req, newUser, verificationToken).catch(() => {});
 
-    // Generate JWT Token
-    const token = jwt.sign({ id: newUser._id, email: newUser.email, role: newUser.role }, process.env.JWT_SECRET, {
-      expiresIn: "1h", // Token expires in 1 hour
+    // Start a standard session, exactly as signing in does
+    const { sessionId, refreshToken, expiresAt } = await createSession(newUser, {
+      rememberMe: false,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
     });
+    const token = issueAccessToken(newUser, { sessionId });
+
+    setRefreshTokenCookie(res, refreshToken, expiresAt);
 
     res.status(201).json({
       message: "User registered successfully.",
@@ -51,8 +147,11 @@ export const registerUser = async (req, res) => {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
+        isVerified: newUser.isVerified,
       },
       token, // Return JWT Token
+      refreshToken,
+      accessTokenExpiration: ACCESS_TOKEN_EXPIRATION,
     });
   } catch (error) {
     res.status(500).json({ message: "Server error. Please try again later." });
@@ -70,31 +169,146 @@ export const signInUser = async (req, res) => {
   try {
     const { email, password, rememberMe } = req.body;
 
+    const ipRetryAfterMs = await getIpThrottle(req.ip);
+    if (ipRetryAfterMs > 0) {
+      return sendTooManyAttempts(res, ipRetryAfterMs);
+    }
+
     const normalizedEmail = email.toLowerCase().trim();
-    const user = await User.findOne({ email: normalizedEmail });
+    const user = await User.findOne({ email: normalizedEmail }).select(LOGIN_TRACKING_FIELDS);
 
-    if (!user) {
-      return res.status(404).json({ message: "No account found with this email. Sign up instead?" });
+    // Unknown emails are delayed and locked like accounts, so these responses do not reveal which exist
+    const { locked, retryAfterMs } = await getAccountThrottle({ user, email: normalizedEmail });
+
+    if (locked) {
+      await auditSignInFailure(req, user, { email: normalizedEmail, reason: "account_locked" });
+      res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(423).json({
+        message: "This account is temporarily locked after too many failed sign-in attempts. Check your email to unlock it.",
+      });
+    }
+    if (retryAfterMs > 0) {
+      return sendTooManyAttempts(res, retryAfterMs);
     }
 
-    const isMatch = await user.comparePassword(password);
+    // Same response for unknown emails and wrong passwords, so accounts cannot be enumerated
+    const isMatch = user ? await user.comparePassword(password) : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
     if (!isMatch) {
-      return res.status(401).json({ message: "Incorrect password. Try again." });
+      const { unlockToken } = await recordFailedLogin({ user, email: normalizedEmail, ip: req.ip });
+      await auditSignInFailure(req, user, { email: normalizedEmail, reason: "invalid_credentials" });
+
+      if (unlockToken) {
+        await sendMail({
+          to: user.email,
+          template: "accountUnlock",
+          locale: requestLocale(req),
+          data: { name: user.name, link: frontendLink(`/unlock-account/${unlockToken}`) },
+        }).catch(() => {});
+      }
+
+      return res.status(401).json({ message: "Invalid email or password." });
     }
 
-    const expiration = rememberMe ? "7d" : "1h"; // Remember Me: 7 days, else 1 hour
-    const token = generateToken(user.id, user.role, expiration);
+    await resetFailedLogins(user);
 
-    res.status(200).json({
-      message: `Welcome back, ${user.name}!`,
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-      },
-      tokenExpiration: expiration,
-    });
+    // Checked only after the password, so suspensions do not reveal which emails have accounts
+    const suspension = await getActiveSuspension(user);
+    if (suspension) {
+      await auditSignInFailure(req, user, { email: normalizedEmail, reason: "suspended" });
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    // Owners restore their deleted account by signing in; an account deleted by an admin stays deleted
+    if (isPendingDeletion(user) && !canRestoreAccount(user)) {
+      await auditSignInFailure(req, user, { email: normalizedEmail, reason: "account_deleted" });
+      return res.status(403).json({ message: "This account has been deleted." });
+    }
+
+    if (user.passwordResetRequired) {
+      await auditSignInFailure(req, user, { email: normalizedEmail, reason: "password_reset_required" });
+      return res.status(403).json(PASSWORD_RESET_REQUIRED_RESPONSE);
+    }
+
+    await completeSignIn(req, res, user, rememberMe);
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Unlock Account - Lifts a sign-in lockout using the link from the lockout email
+ * @route GET /api/auth/unlock/:token
+ * @access Public
+ */
+export const unlockUserAccount = async (req, res) => {
+  try {
+    const user = await unlockAccount(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired unlock token." });
+    }
+
+    res.status(200).json({ message: "Your account has been unlocked. You can now sign in." });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Complete sign-in with a TOTP code or backup code
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires the challenge token returned by sign-in)
+ */
+export const verifyTwoFactorSignIn = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    let claims;
+    try {
+      claims = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: "Invalid or expired sign-in challenge." });
+    }
+
+    const user = await User.findById(claims.sub);
+
+    if (!user || !user.twoFactor?.enabled || (await getActiveSuspension(user))) {
+      return res.status(401).json({ message: "Invalid or expired sign-in challenge." });
+    }
+
+    // The account may have changed since the password step
+    if (isPendingDeletion(user) && !canRestoreAccount(user)) {
+      await auditSignInFailure(req, user, { email: user.email, reason: "account_deleted" });
+      return res.status(403).json({ message: "This account has been deleted." });
+    }
+
+    if (user.passwordResetRequired) {
+      await auditSignInFailure(req, user, { email: user.email, reason: "password_reset_required" });
+      return res.status(403).json(PASSWORD_RESET_REQUIRED_RESPONSE);
+    }
+
+    // Wrong codes are also counted per account, since a known password can fetch any number of challenges
+    const lockedForMs = await getSecondFactorLock(user._id);
+    if (lockedForMs > 0) {
+      await auditSignInFailure(req, user, { email: user.email, reason: "second_factor_locked" });
+      res.set("Retry-After", String(Math.ceil(lockedForMs / 1000)));
+      return res.status(423).json({ message: "Too many invalid authentication codes. Please try again later." });
+    }
+
+    // Each challenge allows a few codes; after that the user has to sign in again
+    if (!(await consumeChallengeAttempt(claims.jti))) {
+      return res.status(401).json({ message: "Invalid or expired sign-in challenge." });
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, backupCode }))) {
+      await recordSecondFactorFailure(user._id);
+      await auditSignInFailure(req, user, { email: user.email, reason: "invalid_second_factor" });
+      return res.status(401).json({ message: "Invalid authentication code." });
+    }
+
+    await endChallenge(claims.jti);
+    await resetSecondFactorFailures(user._id);
+    await sendSignInResponse(req, res, user, claims.rememberMe, { method: "two_factor" });
   } catch (error) {
     res.status(500).json({ message: "Server error. Please try again later." });
   }
@@ -117,15 +331,18 @@ export const forgotPassword = async (req, res) => {
       return res.status(404).json({ message: "No account found with this email." });
     }
 
-    const resetToken = crypto.randomBytes(20).toString("hex");
-    user.resetPasswordToken = resetToken;
+    // Only the hash is stored, so a leaked database row cannot be used as a reset link
+    const { token: resetToken, tokenHash } = createSecureToken();
+    user.resetPasswordToken = tokenHash;
     user.resetPasswordExpires = Date.now() + 3600000;
     await user.save();
 
-    // Send reset email only if not in test mode
-    if (process.env.NODE_ENV !== "test") {
-      await sendEmail(user.email, resetToken);
-    }
+    await sendMail({
+      to: user.email,
+      template: "passwordReset",
+      locale: requestLocale(req),
+      data: { name: user.name, link: frontendLink(`/reset-password/${resetToken}`) },
+    });
 
     res.status(200).json({ message: "Password reset email sent. Check your inbox." });
   } catch (error) {
@@ -149,57 +366,234 @@ export const resetPassword = async (req, res) => {
     }
 
     // Validate new password input
-    if (!newPassword) {
-      return res.status(400).json({ message: "New password is required." });
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({ message: "Password must be at least 8 characters long." });
+    // Consume the token in a single update so concurrent requests cannot both use it
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken: hashToken(token),
+        resetPasswordExpires: { $gt: Date.now() },
+      },
+      { $unset: { resetPasswordToken: "", resetPasswordExpires: "" } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired password reset token." });
     }
 
-    if (newPassword.length > 64) {
-      return res.status(400).json({ message: "Password is too long. Max length is 64 characters." });
+    // Suspended accounts cannot regain access through a reset
+    if (await getActiveSuspension(user)) {
+      return res.status(400).json({ message: "User is inactive or deleted." });
     }
 
-    // if (!/(?=.*[A-Z])(?=.*[a-z])(?=.*\d)(?=.*[@$!%*?&])/g.test(newPassword)) {
-    //   return res.status(400).json({ message: "Password is too weak. Use a mix of letters, numbers, and symbols." });
-    // }
+    user.password = newPassword;
+    await user.save();
 
-    if (/\s/.test(newPassword)) {
-      return res.status(400).json({ message: "Password cannot contain spaces." });
-    }
+    // Sign out everywhere: whoever requested the reset may not be the only one holding a session
+    await revokeUserSessions(user._id);
+    await recordAudit(req, { action: "auth.password.reset", actor: user, target: { type: "User", id: user._id } });
 
-    // Find user by token
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
+    await createNotification({ recipient: user._id, type: "password_reset" });
+    await sendMail({
+      to: user.email,
+      template: "passwordChanged",
+      locale: requestLocale(req),
+      data: { name: user.name },
+    }).catch(() => {});
+
+    res.status(200).json({ message: "Password reset successfully. You can now sign in." });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Verify Email - Confirms the user's email address
+ * @route GET /api/auth/verify/:token
+ * @access Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Consume the token in a single update so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        verificationToken: hashToken(token),
+        verificationTokenExpires: { $gt: Date.now() },
+      },
+      {
+        $set: { isVerified: true },
+        $unset: { verificationToken: "", verificationTokenExpires: "" },
+      },
+      { new: true }
+    );
 
     if (!user) {
-      return res.status(400).json({ message: "Invalid or expired password reset token." });
+      return res.status(400).json({ message: "Invalid or expired verification token." });
     }
 
-    // Ensure the user is still active
-    if (!user.active) {
-      return res.status(400).json({ message: "User is inactive or deleted." });
+    res.status(200).json({ message: "Email verified successfully." });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Confirm Email Change - Swaps in the new address and notifies the old one
+ * @route GET /api/auth/email-change/:token
+ * @access Public
+ */
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const filter = {
+      emailChangeToken: hashToken(req.params.token),
+      emailChangeExpires: { $gt: Date.now() },
+    };
+    const pending = await User.findOne(filter).select("+pendingEmail");
+
+    if (!pending) {
+      return res.status(400).json({ message: "Invalid or expired email change token." });
     }
 
-    user.password = newPassword;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-    await user.save();
+    const previousEmail = pending.email;
+    let updated;
+    try {
+      // Consume the token in the same update that swaps the address, so it only works once
+      updated = await User.findOneAndUpdate(
+        filter,
+        {
+          $set: { email: pending.pendingEmail, isVerified: true },
+          $unset: { pendingEmail: "", emailChangeToken: "", emailChangeExpires: "" },
+        },
+        { new: true }
+      );
+    } catch (error) {
+      // Another account claimed the address after the change was requested
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "This email is already in use." });
+      }
+      throw error;
+    }
 
-    res.status(200).json({ message: "Password reset successfully. You can now sign in." });
+    if (!updated) {
+      return res.status(400).json({ message: "Invalid or expired email change token." });
+    }
+
+    await recordAudit(req, {
+      action: "user.email.change",
+      actor: updated,
+      target: { type: "User", id: updated._id },
+      before: { email: previousEmail },
+      after: { email: updated.email },
+    });
+
+    await sendMail({
+      to: previousEmail,
+      template: "emailChanged",
+      locale: requestLocale(req),
+      data: { name: updated.name, newEmail: updated.email },
+    }).catch(() => {});
+
+    res.status(200).json({ message: "Email address updated successfully.", email: updated.email });
   } catch (error) {
     res.status(500).json({ message: "Server error. Please try again later." });
   }
 };
 
+/**
+ * @desc Resend Verification Email - Issues a fresh verification link, invalidating the previous one
+ * @route POST /api/auth/verify/resend
+ * @access Protected
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({ message: "Your email address is already verified." });
+    }
+
+    const { token, tokenHash } = createSecureToken();
+    await User.updateOne(
+      { _id: req.user._id },
+      { verificationToken: tokenHash, verificationTokenExpires: Date.now() + VERIFICATION_TOKEN_TTL_MS }
+    );
+
+    await sendVerificationLink(req, req.user, token);
+
+    res.status(200).json({ message: "Verification email sent. Check your inbox." });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Refresh Session - Rotates the refresh token and issues a new access token
+ * @route POST /api/auth/refresh
+ * @access Public (requires a refresh token in the `refreshToken` cookie or request body)
+ */
+export const refreshSession = async (req, res) => {
+  try {
+    const presentedToken = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!presentedToken) {
+      return res.status(401).json({ message: "No refresh token provided" });
+    }
+
+    if (typeof presentedToken !== "string") {
+      return res.status(400).json({ message: "Invalid refresh token" });
+    }
+
+    const { session, reuseDetected } = await rotateRefreshToken(presentedToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (reuseDetected) {
+      res.clearCookie("refreshToken", { path: "/api/auth" });
+      return res.status(401).json({ message: "Refresh token reuse detected. Please sign in again." });
+    }
+
+    if (!session) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    const user = await User.findById(session.userId);
+
+    // Deleted, pending-deletion or suspended accounts lose the session, as they do for access tokens
+    if (!user || isPendingDeletion(user) || (await getActiveSuspension(user))) {
+      await revokeSession(session.sessionId);
+      res.clearCookie("refreshToken", { path: "/api/auth" });
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    // A forced password reset ends the session here too, not only at password sign-in
+    if (user.passwordResetRequired) {
+      await revokeSession(session.sessionId);
+      res.clearCookie("refreshToken", { path: "/api/auth" });
+      return res.status(403).json(PASSWORD_RESET_REQUIRED_RESPONSE);
+    }
+
+    const token = issueAccessToken(user, { sessionId: session.sessionId });
+
+    setRefreshTokenCookie(res, session.refreshToken, session.expiresAt);
 
+    res.status(200).json({
+      token,
+      refreshToken: session.refreshToken,
+      accessTokenExpiration: ACCESS_TOKEN_EXPIRATION,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
 
 /**
  * @function logoutUser
- * @description Logs out a user by clearing JWT and validating the request token.
+ * @description Logs out a user by revoking their session and clearing auth cookies.
  * @route GET /api/auth/signout
  * @access Protected
  */
@@ -218,14 +612,24 @@ export const logoutUser = async (req, res) => {
       return res.status(401).json({ message: "No token provided" });
     }
 
+    let decoded;
     try {
-      jwt.verify(token, process.env.JWT_SECRET);
+      decoded = verifyAccessToken(token);
     } catch (error) {
       return res.status(401).json({ message: "Invalid or expired token" });
     }
 
-    // Clear the JWT cookie (if used)
+    // Revoke the session so its refresh token and access tokens stop working
+    if (decoded.sid) {
+      await revokeSession(decoded.sid);
+    }
+    if (req.cookies.refreshToken) {
+      await revokeSessionByRefreshToken(req.cookies.refreshToken);
+    }
+
+    // Clear the JWT cookie (if used) and the refresh token cookie
     res.clearCookie("jwt");
+    res.clearCookie("refreshToken", { path: "/api/auth" });
 
     return res.status(200).json({ message: "User signed out successfully" });
   } catch (error) {
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Block Controller
+ * @module controllers/blockController
+ * @description Implements blocking and muting of other users.
+ */
+
+import User from "../models/User.js";
+import FollowRequest from "../models/FollowRequest.js";
+import mongoose from "mongoose";
+import { publishFollowCounts } from "../services/realtimeService.js";
+import { removeFollowsBetween } from "../services/followService.js";
+
+/**
+ * @description Validate the target of a block/mute request and load it.
+ * @param {string} userId - ID of the target user from the request params
+ * @param {string} currentUserId - ID of the authenticated user
+ * @param {string} action - Verb used in the self-targeting error message
+ * @returns {Promise<Object>} `{ target }` on success, otherwise `{ status, message }` describing the error response
+ */
+const findTargetUser = async (userId, currentUserId, action) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { status: 400, message: "Invalid user ID." };
+  }
+
+  if (userId === currentUserId) {
+    return { status: 400, message: `You cannot ${action} yourself.` };
+  }
+
+  const target = await User.findById(userId).select("name");
+
+  if (!target) {
+    return { status: 404, message: "User not found." };
+  }
+
+  return { target };
+};
+
+/**
+ * @desc Block a user and remove any follow relationship between the two accounts
+ * @route POST /api/users/:userId/block
+ * @access Private
+ */
+export const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user.id;
+
+    const { target, status, message } = await findTargetUser(userId, currentUserId, "block");
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const { modifiedCount } = await User.updateOne({ _id: currentUserId }, { $addToSet: { blockedUsers: target._id } });
+
+    if (!modifiedCount) {
+      return res.status(400).json({ message: "You have already blocked this user." });
+    }
+
+    // Sever follows in both directions and drop pending follow requests
+    await removeFollowsBetween(currentUserId, target._id);
+    await FollowRequest.deleteMany({
+      $or: [
+        { requester: currentUserId, recipient: target._id },
+        { requester: target._id, recipient: currentUserId },
+      ],
+    });
+
+    await publishFollowCounts(currentUserId, target._id);
+
+    res.status(200).json({ message: `You have blocked ${target.name}.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Unblock a user
+ * @route DELETE /api/users/:userId/block
+ * @access Private
+ */
+export const unblockUser = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId, req.user.id, "unblock");
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const { modifiedCount } = await User.updateOne({ _id: req.user.id }, { $pull: { blockedUsers: target._id } });
+
+    if (!modifiedCount) {
+      return res.status(400).json({ message: "You have not blocked this user." });
+    }
+
+    res.status(200).json({ message: `You have unblocked ${target.name}.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Mute a user, hiding their posts from the signed-in user's feed
+ * @route POST /api/users/:userId/mute
+ * @access Private
+ */
+export const muteUser = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId, req.user.id, "mute");
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const { modifiedCount } = await User.updateOne({ _id: req.user.id }, { $addToSet: { mutedUsers: target._id } });
+
+    if (!modifiedCount) {
+      return res.status(400).json({ message: "You have already muted this user." });
+    }
+
+    res.status(200).json({ message: `You have muted ${target.name}.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Unmute a user
+ * @route DELETE /api/users/:userId/mute
+ * @access Private
+ */
+export const unmuteUser = async (req, res) => {
+  try {
+    const { target, status, message } = await findTargetUser(req.params.userId, req.user.id, "unmute");
+
+    if (!target) {
+      return res.status(status).json({ message });
+    }
+
+    const { modifiedCount } = await User.updateOne({ _id: req.user.id }, { $pull: { mutedUsers: target._id } });
+
+    if (!modifiedCount) {
+      return res.status(400).json({ message: "You have not muted this user." });
+    }
+
+    res.status(200).json({ message: `You have unmuted ${target.name}.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get the users blocked and muted by the signed-in user
+ * @route GET /api/users/me/blocks
+ * @access Private
+ */
+export const getBlockedAndMutedUsers = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .populate("blockedUsers", "name profilePicture")
+      .populate("mutedUsers", "name profilePicture");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    res.status(200).json({ blockedUsers: user.blockedUsers, mutedUsers: user.mutedUsers });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
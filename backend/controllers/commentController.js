@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Comment Controller
+ * @module controllers/commentController
+ * @description Implements threaded comments on posts (one level of replies) and their moderation.
+ */
+
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import mongoose from "mongoose";
+import { findVisiblePost } from "../services/postService.js";
+import { notifyMentions } from "../services/notificationService.js";
+import { can } from "../config/permissions.js";
+import { recordAudit } from "../services/auditService.js";
+
+/**
+ * @description Find a comment that belongs to the given post.
+ * @param {string} postId - ID of the post from the request params
+ * @param {string} commentId - ID of the comment from the request params or body
+ * @returns {Promise<Object|null>} The comment document, or null if it does not exist on this post
+ */
+const findPostComment = async (postId, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return Comment.findOne({ _id: commentId, post: postId });
+};
+
+/**
+ * @description Read pagination parameters from the query string.
+ * @param {Object} query - Express request query
+ * @returns {Object} `{ page, limit, skip }`
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * @desc Comment on a post, or reply to a top-level comment with `parentId`
+ * @route POST /api/posts/:postId/comments
+ * @access Private
+ */
+export const createComment = async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findPostComment(post._id, parentId);
+
+      if (!parent) {
+        return res.status(404).json({ message: "Comment not found." });
+      }
+
+      // Only one level of replies is supported
+      if (parent.parent) {
+        return res.status(400).json({ message: "You can only reply to top-level comments." });
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      author: req.user.id,
+      parent: parent ? parent._id : null,
+      content: content.trim(),
+    });
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+    await notifyMentions({
+      content: comment.content,
+      actor: req.user,
+      owner: post.author,
+      post: post._id,
+      comment: comment._id,
+    });
+
+    await comment.populate("author", "name profilePicture");
+
+    res.status(201).json({ message: "Comment added successfully.", comment });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get top-level comments of a post, newest first
+ * @route GET /api/posts/:postId/comments?page=<page>&limit=<limit>
+ * @access Private
+ */
+export const getComments = async (req, res) => {
+  try {
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = { post: post._id, parent: null };
+
+    const comments = await Comment.find(filter)
+      .populate("author", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.status(200).json({
+      totalComments,
+      currentPage: page,
+      totalPages: Math.ceil(totalComments / limit),
+      comments,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get replies to a top-level comment, oldest first
+ * @route GET /api/posts/:postId/comments/:commentId/replies?page=<page>&limit=<limit>
+ * @access Private
+ */
+export const getReplies = async (req, res) => {
+  try {
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const parent = await findPostComment(post._id, req.params.commentId);
+
+    if (!parent) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = { post: post._id, parent: parent._id };
+
+    const replies = await Comment.find(filter)
+      .populate("author", "name profilePicture")
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalReplies = await Comment.countDocuments(filter);
+
+    res.status(200).json({
+      totalReplies,
+      currentPage: page,
+      totalPages: Math.ceil(totalReplies / limit),
+      replies,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Edit a comment
+ * @route PUT /api/posts/:postId/comments/:commentId
+ * @access Private (comment author only)
+ */
+export const updateComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ message: "Invalid post ID." });
+    }
+
+    const comment = await findPostComment(postId, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    // Ensure the authenticated user is editing their own comment
+    if (!can(req.user, "comments:update", comment.author)) {
+      return res.status(403).json({ message: "Unauthorized to update this comment." });
+    }
+
+    comment.content = req.body.content.trim();
+    await comment.save();
+    await comment.populate("author", "name profilePicture");
+
+    res.status(200).json({ message: "Comment updated successfully.", comment });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Delete a comment and its replies
+ * @route DELETE /api/posts/:postId/comments/:commentId
+ * @access Private (comment author, post author, moderator or admin)
+ */
+export const deleteComment = async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ message: "Invalid post ID." });
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+
+    const comment = await findPostComment(post._id, commentId);
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    // The comment author, the post author, moderators and admins may remove a comment
+    const canModerate =
+      can(req.user, "comments:delete", comment.author) || can(req.user, "comments:delete", post.author);
+
+    if (!canModerate) {
+      return res.status(403).json({ message: "Unauthorized to delete this comment." });
+    }
+
+    // Only the request that deletes the comment adjusts the counters
+    const { deletedCount } = await Comment.deleteOne({ _id: comment._id });
+
+    if (deletedCount !== 1) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    // Removing a top-level comment removes its replies too, with any mentions they sent
+    const replyIds = await Comment.find({ parent: comment._id }).distinct("_id");
+    const { deletedCount: deletedReplies } = await Comment.deleteMany({ parent: comment._id });
+    await Notification.deleteMany({ comment: { $in: [comment._id, ...replyIds] } });
+
+    if (comment.parent) {
+      await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+    }
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: -(1 + deletedReplies) } });
+    await recordAudit(req, {
+      action: "comment.delete",
+      target: { type: "Comment", id: comment._id },
+      before: { post: post._id, author: comment.author, content: comment.content },
+      metadata: { deletedReplies },
+    });
+
+    res.status(200).json({ message: "Comment deleted successfully." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
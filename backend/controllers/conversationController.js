@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Conversation Controller
+ * @module controllers/conversationController
+ * @description Implements one-to-one direct messaging with unread counts and read receipts.
+ */
+
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import mongoose from "mongoose";
+import eventBus from "../services/eventBus.js";
+import { isBlockedBetween } from "../utils/visibility.js";
+import { isPendingDeletion } from "../services/accountDeletionService.js";
+import { isFollowing } from "../services/followService.js";
+import { encodeCursor, decodeCursor, olderThanCursor } from "../utils/pagination.js";
+
+/**
+ * @description Check whether a user may send messages to another.
+ * Blocked users cannot message each other, and private accounts only accept messages from followers.
+ * @param {Object} sender - Sending user document (needs `blockedUsers`)
+ * @param {Object} recipient - Receiving user document (needs `blockedUsers`, `isPrivate`)
+ * @returns {Promise<string|null>} Error message, or null if messaging is allowed
+ */
+const getMessagingRestriction = async (sender, recipient) => {
+  if (isBlockedBetween(sender, recipient)) {
+    return "You cannot message this user.";
+  }
+  if (recipient.isPrivate && !(await isFollowing(sender._id, recipient._id))) {
+    return "This account only accepts messages from its followers.";
+  }
+  return null;
+};
+
+/**
+ * @description Load a conversation the signed-in user takes part in.
+ * @param {string} conversationId - ID of the conversation from the request params
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object>} `{ conversation }` on success, otherwise `{ status, message }` describing the error response
+ */
+const findUserConversation = async (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return { status: 400, message: "Invalid conversation ID." };
+  }
+
+  const conversation = await Conversation.findOne({ _id: conversationId, participants: userId });
+
+  if (!conversation) {
+    return { status: 404, message: "Conversation not found." };
+  }
+
+  return { conversation };
+};
+
+/**
+ * @desc Start a conversation with a user (returns the existing one if it already exists)
+ * @route POST /api/conversations
+ * @access Private
+ */
+export const startConversation = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+
+    if (userId === currentUserId) {
+      return res.status(400).json({ message: "You cannot message yourself." });
+    }
+
+    const recipient = await User.findById(userId);
+
+    if (!recipient || isPendingDeletion(recipient)) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const restriction = await getMessagingRestriction(req.user, recipient);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
+    // Upsert on the unique pair key so concurrent requests share one conversation
+    const participantKey = Conversation.keyFor(currentUserId, userId);
+    const { value: conversation, lastErrorObject } = await Conversation.findOneAndUpdate(
+      { participantKey },
+      { $setOnInsert: { participants: [currentUserId, userId], participantKey } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    const created = !lastErrorObject.updatedExisting;
+
+    await conversation.populate("participants", "name profilePicture");
+
+    res.status(created ? 201 : 200).json({ conversation });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc List the signed-in user's conversations, most recently active first, with unread counts
+ * @route GET /api/conversations?page=<page>&limit=<limit>
+ * @access Private
+ */
+export const getConversations = async (req, res) => {
+  try {
+    // Pagination defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { participants: req.user.id };
+
+    const conversations = await Conversation.find(filter)
+      .populate("participants", "name profilePicture")
+      .populate("lastMessage", "sender content createdAt readAt")
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalConversations = await Conversation.countDocuments(filter);
+
+    // Count unread messages sent by the other participant in each conversation
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversations.map((conversation) => conversation._id) },
+          sender: { $ne: req.user._id },
+          readAt: null,
+        },
+      },
+      { $group: { _id: "$conversation", count: { $sum: 1 } } },
+    ]);
+    const unreadById = new Map(unreadCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.status(200).json({
+      totalConversations,
+      currentPage: page,
+      totalPages: Math.ceil(totalConversations / limit),
+      conversations: conversations.map((conversation) => ({
+        ...conversation.toObject(),
+        unreadCount: unreadById.get(conversation.id) || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get messages in a conversation, newest first (cursor-paginated)
+ * @route GET /api/conversations/:conversationId/messages?cursor=<cursor>&limit=<limit>
+ * @access Private (participants only)
+ */
+export const getMessages = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 100);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+    }
+
+    const { conversation, status, message } = await findUserConversation(req.params.conversationId, req.user.id);
+
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const filter = { conversation: conversation._id };
+    if (cursor) Object.assign(filter, olderThanCursor(cursor));
+
+    // Fetch one extra message to know whether another page exists
+    const messages = await Message.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    if (hasMore) messages.pop();
+
+    res.status(200).json({
+      messages,
+      nextCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Send a message in a conversation
+ * @route POST /api/conversations/:conversationId/messages
+ * @access Private (participants only)
+ */
+export const sendMessage = async (req, res) => {
+  try {
+    const { conversation, status, message } = await findUserConversation(req.params.conversationId, req.user.id);
+
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const recipientId = conversation.participants.find((id) => id.toString() !== req.user.id);
+    const recipient = await User.findById(recipientId);
+
+    if (!recipient || isPendingDeletion(recipient)) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    // Blocks and privacy changes apply to existing conversations too
+    const restriction = await getMessagingRestriction(req.user, recipient);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
+    const newMessage = await Message.create({
+      conversation: conversation._id,
+      sender: req.user.id,
+      content: req.body.content.trim(),
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { lastMessage: newMessage._id, lastMessageAt: newMessage.createdAt } }
+    );
+
+    eventBus.publish(recipient.id, "message", newMessage);
+
+    res.status(201).json({ message: "Message sent.", directMessage: newMessage });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Mark every message received in a conversation as read
+ * @route PUT /api/conversations/:conversationId/read
+ * @access Private (participants only)
+ */
+export const markConversationRead = async (req, res) => {
+  try {
+    const { conversation, status, message } = await findUserConversation(req.params.conversationId, req.user.id);
+
+    if (!conversation) {
+      return res.status(status).json({ message });
+    }
+
+    const readAt = new Date();
+    const { modifiedCount } = await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt } }
+    );
+
+    // Read receipt for the other participant
+    if (modifiedCount) {
+      const otherId = conversation.participants.find((id) => id.toString() !== req.user.id);
+      eventBus.publish(otherId.toString(), "messages_read", { conversationId: conversation._id, readAt });
+    }
+
+    res.status(200).json({ message: "Conversation marked as read.", updated: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Data Export Controller
+ * @module controllers/dataExportController
+ * @description Lets users download a copy of their personal data.
+ */
+
+import DataExport from "../models/DataExport.js";
+import { requestDataExport, findDownloadableExport } from "../services/dataExportService.js";
+import { requestLocale } from "../services/mailer/index.js";
+
+/**
+ * @description Shape an export for API responses
+ * @param {Object} dataExport - DataExport document
+ * @returns {Object} `{ id, status, requestedAt, completedAt, expiresAt, size }`
+ */
+const formatExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  size: dataExport.size,
+});
+
+/**
+ * @desc Start generating an archive of the signed-in user's data; a download link is emailed when it is ready
+ * @route POST /api/users/me/export
+ * @access Private
+ */
+export const createDataExport = async (req, res) => {
+  try {
+    const dataExport = await requestDataExport(req.user, { locale: requestLocale(req) });
+
+    if (!dataExport) {
+      return res.status(409).json({ message: "Your data export is already being prepared." });
+    }
+
+    res.status(202).json({
+      message: "Your data export is being prepared. We will email you a download link when it is ready.",
+      export: formatExport(dataExport),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get the status of the signed-in user's latest data export
+ * @route GET /api/users/me/export
+ * @access Private
+ */
+export const getDataExportStatus = async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ user: req.user._id }).sort({ createdAt: -1 });
+
+    if (!dataExport || (dataExport.expiresAt && dataExport.expiresAt <= Date.now())) {
+      return res.status(404).json({ message: "No data export found." });
+    }
+
+    res.status(200).json({ export: formatExport(dataExport) });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Download a data export archive using the emailed link
+ * @route GET /api/users/me/export/download/:token
+ * @access Public (the token is the credential; it expires with the export)
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    const download = await findDownloadableExport(req.params.token);
+
+    if (!download) {
+      return res.status(404).json({ message: "This download link is invalid or has expired." });
+    }
+
+    const { dataExport, filePath } = download;
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+    res.set("Cache-Control", "no-store");
+    res.download(filePath, `data-export-${date}.tar.gz`, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: "This download link is invalid or has expired." });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
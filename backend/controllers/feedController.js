@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Feed Controller
+ * @module controllers/feedController
+ * @description Builds the home timeline from the posts of followed users.
+ */
+
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { getFollowingIds } from "../services/followService.js";
+import { encodeCursor, decodeCursor, olderThanCursor } from "../utils/pagination.js";
+import { NOT_PENDING_DELETION } from "../services/accountDeletionService.js";
+
+/**
+ * @desc Get the signed-in user's home timeline (newest first, cursor-paginated)
+ * @route GET /api/feed?cursor=<cursor>&limit=<limit>
+ * @access Private
+ */
+export const getFeed = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: "Invalid cursor." });
+      }
+    }
+
+    const currentUser = await User.findById(req.user.id);
+
+    if (!currentUser) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    // Authors: everyone the user follows plus themselves, skipping deactivated, deleted and muted accounts.
+    // Following an account is what grants access to its posts when it is private.
+    const followingIds = await getFollowingIds(currentUser._id);
+    const authorIds = await User.find({
+      _id: { $in: [...followingIds, currentUser._id], $nin: currentUser.mutedUsers },
+      active: true,
+      blockedUsers: { $ne: currentUser._id },
+      ...NOT_PENDING_DELETION,
+    }).distinct("_id");
+
+    const filter = { author: { $in: authorIds } };
+    if (cursor) Object.assign(filter, olderThanCursor(cursor));
+
+    // Fetch one extra post to know whether another page exists
+    const posts = await Post.find(filter)
+      .populate("author", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = posts.length > limit;
+    if (hasMore) posts.pop();
+
+    res.status(200).json({
+      posts,
+      nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
@@ -1,5 +1,39 @@
 import User from "../models/User.js";
+import FollowRequest from "../models/FollowRequest.js";
 import mongoose from "mongoose";
+import { isBlockedBetween } from "../utils/visibility.js";
+import { createNotification } from "../services/notificationService.js";
+import { publishFollowCounts } from "../services/realtimeService.js";
+import { recordAudit } from "../services/auditService.js";
+import { isPendingDeletion } from "../services/accountDeletionService.js";
+import { isFollowing, createFollow, removeFollow, getFollowList } from "../services/followService.js";
+import { decodeCursor } from "../utils/pagination.js";
+
+const FOLLOW_LIST_SORTS = ["newest", "oldest"];
+
+/**
+ * @description Read the pagination, search and sort options of a followers / following request
+ * @param {Object} query - Request query string
+ * @returns {Object} `{ options }` or `{ status, message }`
+ */
+const parseFollowListQuery = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  const sort = query.sort || "newest";
+
+  if (!FOLLOW_LIST_SORTS.includes(sort)) {
+    return { status: 400, message: "Invalid sort order." };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { status: 400, message: "Invalid cursor." };
+    }
+  }
+
+  return { options: { limit, sort, cursor, search: String(query.search || "").trim() } };
+};
 
 /**
  * @desc Follow a user
@@ -18,21 +52,51 @@ export const followUser = async (req, res) => {
     const userToFollow = await User.findById(userId);
     const currentUser = await User.findById(currentUserId);
 
-    if (!userToFollow || !currentUser) {
+    if (!userToFollow || !currentUser || isPendingDeletion(userToFollow)) {
       return res.status(404).json({ message: "User not found." });
     }
 
+    // Blocked users cannot follow each other
+    if (isBlockedBetween(currentUser, userToFollow)) {
+      return res.status(403).json({ message: "You cannot follow this user." });
+    }
+
     // Prevent duplicate follows
-    if (currentUser.following.includes(userId)) {
+    if (await isFollowing(currentUser._id, userToFollow._id)) {
       return res.status(400).json({ message: "You are already following this user." });
     }
 
-    // Add to following & followers list
-    currentUser.following.push(userId);
-    userToFollow.followers.push(currentUserId);
+    // Private accounts must approve new followers first
+    if (userToFollow.isPrivate) {
+      const existingRequest = await FollowRequest.exists({ requester: currentUserId, recipient: userId });
+
+      if (existingRequest) {
+        return res.status(400).json({ message: "You have already requested to follow this user." });
+      }
+
+      try {
+        await FollowRequest.create({ requester: currentUserId, recipient: userId });
+      } catch (error) {
+        // A concurrent request from the same user was stored first
+        if (error.code === 11000) {
+          return res.status(400).json({ message: "You have already requested to follow this user." });
+        }
+        throw error;
+      }
 
-    await currentUser.save();
-    await userToFollow.save();
+      await createNotification({ recipient: userToFollow._id, actor: currentUser._id, type: "follow_request" });
+
+      return res.status(202).json({ message: `Follow request sent to ${userToFollow.name}.` });
+    }
+
+    // The unique edge index settles concurrent requests: only one of them creates the follow
+    if (!(await createFollow(currentUser._id, userToFollow._id))) {
+      return res.status(400).json({ message: "You are already following this user." });
+    }
+
+    await createNotification({ recipient: userToFollow._id, actor: currentUser._id, type: "follow" });
+    await publishFollowCounts(userToFollow._id, currentUser._id);
+    await recordAudit(req, { action: "follow.create", target: { type: "User", id: userToFollow._id } });
 
     res.status(200).json({ message: `You are now following ${userToFollow.name}.` });
   } catch (error) {
@@ -66,17 +130,20 @@ export const unfollowUser = async (req, res) => {
       return res.status(404).json({ message: "User not found." });
     }
 
-    // Check if the user is actually following the target user
-    if (!currentUser.following.includes(userId)) {
+    // Remove the follow; if there was none, the user may be withdrawing a request instead
+    if (!(await removeFollow(currentUser._id, userToUnfollow._id))) {
+      // Withdraw a pending follow request instead, if there is one
+      const pendingRequest = await FollowRequest.findOneAndDelete({ requester: currentUserId, recipient: userId });
+
+      if (pendingRequest) {
+        return res.status(200).json({ message: "Follow request cancelled." });
+      }
+
       return res.status(400).json({ message: "You are not following this user." });
     }
 
-    // Remove from following & followers list
-    currentUser.following = currentUser.following.filter((id) => id.toString() !== userId);
-    userToUnfollow.followers = userToUnfollow.followers.filter((id) => id.toString() !== currentUserId);
-
-    await currentUser.save();
-    await userToUnfollow.save();
+    await publishFollowCounts(userToUnfollow._id, currentUser._id);
+    await recordAudit(req, { action: "follow.delete", target: { type: "User", id: userToUnfollow._id } });
 
     res.status(200).json({ message: `You have unfollowed ${userToUnfollow.name}.` });
   } catch (error) {
@@ -85,40 +152,51 @@ export const unfollowUser = async (req, res) => {
 };
 
 /**
- * @desc Get list of followers
- * @route GET /api/users/:userId/followers
+ * @desc Get a user's followers, newest follow first by default (cursor-paginated)
+ * @route GET /api/users/:userId/followers?cursor=<cursor>&limit=<limit>&search=<name>&sort=<newest|oldest>
  * @access Public
  */
 export const getFollowers = async (req, res) => {
   try {
     const { userId } = req.params;
     const currentUserId = req.user.id;
-    
 
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ message: "Invalid user ID." });
     }
 
-    const user = await User.findById(userId).populate("followers", "name profilePicture");
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({ message: "User not found." });
     }
 
-    // If the user has a private account and the requester is not following them
-    if (user.isPrivate && !user.followers.includes(currentUserId)) {
+    // If the user has a private account and the requester is neither its owner nor a follower
+    const isOwner = user._id.equals(req.user._id);
+    if (user.isPrivate && !isOwner && !(await isFollowing(currentUserId, user._id))) {
       return res.status(403).json({ message: "This user's followers list is private." });
     }
 
-    res.status(200).json({ followers: user.followers });
+    const { options, status, message } = parseFollowListQuery(req.query);
+    if (!options) {
+      return res.status(status).json({ message });
+    }
+
+    const { users, nextCursor } = await getFollowList(user._id, {
+      ...options,
+      list: "followers",
+      viewerId: currentUserId,
+    });
+
+    res.status(200).json({ followers: users, nextCursor });
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error." });
   }
 };
 
 /**
- * @desc Get list of users followed by the user
- * @route GET /api/users/:userId/following
+ * @desc Get the users a user follows, newest follow first by default (cursor-paginated)
+ * @route GET /api/users/:userId/following?cursor=<cursor>&limit=<limit>&search=<name>&sort=<newest|oldest>
  * @access Public
  */
 export const getFollowing = async (req, res) => {
@@ -131,18 +209,133 @@ export const getFollowing = async (req, res) => {
       return res.status(400).json({ message: "Invalid user ID." });
     }
 
-    const user = await User.findById(userId).populate("following", "name profilePicture");
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({ message: "User not found." });
     }
 
-    // If the user has a private account and the requester is not following them
-    if (user.isPrivate && !user.followers.includes(authUserId)) {
+    // If the user has a private account and the requester is neither its owner nor a follower
+    const isOwner = user._id.equals(req.user._id);
+    if (user.isPrivate && !isOwner && !(await isFollowing(authUserId, user._id))) {
       return res.status(403).json({ message: "This user's following list is private." });
     }
 
-    res.status(200).json({ following: user.following });
+    const { options, status, message } = parseFollowListQuery(req.query);
+    if (!options) {
+      return res.status(status).json({ message });
+    }
+
+    const { users, nextCursor } = await getFollowList(user._id, {
+      ...options,
+      list: "following",
+      viewerId: authUserId,
+    });
+
+    res.status(200).json({ following: users, nextCursor });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get pending follow requests sent to the signed-in user
+ * @route GET /api/follow/requests?page=<page>&limit=<limit>
+ * @access Private
+ */
+export const getFollowRequests = async (req, res) => {
+  try {
+    // Pagination defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user.id };
+
+    const requests = await FollowRequest.find(filter)
+      .select("requester createdAt")
+      .populate("requester", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalRequests = await FollowRequest.countDocuments(filter);
+
+    res.status(200).json({
+      totalRequests,
+      currentPage: page,
+      totalPages: Math.ceil(totalRequests / limit),
+      requests,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Approve a pending follow request
+ * @route POST /api/follow/requests/:requestId/approve
+ * @access Private (recipient only)
+ */
+export const approveFollowRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const currentUserId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ message: "Invalid request ID." });
+    }
+
+    // Claim the request atomically so it cannot be approved twice
+    const followRequest = await FollowRequest.findOneAndDelete({ _id: requestId, recipient: currentUserId });
+
+    if (!followRequest) {
+      return res.status(404).json({ message: "Follow request not found." });
+    }
+
+    const requester = await User.findById(followRequest.requester);
+    const currentUser = await User.findById(currentUserId);
+
+    if (!requester || !currentUser) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    await createFollow(requester._id, currentUser._id);
+    await createNotification({ recipient: requester._id, actor: currentUser._id, type: "follow_approved" });
+    await publishFollowCounts(requester._id, currentUser._id);
+    await recordAudit(req, {
+      action: "follow.create",
+      actor: requester,
+      target: { type: "User", id: currentUser._id },
+      metadata: { approvedBy: currentUser._id },
+    });
+
+    res.status(200).json({ message: `${requester.name} is now following you.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Reject a pending follow request
+ * @route POST /api/follow/requests/:requestId/reject
+ * @access Private (recipient only)
+ */
+export const rejectFollowRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(400).json({ message: "Invalid request ID." });
+    }
+
+    const followRequest = await FollowRequest.findOneAndDelete({ _id: requestId, recipient: req.user.id });
+
+    if (!followRequest) {
+      return res.status(404).json({ message: "Follow request not found." });
+    }
+
+    res.status(200).json({ message: "Follow request rejected." });
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error." });
   }
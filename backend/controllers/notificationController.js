@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Notification Controller
+ * @module controllers/notificationController
+ * @description Lists in-app notifications and marks them as read.
+ */
+
+import Notification from "../models/Notification.js";
+import mongoose from "mongoose";
+
+/**
+ * @desc Get the signed-in user's notifications, newest first, with the unread count
+ * @route GET /api/notifications?page=<page>&limit=<limit>&unread=true
+ * @access Private
+ */
+export const getNotifications = async (req, res) => {
+  try {
+    // Pagination defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === "true") filter.read = false;
+
+    const notifications = await Notification.find(filter)
+      .populate("actor", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalNotifications = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+    res.status(200).json({
+      totalNotifications,
+      unreadCount,
+      currentPage: page,
+      totalPages: Math.ceil(totalNotifications / limit),
+      notifications,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Mark a single notification as read
+ * @route PUT /api/notifications/:notificationId/read
+ * @access Private (recipient only)
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: "Invalid notification ID." });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, recipient: req.user.id },
+      { $set: { read: true } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found." });
+    }
+
+    res.status(200).json({ message: "Notification marked as read.", notification });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Mark all of the signed-in user's notifications as read
+ * @route PUT /api/notifications/read-all
+ * @access Private
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user.id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.status(200).json({ message: "All notifications marked as read.", updated: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview OAuth / OpenID Connect Controller
+ * @module controllers/oauthController
+ * @description Implements sign-in through external identity providers and linking providers to accounts.
+ */
+
+import crypto from "crypto";
+import User from "../models/User.js";
+import UserIdentity from "../models/UserIdentity.js";
+import { getProviderNames, getProviderConfig } from "../config/oauthProviders.js";
+import { createAuthorizationRequest, completeAuthorization } from "../services/oauthService.js";
+import { completeSignIn, PASSWORD_RESET_REQUIRED_RESPONSE } from "../services/signInService.js";
+import { getActiveSuspension, suspendedResponse } from "../services/suspensionService.js";
+import { isPendingDeletion, canRestoreAccount } from "../services/accountDeletionService.js";
+import { recordAudit } from "../services/auditService.js";
+
+/**
+ * @description Find or create the user an external identity signs in as.
+ * Existing accounts are only linked automatically when both sides have verified the email address,
+ * and new accounts are only created for verified addresses; otherwise anyone could claim an
+ * address by registering it at a provider.
+ * Concurrent first sign-ins with the same identity settle on whichever account and link were stored first.
+ * @param {Object} identity - Identity returned by `completeAuthorization`
+ * @returns {Promise<Object>} `{ user, created, linked }` or `{ status, message }`; `linked` is set when an
+ * existing account was linked by its email address
+ */
+const resolveSignInUser = async (identity) => {
+  const { provider, subject, email } = identity;
+  const linked = await UserIdentity.findOne({ provider, subject });
+
+  if (linked) {
+    const user = await User.findById(linked.user);
+    if (user) return { user };
+
+    // The account was deleted; forget the stale link and continue as a new sign-in
+    await linked.deleteOne();
+  }
+
+  if (!email) {
+    return { status: 400, message: "The identity provider did not share an email address." };
+  }
+
+  const existingAccount = {
+    status: 409,
+    message: `An account with this email already exists. Sign in with your password and link ${provider} from your account settings.`,
+  };
+  let user = await User.findOne({ email });
+  let created = false;
+
+  if (user) {
+    if (!identity.emailVerified || !user.isVerified) return existingAccount;
+  } else {
+    if (!identity.emailVerified) {
+      return {
+        status: 403,
+        message: "The identity provider has not verified this email address. Verify it there, or sign up with a password.",
+      };
+    }
+
+    const name = typeof identity.name === "string" ? identity.name.trim() : "";
+
+    try {
+      user = await User.create({
+        name: name || email.split("@")[0],
+        email,
+        // Never revealed to anyone; the user can set a real password through the reset flow
+        password: crypto.randomBytes(32).toString("base64url"),
+        hasPassword: false,
+        isVerified: true,
+        profilePicture: typeof identity.picture === "string" ? identity.picture : "",
+      });
+      created = true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // A concurrent sign-up created the account first; link it only under the same rules as above
+      user = await User.findOne({ email });
+      if (!user) throw error;
+      if (!user.isVerified) return existingAccount;
+    }
+  }
+
+  try {
+    await UserIdentity.create({ user: user._id, provider, subject, email });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // A concurrent sign-in linked the identity first; sign in as whoever it was linked to
+    const existing = await UserIdentity.findOne({ provider, subject });
+    if (!existing) {
+      return { status: 409, message: `Another ${provider} account is already linked to this account.` };
+    }
+
+    const linkedUser = await User.findById(existing.user);
+    if (!linkedUser) throw error;
+    return { user: linkedUser };
+  }
+
+  return { user, created, linked: !created };
+};
+
+/**
+ * @description Attach an external identity to the signed-in user
+ * @param {string} userId - ID of the user linking the provider
+ * @param {Object} identity - Identity returned by `completeAuthorization`
+ * @returns {Promise<Object>} `{ identity }` or `{ status, message }`
+ */
+const linkIdentity = async (userId, { provider, subject, email }) => {
+  const linked = await UserIdentity.findOne({ provider, subject });
+
+  if (linked) {
+    return linked.user.toString() === userId
+      ? { identity: linked }
+      : { status: 409, message: `This ${provider} account is already linked to another user.` };
+  }
+
+  if (await UserIdentity.exists({ user: userId, provider })) {
+    return { status: 409, message: `Another ${provider} account is already linked. Unlink it first.` };
+  }
+
+  return { identity: await UserIdentity.create({ user: userId, provider, subject, email }) };
+};
+
+/**
+ * @description Shape an identity for API responses
+ * @param {Object} identity - UserIdentity document
+ * @returns {Object} `{ provider, email, linkedAt }`
+ */
+const formatIdentity = (identity) => ({
+  provider: identity.provider,
+  email: identity.email,
+  linkedAt: identity.createdAt,
+});
+
+/**
+ * @desc List the identity providers users can sign in with
+ * @route GET /api/auth/oauth/providers
+ * @access Public
+ */
+export const listProviders = async (req, res) => {
+  try {
+    res.status(200).json({ providers: getProviderNames().filter((name) => getProviderConfig(name)) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Start signing in with a provider; the client redirects the browser to the returned URL
+ * @route GET /api/auth/oauth/:provider/authorize
+ * @access Public
+ */
+export const startOAuthSignIn = async (req, res) => {
+  try {
+    const { authorizationUrl, status, message } = await createAuthorizationRequest({
+      provider: req.params.provider,
+      mode: "login",
+      rememberMe: req.query.rememberMe === "true",
+    });
+
+    if (!authorizationUrl) {
+      return res.status(status).json({ message });
+    }
+
+    res.status(200).json({ authorizationUrl });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Start linking a provider to the signed-in account
+ * @route POST /api/auth/oauth/:provider/link
+ * @access Private
+ */
+export const startOAuthLink = async (req, res) => {
+  try {
+    const { authorizationUrl, status, message } = await createAuthorizationRequest({
+      provider: req.params.provider,
+      mode: "link",
+      userId: req.user._id,
+    });
+
+    if (!authorizationUrl) {
+      return res.status(status).json({ message });
+    }
+
+    res.status(200).json({ authorizationUrl });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Complete a provider redirect: sign in (creating or linking an account) or link to the signed-in account
+ * @route POST /api/auth/oauth/:provider/callback
+ * @access Public (link requests must be completed by the account that started them)
+ */
+export const handleOAuthCallback = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const result = await completeAuthorization({ provider: req.params.provider, code, state });
+
+    if (!result.identity) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { identity, mode, userId, rememberMe } = result;
+
+    if (mode === "link") {
+      // Stops another user's browser from completing a link into an account it does not own
+      if (!req.user || req.user.id !== userId) {
+        return res.status(403).json({ message: "Sign in to the account you are linking to complete this request." });
+      }
+
+      const linked = await linkIdentity(userId, identity);
+      if (!linked.identity) {
+        return res.status(linked.status).json({ message: linked.message });
+      }
+
+      return res.status(200).json({
+        message: `Your ${identity.provider} account has been linked.`,
+        identity: formatIdentity(linked.identity),
+      });
+    }
+
+    const { user, created, linked, status, message } = await resolveSignInUser(identity);
+
+    if (!user) {
+      return res.status(status).json({ message });
+    }
+
+    if (created) {
+      await recordAudit(req, {
+        action: "user.signup",
+        actor: user,
+        target: { type: "User", id: user._id },
+        after: { name: user.name, email: user.email },
+        metadata: { provider: identity.provider },
+      });
+    }
+
+    if (linked) {
+      await recordAudit(req, {
+        action: "user.identity.link",
+        actor: user,
+        target: { type: "User", id: user._id },
+        metadata: { provider: identity.provider, email: identity.email, matchedBy: "email" },
+      });
+    }
+
+    const suspension = await getActiveSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
+    if (isPendingDeletion(user) && !canRestoreAccount(user)) {
+      return res.status(403).json({ message: "This account has been deleted." });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json(PASSWORD_RESET_REQUIRED_RESPONSE);
+    }
+
+    await completeSignIn(req, res, user, rememberMe, { method: "oauth", provider: identity.provider });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc List the providers linked to the signed-in account
+ * @route GET /api/auth/oauth/identities
+ * @access Private
+ */
+export const listIdentities = async (req, res) => {
+  try {
+    const identities = await UserIdentity.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({ hasPassword: req.user.hasPassword, identities: identities.map(formatIdentity) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
+
+/**
+ * @desc Unlink a provider from the signed-in account
+ * @route DELETE /api/auth/oauth/:provider
+ * @access Private
+ */
+export const unlinkProvider = async (req, res) => {
+  try {
+    const provider = req.params.provider.toLowerCase();
+    const identities = await UserIdentity.find({ user: req.user._id });
+    const identity = identities.find((linked) => linked.provider === provider);
+
+    if (!identity) {
+      return res.status(404).json({ message: "No account from this provider is linked." });
+    }
+
+    // Never leave an account without a way to sign in
+    if (!req.user.hasPassword && identities.length === 1) {
+      return res.status(400).json({
+        message: "Set a password before unlinking your only sign-in method.",
+      });
+    }
+
+    await identity.deleteOne();
+
+    res.status(200).json({ message: `Your ${provider} account has been unlinked.` });
+  } catch (error) {
+    res.status(500).json({ message: "Server error. Please try again later." });
+  }
+};
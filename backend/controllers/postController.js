@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Post Controller
+ * @module controllers/postController
+ * @description Implements logic for post CRUD operations and per-user post listings.
+ */
+
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import mongoose from "mongoose";
+import Reaction from "../models/Reaction.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import { canViewUserContent } from "../utils/visibility.js";
+import { can } from "../config/permissions.js";
+import { recordAudit } from "../services/auditService.js";
+import { findVisiblePost } from "../services/postService.js";
+import { notifyMentions } from "../services/notificationService.js";
+import { publishNewPost } from "../services/realtimeService.js";
+import { isPendingDeletion } from "../services/accountDeletionService.js";
+
+/**
+ * @description Strip the privacy fields populated for the visibility check from a post's author.
+ * @param {Object} post - Post document with a populated author
+ * @returns {Object} Plain post object safe to return to clients
+ */
+const formatPost = (post) => {
+  const { _id, name, profilePicture } = post.author;
+  return { ...post.toObject(), author: { _id, name, profilePicture } };
+};
+
+/**
+ * @desc Create a new post
+ * @route POST /api/posts
+ * @access Private
+ */
+export const createPost = async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    const post = await Post.create({
+      author: req.user.id,
+      content: content.trim(),
+    });
+
+    await notifyMentions({ content: post.content, actor: req.user, owner: req.user, post: post._id });
+    await publishNewPost(post, req.user);
+
+    await post.populate("author", "name profilePicture");
+
+    res.status(201).json({ message: "Post created successfully.", post });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get a single post by ID
+ * @route GET /api/posts/:postId
+ * @access Private
+ */
+export const getPostById = async (req, res) => {
+  try {
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    res.status(200).json({ post: formatPost(post) });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Update a post's content
+ * @route PUT /api/posts/:postId
+ * @access Private (author only)
+ */
+export const updatePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { content } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ message: "Invalid post ID." });
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+
+    // Ensure the authenticated user is updating their own post
+    if (!can(req.user, "posts:update", post.author)) {
+      return res.status(403).json({ message: "Unauthorized to update this post." });
+    }
+
+    post.content = content.trim();
+    await post.save();
+    await post.populate("author", "name profilePicture");
+
+    res.status(200).json({ message: "Post updated successfully.", post });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Delete a post
+ * @route DELETE /api/posts/:postId
+ * @access Private (author, moderator or admin)
+ */
+export const deletePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ message: "Invalid post ID." });
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+
+    // Authors delete their own posts; moderators and admins may delete any post
+    if (!can(req.user, "posts:delete", post.author)) {
+      return res.status(403).json({ message: "Unauthorized to delete this post." });
+    }
+
+    await Post.findByIdAndDelete(postId);
+    await Reaction.deleteMany({ post: postId });
+    await Comment.deleteMany({ post: postId });
+    await Notification.deleteMany({ post: postId });
+    await recordAudit(req, {
+      action: "post.delete",
+      target: { type: "Post", id: post._id },
+      before: { author: post.author, content: post.content },
+    });
+
+    res.status(200).json({ message: "Post deleted successfully." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get posts authored by a user, newest first
+ * @route GET /api/users/:userId/posts
+ * @access Private
+ */
+export const getUserPosts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID." });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.active || isPendingDeletion(user)) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    // If the user has a private account and the requester is not following them
+    if (!(await canViewUserContent(user, currentUserId))) {
+      return res.status(403).json({ message: "This user's posts are private." });
+    }
+
+    // Pagination defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const posts = await Post.find({ author: userId })
+      .populate("author", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalPosts = await Post.countDocuments({ author: userId });
+
+    res.status(200).json({
+      totalPosts,
+      currentPage: page,
+      totalPages: Math.ceil(totalPosts / limit),
+      posts,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
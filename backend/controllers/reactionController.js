@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Reaction Controller
+ * @module controllers/reactionController
+ * @description Implements likes and reactions on posts and "who reacted" listings.
+ */
+
+import Post from "../models/Post.js";
+import Reaction, { REACTION_TYPES } from "../models/Reaction.js";
+import { findVisiblePost } from "../services/postService.js";
+
+/**
+ * @description Set a user's reaction to a post, returning the reaction it replaced.
+ * Two concurrent upserts can both try to insert; the loser hits the unique index and
+ * retries, which then updates the reaction the winner inserted.
+ * @param {ObjectId} postId - The post reacted to
+ * @param {string} userId - The reacting user
+ * @param {string} type - One of `REACTION_TYPES`
+ * @returns {Promise<Object|null>} The previous reaction, or null if there was none
+ */
+const upsertReaction = async (postId, userId, type) => {
+  const upsert = () =>
+    Reaction.findOneAndUpdate({ post: postId, user: userId }, { $set: { type } }, { upsert: true, new: false });
+
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return upsert();
+  }
+};
+
+/**
+ * @desc React to a post (or change an existing reaction)
+ * @route POST /api/posts/:postId/reactions
+ * @access Private
+ */
+export const reactToPost = async (req, res) => {
+  try {
+    const type = req.body.type || "like";
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Invalid reaction type. Allowed types: ${REACTION_TYPES.join(", ")}.` });
+    }
+
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    // Upsert the reaction and get the previous one back to adjust the counters
+    const previous = await upsertReaction(post._id, req.user.id, type);
+
+    const increments = {};
+    if (!previous) {
+      increments[`reactionCounts.${type}`] = 1;
+    } else if (previous.type !== type) {
+      increments[`reactionCounts.${previous.type}`] = -1;
+      increments[`reactionCounts.${type}`] = 1;
+    }
+
+    const updatedPost = Object.keys(increments).length
+      ? await Post.findByIdAndUpdate(post._id, { $inc: increments }, { new: true })
+      : post;
+
+    res.status(200).json({
+      message: "Reaction saved.",
+      reaction: type,
+      reactionCounts: updatedPost.reactionCounts,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Remove the signed-in user's reaction from a post
+ * @route DELETE /api/posts/:postId/reactions
+ * @access Private
+ */
+export const removeReaction = async (req, res) => {
+  try {
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: req.user.id });
+
+    if (!removed) {
+      return res.status(400).json({ message: "You have not reacted to this post." });
+    }
+
+    const updatedPost = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { [`reactionCounts.${removed.type}`]: -1 } },
+      { new: true }
+    );
+
+    res.status(200).json({ message: "Reaction removed.", reactionCounts: updatedPost.reactionCounts });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Get a paginated list of users who reacted to a post
+ * @route GET /api/posts/:postId/reactions?type=<type>&page=<page>&limit=<limit>
+ * @access Private
+ */
+export const getReactions = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Invalid reaction type. Allowed types: ${REACTION_TYPES.join(", ")}.` });
+    }
+
+    const { post, status, message } = await findVisiblePost(req.params.postId, req.user.id);
+
+    if (!post) {
+      return res.status(status).json({ message });
+    }
+
+    // Pagination defaults
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { post: post._id };
+    if (type) filter.type = type;
+
+    const reactions = await Reaction.find(filter)
+      .select("user type createdAt")
+      .populate("user", "name profilePicture")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalReactions = await Reaction.countDocuments(filter);
+
+    res.status(200).json({
+      totalReactions,
+      currentPage: page,
+      totalPages: Math.ceil(totalReactions / limit),
+      reactionCounts: post.reactionCounts,
+      reactions,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
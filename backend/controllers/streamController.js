@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Stream Controller
+ * @module controllers/streamController
+ * @description Pushes real-time events to the signed-in user over Server-Sent Events.
+ */
+
+import eventBus from "../services/eventBus.js";
+import { resolveClaimsUser } from "../services/tokenService.js";
+
+/**
+ * @description Interval between heartbeats, which keep idle connections open through proxies and
+ * re-check the session. `STREAM_HEARTBEAT_MS` overrides the default of 25 seconds.
+ * @returns {number} Interval in milliseconds
+ */
+const getHeartbeatIntervalMs = () => Number(process.env.STREAM_HEARTBEAT_MS) || 25000;
+
+/**
+ * @desc Open a Server-Sent Events stream of notifications, follow counts and feed updates
+ * @route GET /api/stream
+ * @access Private
+ */
+export const openEventStream = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  const send = (chunk) => {
+    res.write(chunk);
+    // `compression` buffers output until flushed
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  const unsubscribe = eventBus.subscribe(req.user.id, ({ event, data }) => {
+    send(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // Signing out, session revocation, suspension or deletion after the stream opened ends it
+  const heartbeat = setInterval(async () => {
+    const user = await resolveClaimsUser(req.auth).catch(() => null);
+    if (closed) return;
+
+    if (!user) {
+      send(`event: session_ended\ndata: {}\n\n`);
+      close();
+      res.end();
+      return;
+    }
+    send(": heartbeat\n\n");
+  }, getHeartbeatIntervalMs());
+
+  req.on("close", close);
+
+  send(`event: ready\ndata: ${JSON.stringify({ userId: req.user.id })}\n\n`);
+};
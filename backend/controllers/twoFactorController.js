@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Two-Factor Authentication Controller
+ * @module controllers/twoFactorController
+ * @description Implements TOTP enrolment, backup code management and opting out of 2FA.
+ */
+
+import User from "../models/User.js";
+import { TWO_FACTOR_ISSUER, isTwoFactorRequired } from "../config/twoFactorPolicy.js";
+import { createBackupCodes, verifySecondFactor } from "../services/twoFactorService.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+
+/**
+ * @desc Start 2FA enrolment: generate a secret and its otpauth URI for QR display
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: req.user._id }, { "twoFactor.pendingSecret": secret });
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email, issuer: TWO_FACTOR_ISSUER }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Confirm 2FA enrolment with a code from the authenticator app and issue backup codes
+ * @route POST /api/auth/2fa/confirm
+ * @access Private
+ */
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first." });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const { codes, hashes } = createBackupCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.backupCodes": hashes,
+          "twoFactor.lastUsedStep": step,
+        },
+        $unset: { "twoFactor.pendingSecret": "" },
+      }
+    );
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your backup codes somewhere safe.",
+      backupCodes: codes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Replace all backup codes (requires a current authenticator code)
+ * @route POST /api/auth/2fa/backup-codes
+ * @access Private
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    }
+
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    const { codes, hashes } = createBackupCodes();
+    await User.updateOne({ _id: req.user._id }, { "twoFactor.backupCodes": hashes });
+
+    res.status(200).json({ message: "New backup codes generated.", backupCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
+
+/**
+ * @desc Turn off 2FA (requires the password and a code or backup code)
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for admin accounts." });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (typeof password !== "string" || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Incorrect password. Try again." });
+    }
+
+    if (!(await verifySecondFactor(user._id, { code, backupCode }))) {
+      return res.status(400).json({ message: "Invalid authentication code." });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": "",
+          "twoFactor.pendingSecret": "",
+          "twoFactor.backupCodes": "",
+          "twoFactor.lastUsedStep": "",
+        },
+      }
+    );
+
+    res.status(200).json({ message: "Two-factor authentication disabled." });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error." });
+  }
+};
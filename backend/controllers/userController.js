@@ -6,7 +6,15 @@
 
 import User from "../models/User.js";
 import mongoose from "mongoose";
-import bcrypt from "bcryptjs";
+import { issueAccessToken } from "../services/tokenService.js";
+import { revokeUserSessions } from "../services/sessionService.js";
+import { sendMail, frontendLink, requestLocale } from "../services/mailer/index.js";
+import { VERIFICATION_TOKEN_TTL_MS } from "../config/verificationPolicy.js";
+import { validateNewPassword } from "../utils/passwordPolicy.js";
+import { createSecureToken } from "../utils/secureToken.js";
+import { can, hasPermission } from "../config/permissions.js";
+import { recordAudit } from "../services/auditService.js";
+import { NOT_PENDING_DELETION, isPendingDeletion, scheduleAccountDeletion } from "../services/accountDeletionService.js";
 
 /**
  * @route GET /api/users
@@ -56,6 +64,12 @@ export const getAllUsers = async (req, res) => {
     if (req.query.role) searchFilter.role = req.query.role;
     if (req.query.active !== undefined) searchFilter.active = req.query.active === "true";
 
+    // Hide users who have blocked the signed-in requester
+    if (req.user) searchFilter.blockedUsers = { $ne: req.user._id };
+
+    // Hide accounts pending deletion
+    Object.assign(searchFilter, NOT_PENDING_DELETION);
+
     // Projection (Only return selected fields)
     const projection = "name email displayName role active profilePicture createdAt";
 
@@ -102,11 +116,22 @@ export const getUserById = async (req, res) => {
     // Fetch user by ID, excluding sensitive fields like password
     const user = await User.findById(userId).select("-password");
 
-    if (!user) {
+    // Users who blocked the requester, and accounts pending deletion, are reported as not found
+    if (!user || isPendingDeletion(user) || user.blockedUsers.includes(req.user.id)) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.status(200).json({ user });
+    if (userId === req.user.id) {
+      return res.status(200).json({ user });
+    }
+
+    // Block and mute lists are private to their owner; account status is also visible to admins
+    const { blockedUsers, mutedUsers, suspension, deletion, passwordResetRequired, ...profile } = user.toObject();
+    const accountStatus = hasPermission(req.user, "users:manage")
+      ? { suspension, deletion, passwordResetRequired }
+      : {};
+
+    res.status(200).json({ user: { ...profile, ...accountStatus } });
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error" });
   }
@@ -121,26 +146,24 @@ export const updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
     const { name, email, password, bio, interests, displayName } = req.body;
-    const authUserId = req.user.id; // Extracted from JWT token
 
     // Ensure the authenticated user is updating their own profile
-    if (userId !== authUserId) {
+    if (!can(req.user, "users:update", userId)) {
       return res.status(403).json({ message: "Unauthorized to update this profile." });
     }
 
-    // Handle Multer File Upload Errors
-    if (req.fileValidationError) {
-      return res.status(400).json({ message: req.fileValidationError });
+    // Credentials have dedicated flows that check the current password
+    if (password) {
+      return res.status(400).json({ message: "Use POST /api/users/me/password to change your password." });
     }
 
-    // Validate email format
-    if (email && !/^\S+@\S+\.\S+$/.test(email.trim())) {
-      return res.status(400).json({ message: "Invalid email format." });
+    if (email) {
+      return res.status(400).json({ message: "Use POST /api/users/me/email to change your email address." });
     }
 
-    // Validate password length
-    if (password && password.length < 8) {
-      return res.status(400).json({ message: "Password must be at least 8 characters long." });
+    // Handle Multer File Upload Errors
+    if (req.fileValidationError) {
+      return res.status(400).json({ message: req.fileValidationError });
     }
 
     // Validate bio length
@@ -151,7 +174,6 @@ export const updateUser = async (req, res) => {
     // Prepare update object
     let updateFields = {};
     if (name) updateFields.name = name.trim();
-    if (email) updateFields.email = email.trim().toLowerCase();
     if (bio) updateFields.bio = bio.trim();
     if (displayName) updateFields.displayName = displayName.trim().replace("@", "");
 
@@ -164,11 +186,6 @@ export const updateUser = async (req, res) => {
       }
     }
 
-    // Handle password hashing (if updated)
-    if (password) {
-      updateFields.password = await bcrypt.hash(password, 10);
-    }
-
     // Handle profile picture upload
     if (req.file) {
       updateFields.profilePicture = `/uploads/${req.file.filename}`;
@@ -185,6 +202,15 @@ export const updateUser = async (req, res) => {
       return res.status(404).json({ message: "User not found." });
     }
 
+    // `req.user` still holds the values from before the update
+    const fields = Object.keys(updateFields);
+    await recordAudit(req, {
+      action: "user.update",
+      target: { type: "User", id: updatedUser._id },
+      before: Object.fromEntries(fields.map((field) => [field, req.user[field]])),
+      after: Object.fromEntries(fields.map((field) => [field, updatedUser[field]])),
+    });
+
     // Send successful response
     res.status(200).json({
       message: "Profile updated successfully.",
@@ -203,10 +229,106 @@ export const updateUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc Change the signed-in user's password (other sessions are signed out)
+ * @route POST /api/users/me/password
+ * @access Private
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (typeof currentPassword !== "string" || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect." });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ message: "New password must be different from the current password." });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Older access tokens are now rejected, so keep this session alive with a fresh one
+    await revokeUserSessions(user._id, { exceptSessionId: req.auth.sid });
+    await recordAudit(req, { action: "auth.password.change", target: { type: "User", id: user._id } });
+    const token = issueAccessToken(user, { sessionId: req.auth.sid });
+
+    await sendMail({
+      to: user.email,
+      template: "passwordChanged",
+      locale: requestLocale(req),
+      data: { name: user.name },
+    }).catch(() => {});
+
+    res.status(200).json({ message: "Password changed successfully. Other sessions have been signed out.", token });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+/**
+ * @desc Start changing the signed-in user's email; the swap happens once the new address confirms
+ * @route POST /api/users/me/email
+ * @access Private
+ */
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, currentPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (typeof currentPassword !== "string" || !(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect." });
+    }
+
+    if (typeof newEmail !== "string" || !/^\S+@\S+\.\S+$/.test(newEmail.trim())) {
+      return res.status(400).json({ message: "Invalid email format." });
+    }
+
+    const normalizedEmail = newEmail.trim().toLowerCase();
+
+    if (normalizedEmail === user.email) {
+      return res.status(400).json({ message: "This is already your email address." });
+    }
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({ message: "This email is already in use." });
+    }
+
+    const { token, tokenHash } = createSecureToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        pendingEmail: normalizedEmail,
+        emailChangeToken: tokenHash,
+        emailChangeExpires: Date.now() + VERIFICATION_TOKEN_TTL_MS,
+      }
+    );
+
+    await sendMail({
+      to: normalizedEmail,
+      template: "emailChangeConfirm",
+      locale: requestLocale(req),
+      data: { name: user.name, link: frontendLink(`/confirm-email/${token}`) },
+    });
+
+    res.status(200).json({ message: `Confirmation link sent to ${normalizedEmail}. Your email changes once you confirm it.` });
+  } catch (error) {
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
 
 /**
  * @function deleteUser
- * @description Deletes a user from the database.
+ * @description Deletes a user. The account is hidden and signed out straight away, and purged
+ * with its content once the deletion grace period ends; until then, signing in restores it.
  * @param {Object} req - Express request object containing `userId` as a URL parameter.
  * @param {Object} res - Express response object.
  * @returns {Object} JSON response confirming user deletion.
@@ -215,32 +337,37 @@ export const deleteUser = async (req, res) => {
   try {
     const { userId } = req.params;
     const requesterId = req.user.id;
-    const requesterRole = req.user.role;
 
     // Validate ObjectID format
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ message: "Invalid user ID" });
     }
 
-    // Prevent Non-Admin from deleting other users
-    if (requesterId !== userId && requesterRole !== "admin") {
+    // Only users allowed to delete any account may delete someone else's
+    if (!can(req.user, "users:delete", userId)) {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    // Find user
+    // Find user; accounts already pending deletion are gone as far as the API is concerned
     const user = await User.findById(userId);
-    if (!user) {
+    if (!user || isPendingDeletion(user)) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Delete user
-    await User.findByIdAndDelete(userId);
+    // Schedule the deletion
+    const scheduledFor = await scheduleAccountDeletion(user, { requestedBy: req.user._id });
+    await recordAudit(req, {
+      action: "user.delete",
+      target: { type: "User", id: user._id },
+      before: { name: user.name, email: user.email, role: user.role },
+      metadata: { scheduledFor },
+    });
 
     // Send appropriate messages
     if (requesterId === userId) {
-      return res.status(200).json({ message: "Your account has been deleted" });
+      return res.status(200).json({ message: "Your account has been deleted", scheduledFor });
     } else {
-      return res.status(200).json({ message: "User deleted successfully" });
+      return res.status(200).json({ message: "User deleted successfully", scheduledFor });
     }
   } catch (error) {
     console.error("❌ Error deleting user:", error.message);
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Account Purge Job
+ * @module jobs/accountPurgeJob
+ * @description Periodically hard-deletes accounts whose deletion grace period has ended.
+ */
+
+import { PURGE_INTERVAL_MS } from "../config/accountDeletionPolicy.js";
+import { purgeDeletedAccounts } from "../services/accountDeletionService.js";
+
+/**
+ * @function runAccountPurge
+ * @description Purge every account that is due. Never throws, so a failed run cannot stop the schedule.
+ * @returns {Promise<number>} Number of accounts purged
+ */
+export const runAccountPurge = async () => {
+  try {
+    const purged = await purgeDeletedAccounts();
+    if (purged.length) console.log(`🧹 Purged ${purged.length} deleted account(s)`);
+    return purged.length;
+  } catch (error) {
+    console.error("❌ Account purge failed:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * @function startAccountPurgeJob
+ * @description Run the purge now and then every `PURGE_INTERVAL_MS`. The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout} The interval handle, for `clearInterval`
+ */
+export const startAccountPurgeJob = () => {
+  runAccountPurge();
+
+  const timer = setInterval(runAccountPurge, PURGE_INTERVAL_MS);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Data Export Cleanup Job
+ * @module jobs/dataExportCleanupJob
+ * @description Periodically removes data export archives whose download link has expired.
+ */
+
+import { DATA_EXPORT_CLEANUP_INTERVAL_MS } from "../config/dataExportPolicy.js";
+import { removeExpiredExports } from "../services/dataExportService.js";
+
+/**
+ * @function runDataExportCleanup
+ * @description Remove every expired export. Never throws, so a failed run cannot stop the schedule.
+ * @returns {Promise<number>} Number of exports removed
+ */
+export const runDataExportCleanup = async () => {
+  try {
+    return await removeExpiredExports();
+  } catch (error) {
+    console.error("❌ Data export cleanup failed:", error.message);
+    return 0;
+  }
+};
+
+/**
+ * @function startDataExportCleanupJob
+ * @description Run the cleanup now and then every `DATA_EXPORT_CLEANUP_INTERVAL_MS`. The timer does not keep the process alive.
+ * @returns {NodeJS.Timeout} The interval handle, for `clearInterval`
+ */
+export const startDataExportCleanupJob = () => {
+  runDataExportCleanup();
+
+  const timer = setInterval(runDataExportCleanup, DATA_EXPORT_CLEANUP_INTERVAL_MS);
+  timer.unref();
+
+  return timer;
+};
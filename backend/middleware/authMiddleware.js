@@ -4,9 +4,11 @@
  * @description Protects routes by verifying JWT tokens and authorizing users.
  */
 
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
-import User from "../models/User.js";
+import { authenticateAccessToken } from "../services/tokenService.js";
+import { RESTRICTABLE_ACTIONS, getRestrictedActions } from "../config/verificationPolicy.js";
+import { isTwoFactorRequired } from "../config/twoFactorPolicy.js";
+import { hasPermission, can } from "../config/permissions.js";
 
 // Load environment variables
 dotenv.config();
@@ -21,21 +23,36 @@ dotenv.config();
  */
 export const protect = async (req, res, next) => {
   try {
-    // Extract token from Authorization header
-    const token = req.headers.authorization?.startsWith("Bearer")
+    // Extract token from Authorization header, or the query string on routes that allow it
+    let token = req.headers.authorization?.startsWith("Bearer")
       ? req.headers.authorization.trim().split(" ")[1]
       : null;
+    if (!token && req.allowQueryToken && typeof req.query.access_token === "string") {
+      token = req.query.access_token;
+    }
 
     // Check if a token exists
     if (!token) {
       return res.status(401).json({ message: "Not authorized, no token provided" });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify the token and resolve its (active) user and session
+    const auth = await authenticateAccessToken(token);
+
+    if (!auth) {
+      return res.status(401).json({ message: "Invalid token, authentication failed" });
+    }
+
+    // Accounts that must use 2FA may only reach the enrolment endpoints until they set it up
+    if (isTwoFactorRequired(auth.user) && !auth.user.twoFactor?.enabled && !req.allowTwoFactorEnrolment) {
+      return res
+        .status(403)
+        .json({ message: "Two-factor authentication is required for admin accounts. Set it up to continue." });
+    }
 
-    // Fetch the authenticated user and attach to request object (excluding password)
-    req.user = await User.findById(decoded.id).select("-password");
+    // Attach the authenticated user (excluding password) and token claims to the request
+    req.user = auth.user;
+    req.auth = auth.claims;
 
     next(); // Continue to the next middleware/controller
   } catch (error) {
@@ -43,6 +60,97 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * @function authorize
+ * @description Middleware factory that requires a permission. Must run after `protect`.
+ * With `ownerParam`, `permission` is unscoped and the `:own` scope applies when the route
+ * parameter is the signed-in user's ID (see `can`).
+ * @param {string} permission - Permission name from `config/permissions`
+ * @param {Object} [options] - `{ ownerParam }`, the route parameter holding the owner's user ID
+ * @returns {Function} Express middleware
+ */
+export const authorize = (permission, { ownerParam } = {}) => (req, res, next) => {
+  const allowed = ownerParam
+    ? can(req.user, permission, req.params[ownerParam])
+    : hasPermission(req.user, permission);
+
+  if (!allowed) {
+    return res.status(403).json({ message: "Access denied" });
+  }
+
+  next();
+};
+
+/**
+ * @function allowTwoFactorEnrolment
+ * @description Marks a route as reachable by accounts that still have to enrol in 2FA. Must run before `protect`.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next function to continue request processing.
+ * @returns {void} Always calls `next()`.
+ */
+export const allowTwoFactorEnrolment = (req, res, next) => {
+  req.allowTwoFactorEnrolment = true;
+  next();
+};
+
+/**
+ * @function optionalAuth
+ * @description Middleware for public routes that personalise their response for signed-in users.
+ * Attaches `req.user` when a valid JWT is provided and otherwise continues anonymously.
+ * @param {Object} req - Express request object, optionally containing a JWT token in the headers.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next function to continue request processing.
+ * @returns {void} Always calls `next()`.
+ */
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.startsWith("Bearer")
+    ? req.headers.authorization.trim().split(" ")[1]
+    : null;
+
+  if (token) {
+    try {
+      const auth = await authenticateAccessToken(token);
+      // Invalid tokens are treated as anonymous requests on public routes
+      req.user = auth ? auth.user : null;
+      req.auth = auth ? auth.claims : null;
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+};
+
+/**
+ * @function requireVerified
+ * @description Blocks unverified accounts from an action when the verification policy restricts it.
+ * Must run after `protect`.
+ * @param {string} action - Action name from `RESTRICTABLE_ACTIONS` (e.g. "post")
+ * @returns {Function} Express middleware
+ */
+export const requireVerified = (action) => (req, res, next) => {
+  if (req.user.isVerified || !getRestrictedActions().includes(action)) {
+    return next();
+  }
+
+  res.status(403).json({ message: `Please verify your email address to ${RESTRICTABLE_ACTIONS[action]}.` });
+};
+
+/**
+ * @function tokenFromQuery
+ * @description Lets `protect` accept an `access_token` query parameter on this route. Only for endpoints
+ * opened by clients that cannot set headers (e.g. `EventSource`). Must run before `protect`.
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next function to continue request processing.
+ * @returns {void} Always calls `next()`.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  req.allowQueryToken = true;
+  next();
+};
+
 export const validateQueryParams = (req, res, next) => {
     if (req.query.page && isNaN(req.query.page) || Number(req.query.page) < 1) {
       return res.status(400).json({ message: "Invalid page number" });
@@ -53,3 +53,45 @@ export const validateForgotPasswordRequest = [
     next();
   },
 ];
+
+export const validatePostRequest = [
+  body("content").trim().notEmpty().withMessage("Content is required"),
+  body("content").trim()
+  .isLength({ max: 2000 })
+  .withMessage("Content is too long. Max 2000 characters allowed."),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: "Failed Validation" });
+    }
+    next();
+  },
+];
+
+export const validateCommentRequest = [
+  body("content").trim().notEmpty().withMessage("Content is required"),
+  body("content").trim()
+  .isLength({ max: 1000 })
+  .withMessage("Comment is too long. Max 1000 characters allowed."),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: "Failed Validation" });
+    }
+    next();
+  },
+];
+
+export const validateMessageRequest = [
+  body("content").trim().notEmpty().withMessage("Content is required"),
+  body("content").trim()
+  .isLength({ max: 2000 })
+  .withMessage("Message is too long. Max 2000 characters allowed."),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array(), message: "Failed Validation" });
+    }
+    next();
+  },
+];
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Follow Edges Migration
+ * @module migrations/followEdges
+ * @description Moves the embedded `followers` / `following` arrays on users into the Follow collection
+ * and sets the denormalized counters. Safe to run more than once.
+ */
+
+import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+
+/**
+ * @description Insert a batch of edges, skipping self-follows and IDs of users that no longer exist
+ * @param {Array[]} edges - `[follower, following]` pairs of ObjectIds
+ * @returns {Promise<Object>} `{ inserted, skipped }`
+ */
+const insertEdges = async (edges) => {
+  const ids = new Map(edges.flat().map((id) => [String(id), id]));
+  const existing = new Set((await User.collection.distinct("_id", { _id: { $in: [...ids.values()] } })).map(String));
+
+  const valid = edges.filter(
+    ([follower, following]) =>
+      String(follower) !== String(following) && existing.has(String(follower)) && existing.has(String(following))
+  );
+  const createdAt = new Date(); // The original follow dates were never recorded
+
+  if (valid.length) {
+    const result = await Follow.collection.bulkWrite(
+      valid.map(([follower, following]) => ({
+        updateOne: {
+          filter: { follower, following },
+          update: { $setOnInsert: { follower, following, createdAt } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    return { inserted: result.upsertedCount, skipped: edges.length - valid.length };
+  }
+
+  return { inserted: 0, skipped: edges.length };
+};
+
+/**
+ * @description Recompute every user's follower and following counts from the Follow collection
+ * @returns {Promise<void>}
+ */
+const recountFollows = async () => {
+  await User.collection.updateMany({}, { $set: { followersCount: 0, followingCount: 0 } });
+
+  for (const [groupBy, counter] of [
+    ["$following", "followersCount"],
+    ["$follower", "followingCount"],
+  ]) {
+    const counts = await Follow.aggregate([{ $group: { _id: groupBy, count: { $sum: 1 } } }]);
+    if (counts.length) {
+      await User.collection.bulkWrite(
+        counts.map(({ _id, count }) => ({ updateOne: { filter: { _id }, update: { $set: { [counter]: count } } } })),
+        { ordered: false }
+      );
+    }
+  }
+};
+
+/**
+ * @function migrateFollowEdges
+ * @description Run the migration. Edges are upserted, so re-running it (or running it after some
+ * follows were already created as edges) does not duplicate anything. Run it while the API is stopped,
+ * since counters are recomputed from scratch.
+ * @param {Object} [options] - `{ batchSize }`: number of edges written per bulk operation
+ * @returns {Promise<Object>} `{ users, inserted, skipped }` totals
+ */
+export const migrateFollowEdges = async ({ batchSize = 1000 } = {}) => {
+  // The unique index must exist before any edges are written
+  await Follow.init();
+
+  const totals = { users: 0, inserted: 0, skipped: 0 };
+  const filter = { $or: [{ followers: { $exists: true } }, { following: { $exists: true } }] };
+  let batch = [];
+
+  const flush = async () => {
+    const { inserted, skipped } = await insertEdges(batch);
+    totals.inserted += inserted;
+    totals.skipped += skipped;
+    batch = [];
+  };
+
+  // Read the raw documents: the arrays are no longer part of the schema
+  const cursor = User.collection.find(filter, { projection: { followers: 1, following: 1 } });
+
+  for await (const doc of cursor) {
+    totals.users += 1;
+    for (const follower of doc.followers || []) batch.push([follower, doc._id]);
+    for (const following of doc.following || []) batch.push([doc._id, following]);
+
+    if (batch.length >= batchSize) await flush();
+  }
+  if (batch.length) await flush();
+
+  await recountFollows();
+  await User.collection.updateMany(filter, { $unset: { followers: "", following: "" } });
+
+  return totals;
+};
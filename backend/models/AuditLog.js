@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+/**
+ * Actions recorded in the audit log.
+ */
+export const AUDIT_ACTIONS = [
+  "user.signup",
+  "auth.signin.success",
+  "auth.signin.failure",
+  "auth.password.reset",
+  "auth.password.change",
+  "user.email.change",
+  "user.identity.link",
+  "user.update",
+  "user.delete",
+  "user.restore",
+  "user.purge",
+  "user.role.change",
+  "user.suspend",
+  "user.reactivate",
+  "user.password_reset.force",
+  "user.sessions.revoke",
+  "follow.create",
+  "follow.delete",
+  "post.delete",
+  "comment.delete",
+];
+
+/**
+ * Audit Log Schema for MongoDB using Mongoose
+ * Append-only record of security-relevant and administrative actions. Entries cannot be updated or deleted.
+ * @property {ObjectId} actor - User who performed the action (unset for anonymous requests, e.g. failed sign-ins)
+ * @property {String} actorEmail - The actor's email when the action happened, kept if the account is deleted
+ * @property {String} action - One of `AUDIT_ACTIONS` (Required)
+ * @property {Object} target - `{ type, id }` of the affected record
+ * @property {String} ip - Client IP address
+ * @property {String} userAgent - Client user agent
+ * @property {Object} changes - `{ before, after }` values of the fields the action changed
+ * @property {Object} metadata - Action-specific details (e.g. the failure reason of a sign-in)
+ * @property {Date} createdAt - When the action happened
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    actorEmail: String,
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, "Action is required"],
+      index: true,
+    },
+    target: {
+      type: { type: String },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    ip: String,
+    userAgent: String,
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ "target.id": 1, createdAt: -1 });
+
+// Entries are written once and never changed
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted."));
+};
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+// Export the AuditLog model
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+export default AuditLog;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+/**
+ * Comment Schema for MongoDB using Mongoose
+ * @property {ObjectId} post - The post the comment belongs to (Required)
+ * @property {ObjectId} author - The user who wrote the comment (Required)
+ * @property {ObjectId} parent - The top-level comment this is a reply to (null for top-level comments)
+ * @property {String} content - The text content of the comment (Required, max 1000 chars)
+ * @property {Number} replyCount - Number of replies to a top-level comment
+ */
+const CommentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: [true, "Post is required"],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    content: {
+      type: String,
+      required: [true, "Content is required"],
+      trim: true,
+      maxlength: [1000, "Comment must be at most 1000 characters"],
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up listing top-level comments of a post and the replies of a comment
+CommentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+
+// Export the Comment model
+const Comment = mongoose.model("Comment", CommentSchema);
+export default Comment;
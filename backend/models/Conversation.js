@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+/**
+ * Conversation Schema for MongoDB using Mongoose
+ * A one-to-one direct message thread between two users.
+ * @property {Array} participants - The two user IDs taking part (Required)
+ * @property {String} participantKey - Sorted "idA:idB" pair, unique so each pair has one conversation
+ * @property {ObjectId} lastMessage - The most recent message in the conversation
+ * @property {Date} lastMessageAt - When the most recent message was sent (used for ordering)
+ */
+const ConversationSchema = new mongoose.Schema(
+  {
+    participants: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      validate: [(participants) => participants.length === 2, "A conversation needs exactly two participants"],
+    },
+    participantKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up listing a user's conversations, most recently active first
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+/**
+ * Build the unique key identifying the conversation between two users
+ * @param {string|ObjectId} userA - First participant
+ * @param {string|ObjectId} userB - Second participant
+ * @returns {String} Order-independent key
+ */
+ConversationSchema.statics.keyFor = function (userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(":");
+};
+
+// Export the Conversation model
+const Conversation = mongoose.model("Conversation", ConversationSchema);
+export default Conversation;
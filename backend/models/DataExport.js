@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+/**
+ * Lifecycle of a personal data export
+ */
+export const DATA_EXPORT_STATUSES = ["pending", "processing", "ready", "failed"];
+
+/**
+ * Data Export Schema for MongoDB using Mongoose
+ * A copy of a user's personal data, generated in the background as a `.tar.gz` archive.
+ * @property {ObjectId} user - The user whose data is exported (Required)
+ * @property {String} status - One of `DATA_EXPORT_STATUSES`
+ * @property {Boolean} inProgress - Set while the export is pending or processing; a user has at most one
+ * @property {String} fileName - Archive file name in the exports directory, once ready
+ * @property {Number} size - Archive size in bytes, once ready
+ * @property {String} downloadToken - SHA-256 hash of the token in the emailed download link
+ * @property {Date} completedAt - When the archive finished generating (or failed)
+ * @property {Date} expiresAt - When the download link stops working and the archive is removed
+ */
+const DataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    status: {
+      type: String,
+      enum: DATA_EXPORT_STATUSES,
+      default: "pending",
+    },
+    inProgress: {
+      type: Boolean,
+      default: true,
+    },
+    fileName: String,
+    size: Number,
+    downloadToken: {
+      type: String,
+      select: false,
+    },
+    completedAt: Date,
+    expiresAt: Date,
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up finding a user's latest export
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ downloadToken: 1 }, { sparse: true });
+// Settles concurrent requests: only one export per user can be generating
+DataExportSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { inProgress: true } });
+
+// Export the DataExport model
+const DataExport = mongoose.model("DataExport", DataExportSchema);
+export default DataExport;
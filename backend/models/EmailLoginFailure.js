@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+/**
+ * Email Login Failure Schema for MongoDB using Mongoose
+ * Counts failed sign-in attempts for email addresses that have no account, so they are delayed and
+ * locked exactly like registered accounts. Records expire with the account tracking window.
+ * @property {String} email - Normalized email address (Unique, Required)
+ * @property {Number} failedAttempts - Failed attempts since the count last started
+ * @property {Date} lastFailedAt - Time of the most recent failure
+ * @property {Date} lockUntil - End of the current lock, if any
+ * @property {Date} expiresAt - End of the tracking window; purged by a TTL index
+ */
+const EmailLoginFailureSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    unique: true,
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove records once their window has passed
+EmailLoginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the EmailLoginFailure model
+const EmailLoginFailure = mongoose.model("EmailLoginFailure", EmailLoginFailureSchema);
+export default EmailLoginFailure;
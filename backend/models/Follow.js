@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+/**
+ * Follow Schema for MongoDB using Mongoose
+ * One edge of the follow graph: `follower` follows `following`. Each user's totals are kept
+ * in `followersCount` / `followingCount` on User by the follow service.
+ * @property {ObjectId} follower - The user who follows (Required)
+ * @property {ObjectId} following - The user being followed (Required)
+ * @property {Date} createdAt - When the follow started
+ */
+const FollowSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Follower is required"],
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Followed user is required"],
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A user can follow another user only once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Speeds up listing a user's followers and the accounts they follow, newest first
+FollowSchema.index({ following: 1, createdAt: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1 });
+
+// Export the Follow model
+const Follow = mongoose.model("Follow", FollowSchema);
+export default Follow;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+/**
+ * Follow Request Schema for MongoDB using Mongoose
+ * A pending request to follow a private account. The request is deleted once it is approved or rejected.
+ * @property {ObjectId} requester - The user asking to follow (Required)
+ * @property {ObjectId} recipient - The private account being followed (Required)
+ */
+const FollowRequestSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Requester is required"],
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Only one pending request per pair of users
+FollowRequestSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+// Speeds up listing a user's incoming requests, newest first
+FollowRequestSchema.index({ recipient: 1, createdAt: -1 });
+
+// Export the FollowRequest model
+const FollowRequest = mongoose.model("FollowRequest", FollowRequestSchema);
+export default FollowRequest;
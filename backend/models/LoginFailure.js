@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+/**
+ * Login Failure Schema for MongoDB using Mongoose
+ * Counts failed sign-in attempts per IP address. Records expire with the tracking window.
+ * @property {String} ip - Client IP address (Unique, Required)
+ * @property {Number} count - Failed attempts in the current window
+ * @property {Date} lastFailedAt - Time of the most recent failure
+ * @property {Date} expiresAt - End of the tracking window; purged by a TTL index
+ */
+const LoginFailureSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: [true, "IP address is required"],
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove records once their window has passed
+LoginFailureSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the LoginFailure model
+const LoginFailure = mongoose.model("LoginFailure", LoginFailureSchema);
+export default LoginFailure;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+/**
+ * Message Schema for MongoDB using Mongoose
+ * @property {ObjectId} conversation - The conversation the message belongs to (Required)
+ * @property {ObjectId} sender - The user who sent the message (Required)
+ * @property {String} content - The text of the message (Required, max 2000 chars)
+ * @property {Date} readAt - When the recipient read the message (null while unread)
+ */
+const MessageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: [true, "Conversation is required"],
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+    content: {
+      type: String,
+      required: [true, "Content is required"],
+      trim: true,
+      maxlength: [2000, "Message must be at most 2000 characters"],
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up paging through a conversation, newest first
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+// Speeds up unread counts
+MessageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+// Export the Message model
+const Message = mongoose.model("Message", MessageSchema);
+export default Message;
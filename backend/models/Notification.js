@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+/**
+ * Kinds of events a user can be notified about
+ */
+export const NOTIFICATION_TYPES = ["follow", "follow_request", "follow_approved", "password_reset", "mention"];
+
+/**
+ * Notification Schema for MongoDB using Mongoose
+ * @property {ObjectId} recipient - The user being notified (Required)
+ * @property {ObjectId} actor - The user who triggered the notification (null for system events)
+ * @property {String} type - One of `NOTIFICATION_TYPES` (Required)
+ * @property {ObjectId} post - Related post, for mentions (Optional)
+ * @property {ObjectId} comment - Related comment, for mentions in comments (Optional)
+ * @property {Boolean} read - Whether the recipient has read the notification
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, "Notification type is required"],
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up listing a user's notifications and counting unread ones
+NotificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+
+// Export the Notification model
+const Notification = mongoose.model("Notification", NotificationSchema);
+export default Notification;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+/**
+ * OAuth State Schema for MongoDB using Mongoose
+ * Pending authorization requests. Each is consumed once by the callback; only the state hash is stored.
+ * @property {String} stateHash - SHA-256 hash of the `state` parameter (Unique, Required)
+ * @property {String} provider - Provider the request was sent to (Required)
+ * @property {String} codeVerifier - PKCE code verifier sent with the token request (Required)
+ * @property {String} nonce - Expected `nonce` claim of the ID token (Required)
+ * @property {String} mode - `login` to sign in or create an account, `link` to attach the identity to `user`
+ * @property {ObjectId} user - User linking the provider (link mode only)
+ * @property {Boolean} rememberMe - Whether the resulting session uses the extended lifetime
+ * @property {Date} expiresAt - When the request stops being accepted; purged by a TTL index
+ */
+const OAuthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, "State hash is required"],
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: [true, "Provider is required"],
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, "Code verifier is required"],
+  },
+  nonce: {
+    type: String,
+    required: [true, "Nonce is required"],
+  },
+  mode: {
+    type: String,
+    enum: ["login", "link"],
+    default: "login",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove abandoned requests once they have expired
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the OAuthState model
+const OAuthState = mongoose.model("OAuthState", OAuthStateSchema);
+export default OAuthState;
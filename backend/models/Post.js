@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "./Reaction.js";
+
+/**
+ * Post Schema for MongoDB using Mongoose
+ * @property {ObjectId} author - The user who created the post (Required)
+ * @property {String} content - The text content of the post (Required, max 2000 chars)
+ * @property {Object} reactionCounts - Number of reactions per type, kept in sync by the reaction controller
+ * @property {Number} commentCount - Number of comments and replies, kept in sync by the comment controller
+ */
+const PostSchema = new mongoose.Schema(
+  {
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+    },
+    content: {
+      type: String,
+      required: [true, "Content is required"],
+      trim: true,
+      maxlength: [2000, "Content must be at most 2000 characters"],
+    },
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.map((type) => [type, { type: Number, default: 0, min: 0 }])
+    ),
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Speeds up per-user post listings, newest first
+PostSchema.index({ author: 1, createdAt: -1 });
+
+// Export the Post model
+const Post = mongoose.model("Post", PostSchema);
+export default Post;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+/**
+ * Fixed set of reactions a user can leave on a post
+ */
+export const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad"];
+
+/**
+ * Reaction Schema for MongoDB using Mongoose
+ * @property {ObjectId} post - The post being reacted to (Required)
+ * @property {ObjectId} user - The user who reacted (Required)
+ * @property {String} type - One of `REACTION_TYPES` (Defaults to "like")
+ */
+const ReactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: [true, "Post is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      default: "like",
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// A user holds at most one reaction per post
+ReactionSchema.index({ post: 1, user: 1 }, { unique: true });
+// Speeds up "who reacted" listings, newest first
+ReactionSchema.index({ post: 1, createdAt: -1 });
+
+// Export the Reaction model
+const Reaction = mongoose.model("Reaction", ReactionSchema);
+export default Reaction;
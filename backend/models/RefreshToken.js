@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+/**
+ * Refresh Token Schema for MongoDB using Mongoose
+ * Each sign-in starts a token family (the session). Every refresh rotates the token: the presented
+ * token is revoked and a new one is issued in the same family. Only SHA-256 hashes are stored.
+ * @property {ObjectId} user - The session owner (Required)
+ * @property {String} family - Session ID shared by every token issued from one sign-in (Required)
+ * @property {String} tokenHash - SHA-256 hash of the refresh token (Unique, Required)
+ * @property {Boolean} rememberMe - Whether the session uses the extended lifetime
+ * @property {Date} expiresAt - When the token stops being accepted; expired tokens are purged by a TTL index
+ * @property {Date} revokedAt - When the token was rotated or revoked (null while usable)
+ * @property {String} ip - IP address the token was issued to
+ * @property {String} userAgent - User agent the token was issued to
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    rememberMe: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// Let MongoDB remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the RefreshToken model
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+export default RefreshToken;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Two-Factor Challenge Schema for MongoDB using Mongoose
+ * Sign-in challenges waiting for a second factor. Each allows a limited number of codes and is
+ * removed once sign-in completes.
+ * @property {String} challengeId - The `jti` of the challenge token (Unique, Required)
+ * @property {ObjectId} user - The user signing in (Required)
+ * @property {Number} attempts - Codes tried against the challenge so far
+ * @property {Date} expiresAt - When the challenge token expires; purged by a TTL index
+ */
+const TwoFactorChallengeSchema = new mongoose.Schema({
+  challengeId: {
+    type: String,
+    required: [true, "Challenge ID is required"],
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove abandoned challenges once they have expired
+TwoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the TwoFactorChallenge model
+const TwoFactorChallenge = mongoose.model("TwoFactorChallenge", TwoFactorChallengeSchema);
+export default TwoFactorChallenge;
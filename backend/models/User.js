@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLES } from "../config/permissions.js";
 
 /**
  * User Schema for MongoDB using Mongoose
@@ -10,8 +11,17 @@ import bcrypt from "bcryptjs";
  * @property {String} profilePicture - URL to the profile picture (Optional)
  * @property {String} bio - Short bio for the user (Optional, max 150 chars)
  * @property {Array} interests - Array of user's selected interests (Optional)
- * @property {Array} followers - List of user IDs following this user
- * @property {Array} following - List of user IDs this user follows
+ * @property {Number} followersCount - Number of users following this user (edges live in the Follow collection)
+ * @property {Number} followingCount - Number of users this user follows
+ * @property {Array} blockedUsers - List of user IDs this user has blocked
+ * @property {Array} mutedUsers - List of user IDs whose posts are hidden from this user's feed
+ * @property {Boolean} isVerified - Whether the user has confirmed their email address
+ * @property {Object} twoFactor - TOTP two-factor settings (secrets and backup codes are never selected by default)
+ * @property {Boolean} hasPassword - False for accounts created through an external provider until a password is set
+ * @property {Boolean} active - False while the account is suspended (or deactivated)
+ * @property {Object} suspension - Why, when and by whom the account was suspended, and when the suspension ends
+ * @property {Boolean} passwordResetRequired - Password sign-in is refused until the password is reset
+ * @property {Object} deletion - When and by whom deletion was requested, and when the account will be purged
  */
 const UserSchema = new mongoose.Schema(
   {
@@ -49,40 +59,137 @@ const UserSchema = new mongoose.Schema(
       type: [String], // Array of interests
       default: [],
     },
-    followers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users following this user
-    following: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users this user follows
-    resetPasswordToken: String,
-    resetPasswordExpires: Date,
+    followersCount: {
+      type: Number, // Kept in sync with Follow edges by the follow service
+      default: 0,
+      min: 0,
+    },
+    followingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users this user has blocked
+    mutedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }], // Users this user has muted
+    resetPasswordToken: {
+      type: String, // SHA-256 hash of the token emailed to the user
+      select: false,
+    },
+    resetPasswordExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date, // Access tokens issued before this time are rejected
+      select: false,
+    },
+    hasPassword: {
+      type: Boolean, // Accounts created through an external provider get an unusable random password
+      default: true,
+    },
     role: {
         type: String,
-        enum: ["admin", "user"],
+        enum: ROLES,
         default: "user",
     },
     active: {
       type: Boolean,
       default: true,
     },
+    suspension: {
+      reason: String,
+      suspendedAt: Date,
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      expiresAt: Date, // Lifted automatically once passed; unset means until reactivated
+    },
+    passwordResetRequired: {
+      type: Boolean, // Set by an admin; cleared when the password changes
+      default: false,
+    },
+    deletion: {
+      requestedAt: Date,
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      scheduledFor: Date, // The account is hidden until then, and purged afterwards
+    },
     isPrivate: {
       type: Boolean,
       default: false,
     },
-    // isVerified: {
-    //   type: Boolean,
-    //   default: false,
-    // },
-    // verificationToken: {
-    //   type: String,
-    // },
+    isVerified: {
+      type: Boolean,
+      default: false,
+    },
+    verificationToken: {
+      type: String, // SHA-256 hash of the token emailed to the user
+      select: false,
+    },
+    verificationTokenExpires: {
+      type: Date,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false,
+    },
+    lockUntil: {
+      type: Date, // Sign-in is refused until this time after too many failed attempts
+      select: false,
+    },
+    unlockToken: {
+      type: String, // SHA-256 hash of the token emailed when the account was locked
+      select: false,
+    },
+    unlockTokenExpires: {
+      type: Date,
+      select: false,
+    },
+    pendingEmail: {
+      type: String, // New address awaiting confirmation
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    emailChangeToken: {
+      type: String, // SHA-256 hash of the token emailed to the new address
+      select: false,
+    },
+    emailChangeExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false }, // Base32 TOTP secret, set once enrolment is confirmed
+      pendingSecret: { type: String, select: false }, // Secret awaiting confirmation during enrolment
+      backupCodes: { type: [String], select: false }, // SHA-256 hashes of unused backup codes
+      lastUsedStep: { type: Number, select: false }, // Last accepted TOTP time step, prevents code replay
+      failedAttempts: { type: Number, select: false }, // Wrong codes since the last correct one
+      lastFailedAt: { type: Date, select: false },
+      lockUntil: { type: Date, select: false }, // Codes are refused until then
+    },
   },
   { timestamps: true } // Adds createdAt & updatedAt fields automatically
 );
 
+// Lets the purge job find accounts whose grace period has ended
+UserSchema.index({ "deletion.scheduledFor": 1 }, { sparse: true });
+
 /**
  * Hash password before saving user to database
  */
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.hasPassword = true;
+    this.passwordResetRequired = false;
+  }
   next();
 });
 
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+/**
+ * User Identity Schema for MongoDB using Mongoose
+ * Links a user to an account at an external OAuth / OpenID Connect provider.
+ * @property {ObjectId} user - The linked user (Required)
+ * @property {String} provider - Provider name as configured in `OAUTH_PROVIDERS` (Required)
+ * @property {String} subject - The provider's stable user identifier (`sub` claim) (Required)
+ * @property {String} email - Email address reported by the provider when the identity was linked
+ */
+const UserIdentitySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+  },
+  { timestamps: true } // Adds createdAt & updatedAt fields automatically
+);
+
+// A provider account can only be linked to one user, and a user has at most one account per provider
+UserIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+UserIdentitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+// Export the UserIdentity model
+const UserIdentity = mongoose.model("UserIdentity", UserIdentitySchema);
+export default UserIdentity;
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Admin Routes
+ * @module routes/adminRoutes
+ * @description Defines API endpoints for administrative user management and the audit log.
+ */
+
+import express from "express";
+import {
+  updateUserRole,
+  getUserRecord,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  revokeSessions,
+} from "../controllers/adminController.js";
+import { getAuditLogs, exportAuditLogs } from "../controllers/auditController.js";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route PATCH /api/admin/users/:userId/role
+ * @description Changes a user's role (user, moderator or admin).
+ * @access Protected (Requires the `roles:assign` permission)
+ */
+router.patch("/users/:userId/role", protect, authorize("roles:assign"), updateUserRole);
+
+/**
+ * @route GET /api/admin/users/:userId
+ * @description Retrieves a user's full record, including account state, live sessions and linked identities.
+ * @access Protected (Requires the `users:manage` permission)
+ */
+router.get("/users/:userId", protect, authorize("users:manage"), getUserRecord);
+
+/**
+ * @route POST /api/admin/users/:userId/suspend
+ * @description Suspends a user with a reason and optional expiry (`expiresAt`) and signs them out.
+ * @access Protected (Requires the `users:manage` permission)
+ */
+router.post("/users/:userId/suspend", protect, authorize("users:manage"), suspendUser);
+
+/**
+ * @route POST /api/admin/users/:userId/reactivate
+ * @description Lifts a user's suspension.
+ * @access Protected (Requires the `users:manage` permission)
+ */
+router.post("/users/:userId/reactivate", protect, authorize("users:manage"), reactivateUser);
+
+/**
+ * @route POST /api/admin/users/:userId/password-reset
+ * @description Signs a user out and requires a password reset before their next password sign-in.
+ * @access Protected (Requires the `users:manage` permission)
+ */
+router.post("/users/:userId/password-reset", protect, authorize("users:manage"), forcePasswordReset);
+
+/**
+ * @route DELETE /api/admin/users/:userId/sessions
+ * @description Revokes every session of a user.
+ * @access Protected (Requires the `users:manage` permission)
+ */
+router.delete("/users/:userId/sessions", protect, authorize("users:manage"), revokeSessions);
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @description Queries the audit log by actor, action, target and date range (`from`, `to`), newest first.
+ * @access Protected (Requires the `audit:read` permission)
+ */
+router.get("/audit-logs", protect, authorize("audit:read"), getAuditLogs);
+
+/**
+ * @route GET /api/admin/audit-logs/export
+ * @description Downloads the matching audit log entries as CSV or JSON (`format`).
+ * @access Protected (Requires the `audit:read` permission)
+ */
+router.get("/audit-logs/export", protect, authorize("audit:read"), exportAuditLogs);
+
+export default router;
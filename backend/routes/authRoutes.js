@@ -4,15 +4,35 @@ import {
     signInUser,
     forgotPassword,
     resetPassword,
+    refreshSession,
+    verifyEmail,
+    resendVerificationEmail,
+    confirmEmailChange,
+    verifyTwoFactorSignIn,
+    unlockUserAccount,
     logoutUser
 } from "../controllers/authController";
+import {
+    setupTwoFactor,
+    confirmTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor
+} from "../controllers/twoFactorController";
+import {
+    listProviders,
+    startOAuthSignIn,
+    startOAuthLink,
+    handleOAuthCallback,
+    listIdentities,
+    unlinkProvider
+} from "../controllers/oauthController";
 import { 
     validateSignupRequest,
     validateSigninRequest,
     validateForgotPasswordRequest,
 } from "../middleware/validateRequest";
 import rateLimit from "express-rate-limit";
-import { protect } from "../middleware/authMiddleware";
+import { protect, optionalAuth, allowTwoFactorEnrolment } from "../middleware/authMiddleware";
 
 const resetPasswordLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute window
@@ -20,6 +40,31 @@ const resetPasswordLimiter = rateLimit({
   message: { message: "Too many requests. Please try again later." },
 });
 
+const resendVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minute window
+  max: process.env.NODE_ENV === "test" ? 5 : 3, // Limit each account to 3 resends per window
+  keyGenerator: (req) => req.user.id, // Runs after `protect`, so limit per account rather than per IP
+  message: { message: "Too many verification emails requested. Please try again later." },
+});
+
+const signinLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute window
+  max: process.env.NODE_ENV === "test" ? 200 : 20, // Limit each IP to 20 sign-in requests per minute
+  message: { message: "Too many sign-in attempts. Please try again later." },
+});
+
+const twoFactorLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minute window, the lifetime of a sign-in challenge
+  max: process.env.NODE_ENV === "test" ? 40 : 5, // Limit each IP to 5 code attempts per window
+  message: { message: "Too many authentication attempts. Please try again later." },
+});
+
+const oauthLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute window
+  max: process.env.NODE_ENV === "test" ? 200 : 20, // Limit each IP to 20 provider sign-in requests per minute
+  message: { message: "Too many sign-in attempts. Please try again later." },
+});
+
 const router = express.Router();
 
 /**
@@ -34,13 +79,23 @@ router.post("/signup", validateSignupRequest, registerUser);
 
 /**
  * @route POST /api/auth/signin
- * @desc Authenticate a user and return a JWT token
+ * @desc Authenticate a user and return a JWT token (failed attempts are throttled per account and IP)
  * @access Public
  * @param {Object} req - Express request object containing the user's credentials (email and password)
  * @param {Object} res - Express response object with the generated token or error message
  * @returns {Object} - JWT token for authenticated users or error details
  */
-router.post("/signin", validateSigninRequest, signInUser);
+router.post("/signin", signinLimiter, validateSigninRequest, signInUser);
+
+/**
+ * @route GET /api/auth/unlock/:token
+ * @desc Unlocks an account locked after repeated failed sign-ins, using the token from the lockout email
+ * @access Public
+ * @param {Object} req - Express request object containing the unlock token from the email link
+ * @param {Object} res - Express response object with success or error message
+ * @returns {Object} - Success message or error details
+ */
+router.get("/unlock/:token", unlockUserAccount);
 
 /**
  * @route POST /api/auth/reset-password
@@ -62,6 +117,165 @@ router.post("/reset-password", validateForgotPasswordRequest, resetPasswordLimit
  */
 router.post("/reset-password/:token", resetPassword);
 
-router.get("/signout", protect, logoutUser);
+/**
+ * @route GET /api/auth/verify/:token
+ * @desc Confirms the user's email address using the token from the verification link
+ * @access Public
+ * @param {Object} req - Express request object containing the verification token from the email link
+ * @param {Object} res - Express response object with success or error message
+ * @returns {Object} - Success message or error details
+ */
+router.get("/verify/:token", verifyEmail);
+
+/**
+ * @route POST /api/auth/verify/resend
+ * @desc Sends a new verification link to the signed-in user's email address
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message or error details
+ */
+router.post("/verify/resend", protect, resendVerificationLimiter, resendVerificationEmail);
+
+/**
+ * @route GET /api/auth/email-change/:token
+ * @desc Confirms a pending email change using the token sent to the new address
+ * @access Public
+ * @param {Object} req - Express request object containing the token from the confirmation link
+ * @param {Object} res - Express response object with success or error message
+ * @returns {Object} - Success message and new email, or error details
+ */
+router.get("/email-change/:token", confirmEmailChange);
+
+/**
+ * @route POST /api/auth/refresh
+ * @desc Rotates the refresh token and returns a new short-lived access token
+ * @access Public
+ * @param {Object} req - Express request object with the refresh token in the `refreshToken` cookie or body
+ * @param {Object} res - Express response object with the new tokens or error message
+ * @returns {Object} - New access and refresh tokens or error details
+ */
+router.post("/refresh", refreshSession);
+
+/**
+ * @route GET /api/auth/signout
+ * @desc Signs the user out and revokes the current session
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message or error details
+ */
+router.get("/signout", allowTwoFactorEnrolment, protect, logoutUser);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Completes a sign-in that requires 2FA, using the challenge token and a TOTP or backup code.
+ * A challenge accepts a limited number of codes and can only complete one sign-in.
+ * @access Public
+ * @param {Object} req - Express request object containing `challengeToken` and `code` or `backupCode`
+ * @param {Object} res - Express response object with the session tokens or error message
+ * @returns {Object} - Same payload as a successful sign-in, or error details
+ */
+router.post("/2fa/verify", twoFactorLimiter, verifyTwoFactorSignIn);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Starts 2FA enrolment and returns the secret and otpauth URI for a QR code
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - `{ secret, otpauthUri }` or error details
+ */
+router.post("/2fa/setup", allowTwoFactorEnrolment, protect, setupTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Confirms enrolment with a code from the authenticator app and returns backup codes
+ * @access Protected
+ * @param {Object} req - Express request object containing `code`
+ * @param {Object} res - Express response object
+ * @returns {Object} - Backup codes or error details
+ */
+router.post("/2fa/confirm", allowTwoFactorEnrolment, protect, twoFactorLimiter, confirmTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/backup-codes
+ * @desc Replaces all backup codes after checking a current authenticator code
+ * @access Protected
+ * @param {Object} req - Express request object containing `code`
+ * @param {Object} res - Express response object
+ * @returns {Object} - New backup codes or error details
+ */
+router.post("/2fa/backup-codes", protect, twoFactorLimiter, regenerateBackupCodes);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turns off 2FA after checking the password and a code or backup code
+ * @access Protected
+ * @param {Object} req - Express request object containing `password` and `code` or `backupCode`
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message or error details
+ */
+router.post("/2fa/disable", protect, twoFactorLimiter, disableTwoFactor);
+
+/**
+ * @route GET /api/auth/oauth/providers
+ * @desc Lists the external identity providers users can sign in with
+ * @access Public
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - `{ providers }`
+ */
+router.get("/oauth/providers", listProviders);
+
+/**
+ * @route GET /api/auth/oauth/identities
+ * @desc Lists the providers linked to the signed-in account
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - `{ hasPassword, identities }` or error details
+ */
+router.get("/oauth/identities", protect, listIdentities);
+
+/**
+ * @route GET /api/auth/oauth/:provider/authorize
+ * @desc Starts an authorization code + PKCE sign-in and returns the provider URL to redirect to
+ * @access Public
+ * @param {Object} req - Express request object with the provider name and optional `rememberMe` query
+ * @param {Object} res - Express response object
+ * @returns {Object} - `{ authorizationUrl }` or error details
+ */
+router.get("/oauth/:provider/authorize", oauthLimiter, startOAuthSignIn);
+
+/**
+ * @route POST /api/auth/oauth/:provider/link
+ * @desc Starts linking a provider to the signed-in account and returns the provider URL to redirect to
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - `{ authorizationUrl }` or error details
+ */
+router.post("/oauth/:provider/link", protect, startOAuthLink);
+
+/**
+ * @route POST /api/auth/oauth/:provider/callback
+ * @desc Completes a provider redirect: signs in (creating or linking an account) or links the provider
+ * @access Public (link requests require the access token of the account that started them)
+ * @param {Object} req - Express request object containing `code` and `state` from the redirect
+ * @param {Object} res - Express response object
+ * @returns {Object} - Same payload as a successful sign-in, the linked identity, or error details
+ */
+router.post("/oauth/:provider/callback", oauthLimiter, optionalAuth, handleOAuthCallback);
+
+/**
+ * @route DELETE /api/auth/oauth/:provider
+ * @desc Unlinks a provider from the signed-in account
+ * @access Protected
+ * @param {Object} req - Express request object with the access token in the Authorization header
+ * @param {Object} res - Express response object
+ * @returns {Object} - Success message or error details
+ */
+router.delete("/oauth/:provider", protect, unlinkProvider);
 
 export default router;
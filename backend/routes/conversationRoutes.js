@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Conversation Routes
+ * @module routes/conversationRoutes
+ * @description Defines API endpoints for one-to-one direct messaging.
+ */
+
+import express from "express";
+import {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+} from "../controllers/conversationController.js";
+import { protect, requireVerified } from "../middleware/authMiddleware.js";
+import { validateMessageRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/conversations
+ * @description Starts (or returns) the conversation with the user in `userId`.
+ * @access Protected (Requires authentication)
+ */
+router.post("/", protect, requireVerified("message"), startConversation);
+
+/**
+ * @route GET /api/conversations
+ * @description Retrieves the signed-in user's conversations with unread counts.
+ * @access Protected (Requires authentication)
+ */
+router.get("/", protect, getConversations);
+
+/**
+ * @route GET /api/conversations/:conversationId/messages
+ * @description Retrieves messages in a conversation, newest first.
+ * @access Protected (Participants only)
+ */
+router.get("/:conversationId/messages", protect, getMessages);
+
+/**
+ * @route POST /api/conversations/:conversationId/messages
+ * @description Sends a message in a conversation.
+ * @access Protected (Participants only)
+ */
+router.post("/:conversationId/messages", protect, requireVerified("message"), validateMessageRequest, sendMessage);
+
+/**
+ * @route PUT /api/conversations/:conversationId/read
+ * @description Marks received messages in a conversation as read.
+ * @access Protected (Participants only)
+ */
+router.put("/:conversationId/read", protect, markConversationRead);
+
+export default router;
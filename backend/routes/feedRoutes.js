@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Feed Routes
+ * @module routes/feedRoutes
+ * @description Defines the API endpoint for the home timeline.
+ */
+
+import express from "express";
+import { getFeed } from "../controllers/feedController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/feed
+ * @description Retrieves posts from followed users and the signed-in user, newest first.
+ * @access Protected (Requires authentication)
+ */
+router.get("/", protect, getFeed);
+
+export default router;
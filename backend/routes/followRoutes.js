@@ -1,13 +1,28 @@
 import express from "express";
-import { followUser, unfollowUser } from "../controllers/followController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import {
+  followUser,
+  unfollowUser,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest,
+} from "../controllers/followController.js";
+import { protect, requireVerified } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Follow a user
-router.post("/:userId", protect, followUser);
+// List pending follow requests sent to the signed-in user
+router.get("/requests", protect, getFollowRequests);
 
-// Unfollow a user
+// Approve a pending follow request
+router.post("/requests/:requestId/approve", protect, approveFollowRequest);
+
+// Reject a pending follow request
+router.post("/requests/:requestId/reject", protect, rejectFollowRequest);
+
+// Follow a user (or request to follow a private account)
+router.post("/:userId", protect, requireVerified("follow"), followUser);
+
+// Unfollow a user (or cancel a pending follow request)
 router.delete("/:userId", protect, unfollowUser);
 
 export default router;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Notification Routes
+ * @module routes/notificationRoutes
+ * @description Defines API endpoints for in-app notifications.
+ */
+
+import express from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notificationController.js";
+import { protect } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notifications
+ * @description Retrieves the signed-in user's notifications with the unread count.
+ * @access Protected (Requires authentication)
+ */
+router.get("/", protect, getNotifications);
+
+/**
+ * @route PUT /api/notifications/read-all
+ * @description Marks every notification of the signed-in user as read.
+ * @access Protected (Requires authentication)
+ */
+router.put("/read-all", protect, markAllNotificationsRead);
+
+/**
+ * @route PUT /api/notifications/:notificationId/read
+ * @description Marks a single notification as read.
+ * @access Protected (Requires authentication)
+ */
+router.put("/:notificationId/read", protect, markNotificationRead);
+
+export default router;
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Post Routes
+ * @module routes/postRoutes
+ * @description Defines API endpoints for post CRUD operations, reactions and comments.
+ */
+
+import express from "express";
+import {
+  createPost,
+  getPostById,
+  updatePost,
+  deletePost,
+} from "../controllers/postController.js";
+import {
+  reactToPost,
+  removeReaction,
+  getReactions,
+} from "../controllers/reactionController.js";
+import {
+  createComment,
+  getComments,
+  getReplies,
+  updateComment,
+  deleteComment,
+} from "../controllers/commentController.js";
+import { protect, requireVerified } from "../middleware/authMiddleware.js";
+import { validatePostRequest, validateCommentRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/posts
+ * @description Creates a new post authored by the signed-in user.
+ * @access Protected (Requires authentication)
+ */
+router.post("/", protect, requireVerified("post"), validatePostRequest, createPost);
+
+/**
+ * @route GET /api/posts/:postId
+ * @description Retrieves a single post by ID.
+ * @access Protected (Requires authentication)
+ */
+router.get("/:postId", protect, getPostById);
+
+/**
+ * @route PUT /api/posts/:postId
+ * @description Updates the content of a post (only the author can update it).
+ * @access Protected (Requires authentication & authorization)
+ */
+router.put("/:postId", protect, validatePostRequest, updatePost);
+
+/**
+ * @route DELETE /api/posts/:postId
+ * @description Deletes a post (the author or an admin).
+ * @access Protected (Requires authentication & authorization)
+ */
+router.delete("/:postId", protect, deletePost);
+
+/**
+ * @route POST /api/posts/:postId/reactions
+ * @description Adds or changes the signed-in user's reaction to a post.
+ * @access Protected (Requires authentication)
+ */
+router.post("/:postId/reactions", protect, requireVerified("react"), reactToPost);
+
+/**
+ * @route DELETE /api/posts/:postId/reactions
+ * @description Removes the signed-in user's reaction from a post.
+ * @access Protected (Requires authentication)
+ */
+router.delete("/:postId/reactions", protect, removeReaction);
+
+/**
+ * @route GET /api/posts/:postId/reactions
+ * @description Retrieves a paginated list of users who reacted to a post.
+ * @access Protected (Requires authentication)
+ */
+router.get("/:postId/reactions", protect, getReactions);
+
+/**
+ * @route POST /api/posts/:postId/comments
+ * @description Adds a comment to a post, or a reply when `parentId` is provided.
+ * @access Protected (Requires authentication)
+ */
+router.post("/:postId/comments", protect, requireVerified("comment"), validateCommentRequest, createComment);
+
+/**
+ * @route GET /api/posts/:postId/comments
+ * @description Retrieves a paginated list of top-level comments on a post.
+ * @access Protected (Requires authentication)
+ */
+router.get("/:postId/comments", protect, getComments);
+
+/**
+ * @route GET /api/posts/:postId/comments/:commentId/replies
+ * @description Retrieves a paginated list of replies to a comment.
+ * @access Protected (Requires authentication)
+ */
+router.get("/:postId/comments/:commentId/replies", protect, getReplies);
+
+/**
+ * @route PUT /api/posts/:postId/comments/:commentId
+ * @description Edits a comment (only the comment author can edit it).
+ * @access Protected (Requires authentication & authorization)
+ */
+router.put("/:postId/comments/:commentId", protect, validateCommentRequest, updateComment);
+
+/**
+ * @route DELETE /api/posts/:postId/comments/:commentId
+ * @description Deletes a comment and its replies (the comment author, the post author or an admin).
+ * @access Protected (Requires authentication & authorization)
+ */
+router.delete("/:postId/comments/:commentId", protect, deleteComment);
+
+export default router;
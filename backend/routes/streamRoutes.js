@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Stream Routes
+ * @module routes/streamRoutes
+ * @description Defines the real-time Server-Sent Events endpoint.
+ */
+
+import express from "express";
+import { openEventStream } from "../controllers/streamController.js";
+import { protect, tokenFromQuery } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/stream
+ * @description Opens a Server-Sent Events stream for the signed-in user. Browsers' `EventSource`
+ * cannot set headers, so the JWT may also be passed as `?access_token=<token>`. The stream ends once
+ * the session is signed out or revoked, or the account is suspended.
+ * @access Protected (Requires authentication)
+ */
+router.get("/", tokenFromQuery, protect, openEventStream);
+
+export default router;
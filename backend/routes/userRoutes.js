@@ -10,19 +10,72 @@ import {
   getUserById,
   updateUser,
   deleteUser,
+  changePassword,
+  requestEmailChange,
 } from "../controllers/userController.js";
 import { getFollowers, getFollowing } from "../controllers/followController.js";
-import { protect, validateQueryParams } from "../middleware/authMiddleware.js";
+import { getUserPosts } from "../controllers/postController.js";
+import {
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedAndMutedUsers,
+} from "../controllers/blockController.js";
+import { createDataExport, getDataExportStatus, downloadDataExport } from "../controllers/dataExportController.js";
+import { protect, optionalAuth, validateQueryParams } from "../middleware/authMiddleware.js";
 import uploadMiddleware from "../services/fileUploadService.js";
 
 const router = express.Router();
 
 /**
  * @route GET /api/users
- * @description Retrieves all users.
+ * @description Retrieves all users (users who blocked the signed-in requester are hidden).
  * @access Public
  */
-router.get("/", validateQueryParams, getAllUsers);
+router.get("/", optionalAuth, validateQueryParams, getAllUsers);
+
+/**
+ * @route GET /api/users/me/blocks
+ * @description Retrieves the users blocked and muted by the signed-in user.
+ * @access Protected (Requires authentication)
+ */
+router.get("/me/blocks", protect, getBlockedAndMutedUsers);
+
+/**
+ * @route POST /api/users/me/password
+ * @description Changes the signed-in user's password (requires the current password).
+ * @access Protected (Requires authentication)
+ */
+router.post("/me/password", protect, changePassword);
+
+/**
+ * @route POST /api/users/me/email
+ * @description Sends a confirmation link to a new email address; the address changes once confirmed.
+ * @access Protected (Requires authentication)
+ */
+router.post("/me/email", protect, requestEmailChange);
+
+/**
+ * @route POST /api/users/me/export
+ * @description Starts generating an archive of the signed-in user's data; a download link is emailed when ready.
+ * @access Protected (Requires authentication)
+ */
+router.post("/me/export", protect, createDataExport);
+
+/**
+ * @route GET /api/users/me/export
+ * @description Retrieves the status of the signed-in user's latest data export.
+ * @access Protected (Requires authentication)
+ */
+router.get("/me/export", protect, getDataExportStatus);
+
+/**
+ * @route GET /api/users/me/export/download/:token
+ * @description Downloads a data export archive using the link from the email; the link expires with the export.
+ * @access Public (the token authenticates the download)
+ */
+router.get("/me/export/download/:token", downloadDataExport);
 
 /**
  * @route GET /api/users/:userId
@@ -40,7 +93,7 @@ router.put("/:userId", protect, uploadMiddleware, updateUser);
 
 /**
  * @route DELETE /api/users/:userId
- * @description Deletes a user account (only the signed-in user can delete their own account).
+ * @description Deletes a user account (the signed-in user's own, or any account for admins).
  * @access Protected (Requires authentication & authorization)
  */
 router.delete("/:userId", protect, deleteUser);
@@ -51,4 +104,15 @@ router.get("/:userId/followers", protect, getFollowers);
 // Get a user's following list
 router.get("/:userId/following", protect, getFollowing);
 
+// Get a user's posts
+router.get("/:userId/posts", protect, getUserPosts);
+
+// Block / unblock a user
+router.post("/:userId/block", protect, blockUser);
+router.delete("/:userId/block", protect, unblockUser);
+
+// Mute / unmute a user
+router.post("/:userId/mute", protect, muteUser);
+router.delete("/:userId/mute", protect, unmuteUser);
+
 export default router;
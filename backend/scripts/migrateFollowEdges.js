@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Follow Edges Migration Runner
+ * @description Connects to MongoDB and moves embedded follower arrays into the Follow collection.
+ * Usage: `npm run migrate:follow-edges` (with the API stopped)
+ */
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { migrateFollowEdges } from "../migrations/followEdges.js";
+
+// Load environment variables
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const { users, inserted, skipped } = await migrateFollowEdges();
+  console.log(`✅ Migrated ${users} user(s): ${inserted} follow edge(s) created, ${skipped} invalid reference(s) skipped`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("❌ Follow edge migration failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -1,17 +1,22 @@
 /**
  * @fileoverview Server Entry Point
- * @description Starts the Express server after connecting to MongoDB.
+ * @description Starts the Express server and background jobs after connecting to MongoDB.
  */
 
 import dotenv from "dotenv";
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { startAccountPurgeJob } from "./jobs/accountPurgeJob.js";
+import { startDataExportCleanupJob } from "./jobs/dataExportCleanupJob.js";
 
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start background jobs
+connectDB().then(() => {
+  startAccountPurgeJob();
+  startDataExportCleanupJob();
+});
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
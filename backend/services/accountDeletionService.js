@@ -0,0 +1,214 @@
+import fs from "fs/promises";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Reaction from "../models/Reaction.js";
+import FollowRequest from "../models/FollowRequest.js";
+import Notification from "../models/Notification.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import RefreshToken from "../models/RefreshToken.js";
+import UserIdentity from "../models/UserIdentity.js";
+import OAuthState from "../models/OAuthState.js";
+import TwoFactorChallenge from "../models/TwoFactorChallenge.js";
+import { getDeletionGracePeriodMs } from "../config/accountDeletionPolicy.js";
+import { revokeUserSessions } from "./sessionService.js";
+import { recordAudit } from "./auditService.js";
+import { uploadedFilePath } from "./fileUploadService.js";
+import { removeUserExports } from "./dataExportService.js";
+import { removeAllFollows } from "./followService.js";
+
+/**
+ * Query filter excluding accounts pending deletion, which are hidden from other users
+ */
+export const NOT_PENDING_DELETION = { "deletion.scheduledFor": { $exists: false } };
+
+/**
+ * @description Check whether an account is waiting out its deletion grace period
+ * @param {Object} user - User document
+ * @returns {boolean} True once deletion has been requested
+ */
+export const isPendingDeletion = (user) => Boolean(user.deletion?.scheduledFor);
+
+/**
+ * @description Mark an account for deletion and sign it out everywhere. The account is hidden
+ * straight away and purged once the grace period ends.
+ * @param {Object} user - The account to delete
+ * @param {Object} params - `{ requestedBy }`, the user asking for the deletion
+ * @returns {Promise<Date>} When the account will be purged
+ */
+export const scheduleAccountDeletion = async (user, { requestedBy }) => {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + getDeletionGracePeriodMs());
+
+  await User.updateOne({ _id: user._id }, { deletion: { requestedAt, requestedBy, scheduledFor } });
+  await revokeUserSessions(user._id);
+
+  return scheduledFor;
+};
+
+/**
+ * @description Check whether signing in may restore a pending deletion. Only accounts their owner
+ * deleted can be restored; an account removed by an admin stays deleted.
+ * @param {Object} user - User document pending deletion
+ * @returns {boolean} True if the owner requested the deletion
+ */
+export const canRestoreAccount = (user) => user.deletion?.requestedBy?.toString() === user._id.toString();
+
+/**
+ * @description Cancel a pending deletion
+ * @param {Object} user - User document pending deletion; updated in place
+ * @returns {Promise<boolean>} True if a pending deletion was cancelled
+ */
+export const restoreAccount = async (user) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, "deletion.scheduledFor": { $exists: true } },
+    { $unset: { deletion: "" } }
+  );
+  user.deletion = undefined;
+
+  return modifiedCount > 0;
+};
+
+/**
+ * @description Remove an uploaded profile picture from disk. External URLs (e.g. from an
+ * identity provider) are left alone.
+ * @param {string} profilePicture - The stored `/uploads/<file>` path
+ */
+const removeUploadedPicture = async (profilePicture) => {
+  const filePath = uploadedFilePath(profilePicture);
+  if (!filePath) return;
+
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+/**
+ * @description Delete comments and keep the post and parent counters in sync,
+ * the same way a single comment deletion does
+ * @param {Object[]} comments - Comment documents to delete
+ */
+const deleteCommentsWithCounters = async (comments) => {
+  const deletedIds = new Set(comments.map((comment) => comment._id.toString()));
+
+  for (const comment of comments) {
+    const { deletedCount: deletedReplies } = await Comment.deleteMany({ parent: comment._id });
+    const { deletedCount } = await Comment.deleteOne({ _id: comment._id });
+    if (!deletedCount) continue; // Already removed as a reply to another comment in the list
+
+    if (comment.parent && !deletedIds.has(comment.parent.toString())) {
+      await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+    }
+    await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -(1 + deletedReplies) } });
+  }
+};
+
+/**
+ * Cleanup run for every purged account, in order, before the user document is removed.
+ * Each step receives the user document; add a step here when a new model references users.
+ */
+export const ACCOUNT_CLEANUP_STEPS = [
+  // Follow edges, and blocks and mutes other users hold on the account
+  (user) => removeAllFollows(user._id),
+  (user) =>
+    User.updateMany(
+      { $or: [{ blockedUsers: user._id }, { mutedUsers: user._id }] },
+      { $pull: { blockedUsers: user._id, mutedUsers: user._id } }
+    ),
+  (user) => FollowRequest.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] }),
+
+  // The account's posts, with everything attached to them
+  async (user) => {
+    const postIds = await Post.find({ author: user._id }).distinct("_id");
+    await Reaction.deleteMany({ post: { $in: postIds } });
+    await Comment.deleteMany({ post: { $in: postIds } });
+    await Notification.deleteMany({ post: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+  },
+
+  // Reactions and comments the account left on other users' posts. Each counter is only decremented
+  // for a reaction this run deleted, so retrying a failed purge does not count a reaction twice.
+  async (user) => {
+    const reactions = await Reaction.find({ user: user._id });
+    for (const reaction of reactions) {
+      const { deletedCount } = await Reaction.deleteOne({ _id: reaction._id });
+      if (!deletedCount) continue;
+
+      await Post.updateOne({ _id: reaction.post }, { $inc: { [`reactionCounts.${reaction.type}`]: -1 } });
+    }
+  },
+  async (user) => deleteCommentsWithCounters(await Comment.find({ author: user._id })),
+
+  // Direct messages the account sent; the other participant keeps their side of each conversation
+  async (user) => {
+    const conversationIds = await Conversation.find({ participants: user._id }).distinct("_id");
+    await Message.deleteMany({ sender: user._id });
+
+    for (const conversationId of conversationIds) {
+      const latest = await Message.findOne({ conversation: conversationId }).sort({ createdAt: -1, _id: -1 });
+
+      if (!latest) {
+        await Conversation.deleteOne({ _id: conversationId });
+        continue;
+      }
+
+      await Conversation.updateOne(
+        { _id: conversationId },
+        { $pull: { participants: user._id }, $set: { lastMessage: latest._id, lastMessageAt: latest.createdAt } }
+      );
+    }
+  },
+
+  (user) => Notification.deleteMany({ $or: [{ recipient: user._id }, { actor: user._id }] }),
+  (user) => RefreshToken.deleteMany({ user: user._id }),
+  (user) => UserIdentity.deleteMany({ user: user._id }),
+  (user) => OAuthState.deleteMany({ user: user._id }),
+  (user) => TwoFactorChallenge.deleteMany({ user: user._id }),
+  (user) => removeUserExports(user._id),
+  (user) => removeUploadedPicture(user.profilePicture),
+];
+
+/**
+ * @description Permanently delete an account and everything that references it
+ * @param {Object} user - User document to purge
+ * @returns {Promise<void>}
+ */
+export const purgeAccount = async (user) => {
+  for (const step of ACCOUNT_CLEANUP_STEPS) {
+    await step(user);
+  }
+
+  await User.deleteOne({ _id: user._id });
+};
+
+/**
+ * @description Purge every account whose deletion grace period has ended. A failure is reported
+ * and the account retried on the next run, without stopping the others.
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Promise<Object[]>} The purged accounts as `{ id, email }`
+ */
+export const purgeDeletedAccounts = async (now = new Date()) => {
+  const due = await User.find({ "deletion.scheduledFor": { $lte: now } });
+  const purged = [];
+
+  for (const user of due) {
+    try {
+      await purgeAccount(user);
+      await recordAudit(null, {
+        action: "user.purge",
+        actor: null,
+        target: { type: "User", id: user._id },
+        before: { name: user.name, email: user.email },
+        metadata: { requestedAt: user.deletion.requestedAt, requestedBy: user.deletion.requestedBy },
+      });
+      purged.push({ id: user._id, email: user.email });
+    } catch (error) {
+      console.error(`❌ Failed to purge account ${user._id}:`, error.message);
+    }
+  }
+
+  return purged;
+};
@@ -0,0 +1,46 @@
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * @description Reduce before/after snapshots to the fields that actually changed
+ * @param {Object} [before] - Values before the action
+ * @param {Object} [after] - Values after the action
+ * @returns {Object|undefined} `{ before, after }` limited to changed fields, or undefined if nothing was given
+ */
+export const diffChanges = (before, after) => {
+  if (!before && !after) return undefined;
+  if (!before || !after) return { before, after };
+
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (key) => JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+
+  return {
+    before: Object.fromEntries(changed.map((key) => [key, before[key]])),
+    after: Object.fromEntries(changed.map((key) => [key, after[key]])),
+  };
+};
+
+/**
+ * @description Append an entry to the audit log. Never throws: a failed write is reported
+ * but must not fail the action being audited.
+ * @param {Object|null} req - Express request object (for the IP, user agent and signed-in actor); null for background jobs
+ * @param {Object} entry - `{ action, actor, target, before, after, metadata }`; `actor` defaults to `req.user`
+ * and `target` is `{ type, id }`
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, { action, actor = req?.user, target, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: actor?._id,
+      actorEmail: actor?.email,
+      action,
+      target,
+      ip: req?.ip,
+      userAgent: req?.get("user-agent"),
+      changes: diffChanges(before, after),
+      metadata,
+    });
+  } catch (error) {
+    console.error("❌ Failed to write audit log entry:", error.message);
+  }
+};
@@ -0,0 +1,254 @@
+import fs from "fs/promises";
+import path from "path";
+import User from "../models/User.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Reaction from "../models/Reaction.js";
+import Message from "../models/Message.js";
+import UserIdentity from "../models/UserIdentity.js";
+import Follow from "../models/Follow.js";
+import DataExport from "../models/DataExport.js";
+import { DATA_EXPORT_DIR, DATA_EXPORT_TTL_MS, DATA_EXPORT_TIMEOUT_MS } from "../config/dataExportPolicy.js";
+import { createTarGz } from "../utils/tarArchive.js";
+import { createSecureToken, hashToken } from "../utils/secureToken.js";
+import { uploadedFilePath } from "./fileUploadService.js";
+import { sendMail, frontendLink } from "./mailer/index.js";
+
+/**
+ * Profile fields included in an export. Secrets (password, tokens, 2FA) are never exported.
+ */
+const PROFILE_FIELDS = [
+  "name",
+  "displayName",
+  "email",
+  "bio",
+  "interests",
+  "profilePicture",
+  "isPrivate",
+  "isVerified",
+  "role",
+  "createdAt",
+  "updatedAt",
+];
+
+/**
+ * @description Shape another user for the export; their contact details are left out
+ * @param {Object} user - Populated user document
+ * @returns {Object} `{ id, name }`
+ */
+const describeUser = (user) => ({ id: user._id, name: user.name });
+
+/**
+ * @description Gather everything stored about a user into a plain object
+ * @param {Object} user - User document with the block and mute lists populated
+ * @returns {Promise<Object>} The data written to `data.json`
+ */
+const collectUserData = async (user) => {
+  const [followers, following, posts, comments, reactions, messages, identities] = await Promise.all([
+    Follow.find({ following: user._id }).sort({ createdAt: 1 }).populate("follower", "name"),
+    Follow.find({ follower: user._id }).sort({ createdAt: 1 }).populate("following", "name"),
+    Post.find({ author: user._id }).sort({ createdAt: 1 }).select("content reactionCounts commentCount createdAt updatedAt"),
+    Comment.find({ author: user._id }).sort({ createdAt: 1 }).select("post parent content createdAt updatedAt"),
+    Reaction.find({ user: user._id }).sort({ createdAt: 1 }).select("post type createdAt"),
+    Message.find({ sender: user._id }).sort({ createdAt: 1 }).select("conversation content createdAt"),
+    UserIdentity.find({ user: user._id }).sort({ createdAt: 1 }).select("provider email createdAt"),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: Object.fromEntries(PROFILE_FIELDS.map((field) => [field, user[field]])),
+    followers: followers.map((edge) => ({ ...describeUser(edge.follower), since: edge.createdAt })),
+    following: following.map((edge) => ({ ...describeUser(edge.following), since: edge.createdAt })),
+    blockedUsers: user.blockedUsers.map(describeUser),
+    mutedUsers: user.mutedUsers.map(describeUser),
+    linkedAccounts: identities.map(({ provider, email, createdAt }) => ({ provider, email, linkedAt: createdAt })),
+    posts,
+    comments,
+    reactions,
+    messages,
+  };
+};
+
+/**
+ * @description Read the user's uploaded profile picture, if they have one on disk
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} Archive entry `{ name, data }`, or null
+ */
+const readProfilePicture = async (user) => {
+  const filePath = uploadedFilePath(user.profilePicture);
+  if (!filePath) return null;
+
+  try {
+    return { name: `profile-picture/${path.basename(filePath)}`, data: await fs.readFile(filePath) };
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * @description Remove an export and its archive
+ * @param {Object} dataExport - DataExport document
+ */
+const removeExport = async (dataExport) => {
+  if (dataExport.fileName) {
+    await fs.rm(path.join(DATA_EXPORT_DIR, dataExport.fileName), { force: true });
+  }
+  await DataExport.deleteOne({ _id: dataExport._id });
+};
+
+/**
+ * @description Build the archive for an export, then email the user a download link.
+ * Failures mark the export as failed; they are not thrown. The export may be removed while it
+ * is generating (a stalled export replaced by a new request, or the account purged), so the
+ * final state is only written if it is still processing, and the archive is discarded otherwise.
+ * @param {string|ObjectId} exportId - The pending export
+ * @param {Object} [options] - `{ locale }` for the notification email
+ * @returns {Promise<string|null>} The final status, or null if the export was not pending or was removed
+ */
+export const generateDataExport = async (exportId, { locale } = {}) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { status: "processing" },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  const stillProcessing = { _id: dataExport._id, status: "processing" };
+  const fileName = `${dataExport._id}.tar.gz`;
+  const filePath = path.join(DATA_EXPORT_DIR, fileName);
+
+  try {
+    const user = await User.findById(dataExport.user).populate("blockedUsers mutedUsers", "name");
+    if (!user) throw new Error("User no longer exists");
+
+    const data = await collectUserData(user);
+    const picture = await readProfilePicture(user);
+    const archive = await createTarGz([
+      { name: "data.json", data: JSON.stringify(data, null, 2) },
+      ...(picture ? [picture] : []),
+    ]);
+
+    await fs.mkdir(DATA_EXPORT_DIR, { recursive: true });
+    await fs.writeFile(filePath, archive);
+
+    const { token, tokenHash } = createSecureToken();
+    const completedAt = new Date();
+    const { matchedCount } = await DataExport.updateOne(stillProcessing, {
+      $set: {
+        status: "ready",
+        fileName,
+        size: archive.length,
+        downloadToken: tokenHash,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + DATA_EXPORT_TTL_MS),
+      },
+      $unset: { inProgress: "" },
+    });
+
+    if (!matchedCount) {
+      await fs.rm(filePath, { force: true });
+      return null;
+    }
+
+    await sendMail({
+      to: user.email,
+      template: "dataExportReady",
+      locale,
+      data: { name: user.name, link: frontendLink(`/data-export/${token}`) },
+    }).catch((error) => console.error("❌ Failed to send data export email:", error.message));
+
+    return "ready";
+  } catch (error) {
+    console.error(`❌ Data export ${dataExport._id} failed:`, error.message);
+    await fs.rm(filePath, { force: true });
+
+    const { matchedCount } = await DataExport.updateOne(stillProcessing, {
+      $set: { status: "failed", completedAt: new Date() },
+      $unset: { inProgress: "" },
+    });
+    return matchedCount ? "failed" : null;
+  }
+};
+
+/**
+ * @description Start a new export for a user. Earlier exports are replaced, and the archive
+ * is generated in the background.
+ * @param {Object} user - The requesting user
+ * @param {Object} [options] - `{ locale }` for the notification email
+ * @returns {Promise<Object|null>} The pending export, or null if one is already being generated
+ */
+export const requestDataExport = async (user, { locale } = {}) => {
+  const stalledBefore = new Date(Date.now() - DATA_EXPORT_TIMEOUT_MS);
+  const inProgress = await DataExport.exists({ user: user._id, inProgress: true, createdAt: { $gt: stalledBefore } });
+  if (inProgress) {
+    return null;
+  }
+
+  // Never remove an export another request has just started
+  const previousExports = await DataExport.find({
+    user: user._id,
+    $or: [{ inProgress: { $ne: true } }, { createdAt: { $lte: stalledBefore } }],
+  });
+  for (const previous of previousExports) {
+    await removeExport(previous);
+  }
+
+  let dataExport;
+  try {
+    dataExport = await DataExport.create({ user: user._id });
+  } catch (error) {
+    // A concurrent request started one first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // Generation can take a while; the client polls the status endpoint
+  setImmediate(() =>
+    generateDataExport(dataExport._id, { locale }).catch((error) =>
+      console.error(`❌ Data export ${dataExport._id} failed:`, error.message)
+    )
+  );
+
+  return dataExport;
+};
+
+/**
+ * @description Find the archive a download link points to
+ * @param {string} token - Raw token from the emailed link
+ * @returns {Promise<Object|null>} `{ dataExport, filePath }`, or null if the link is invalid or expired
+ */
+export const findDownloadableExport = async (token) => {
+  const dataExport = await DataExport.findOne({
+    downloadToken: hashToken(String(token)),
+    status: "ready",
+    expiresAt: { $gt: new Date() },
+  });
+
+  return dataExport && { dataExport, filePath: path.join(DATA_EXPORT_DIR, dataExport.fileName) };
+};
+
+/**
+ * @description Remove exports whose download link has expired
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Promise<number>} Number of exports removed
+ */
+export const removeExpiredExports = async (now = new Date()) => {
+  const expired = await DataExport.find({ expiresAt: { $lte: now } });
+
+  for (const dataExport of expired) {
+    await removeExport(dataExport);
+  }
+
+  return expired.length;
+};
+
+/**
+ * @description Remove all of a user's exports, e.g. when the account is purged
+ * @param {string|ObjectId} userId - The user
+ */
+export const removeUserExports = async (userId) => {
+  for (const dataExport of await DataExport.find({ user: userId })) {
+    await removeExport(dataExport);
+  }
+};
@@ -0,0 +1,49 @@
+import { EventEmitter } from "events";
+
+/**
+ * @description In-process publish/subscribe bus used to push real-time events to connected clients.
+ * Events are addressed to a single user. Everything runs inside the Node process, so no external
+ * broker is required; a multi-instance deployment can replace this with an adapter exposing the
+ * same `publish`/`subscribe` interface.
+ */
+class InProcessEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open connection
+  }
+
+  /**
+   * @description Publish an event to every connection of a user
+   * @param {string} userId - Recipient user ID
+   * @param {string} event - Event name (e.g. "notification")
+   * @param {Object} data - JSON-serialisable payload
+   */
+  publish(userId, event, data) {
+    this.emitter.emit(`user:${userId}`, { event, data });
+  }
+
+  /**
+   * @description Subscribe to events addressed to a user
+   * @param {string} userId - User ID to listen for
+   * @param {Function} listener - Called with `{ event, data }`
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(userId, listener) {
+    const channel = `user:${userId}`;
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  /**
+   * @description Number of active subscriptions for a user
+   * @param {string} userId - User ID
+   * @returns {number} Listener count
+   */
+  subscriberCount(userId) {
+    return this.emitter.listenerCount(`user:${userId}`);
+  }
+}
+
+// Shared instance used by the whole app
+const eventBus = new InProcessEventBus();
+export default eventBus;
@@ -1,10 +1,25 @@
 import multer from "multer";
 import path from "path";
 
+/**
+ * Directory uploaded files are stored in; they are served as `/uploads/<file name>`
+ */
+export const UPLOADS_DIR = "uploads";
+
+/**
+ * @description Resolve a stored `/uploads/<file>` URL to its path on disk
+ * @param {string} url - Stored file URL (e.g. a user's `profilePicture`)
+ * @returns {string|null} Path on disk, or null for external URLs and empty values
+ */
+export const uploadedFilePath = (url) => {
+  if (!url?.startsWith("/uploads/")) return null;
+  return path.join(UPLOADS_DIR, path.basename(url));
+};
+
 // Configure storage for uploaded files
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, "uploads/"); // Store files in 'uploads/' directory
+    cb(null, `${UPLOADS_DIR}/`); // Store files in 'uploads/' directory
   },
   filename: (req, file, cb) => {
     cb(null, `${Date.now()}-${file.originalname}`); // Unique file name
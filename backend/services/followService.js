@@ -0,0 +1,168 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+import { encodeCursor, olderThanCursor, newerThanCursor } from "../utils/pagination.js";
+import { NOT_PENDING_DELETION } from "./accountDeletionService.js";
+
+/**
+ * @description Check whether one user follows another
+ * @param {string|ObjectId} followerId - The possible follower
+ * @param {string|ObjectId} followingId - The possibly followed user
+ * @returns {Promise<boolean>} True if the follow edge exists
+ */
+export const isFollowing = async (followerId, followingId) => {
+  return Boolean(await Follow.exists({ follower: followerId, following: followingId }));
+};
+
+/**
+ * @description Create a follow edge and update both users' counters. The unique index makes this
+ * safe under concurrent requests: only the request that inserts the edge changes the counters.
+ * @param {string|ObjectId} followerId - The user who follows
+ * @param {string|ObjectId} followingId - The user being followed
+ * @returns {Promise<boolean>} True if the edge was created, false if it already existed
+ */
+export const createFollow = async (followerId, followingId) => {
+  try {
+    await Follow.create({ follower: followerId, following: followingId });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followersCount: 1 } });
+
+  return true;
+};
+
+/**
+ * @description Delete a follow edge and update both users' counters
+ * @param {string|ObjectId} followerId - The user who follows
+ * @param {string|ObjectId} followingId - The user being followed
+ * @returns {Promise<boolean>} True if an edge was deleted
+ */
+export const removeFollow = async (followerId, followingId) => {
+  const edge = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+  if (!edge) return false;
+
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: followingId }, { $inc: { followersCount: -1 } });
+
+  return true;
+};
+
+/**
+ * @description Delete the follow edges between two users in both directions
+ * @param {string|ObjectId} userA - First user
+ * @param {string|ObjectId} userB - Second user
+ * @returns {Promise<boolean>} True if any edge was deleted
+ */
+export const removeFollowsBetween = async (userA, userB) => {
+  const removedAB = await removeFollow(userA, userB);
+  const removedBA = await removeFollow(userB, userA);
+
+  return removedAB || removedBA;
+};
+
+/**
+ * @description Delete every follow edge involving a user, updating the other users' counters.
+ * Edges are removed one at a time and only the call that deletes an edge changes the counters,
+ * so retrying after a failure does not count an edge twice.
+ * @param {string|ObjectId} userId - The user being removed from the graph
+ * @returns {Promise<void>}
+ */
+export const removeAllFollows = async (userId) => {
+  const edges = await Follow.find({ $or: [{ follower: userId }, { following: userId }] }).select("follower following");
+
+  for (const edge of edges) {
+    await removeFollow(edge.follower, edge.following);
+  }
+
+  await User.updateOne({ _id: userId }, { followersCount: 0, followingCount: 0 });
+};
+
+/**
+ * @description IDs of the users a user follows
+ * @param {string|ObjectId} userId - The follower
+ * @returns {Promise<ObjectId[]>} Followed user IDs
+ */
+export const getFollowingIds = (userId) => Follow.find({ follower: userId }).distinct("following");
+
+/**
+ * @description IDs of a user's followers
+ * @param {string|ObjectId} userId - The followed user
+ * @returns {Promise<ObjectId[]>} Follower IDs
+ */
+export const getFollowerIds = (userId) => Follow.find({ following: userId }).distinct("follower");
+
+// Escape user input so it matches literally inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @description One page of a user's followers or followed accounts, ordered by follow date.
+ * Each entry carries when the follow started and how it relates to the viewer, so clients can
+ * offer follow-back buttons.
+ * @param {string|ObjectId} userId - Whose list to read
+ * @param {Object} options
+ * @param {string} options.list - "followers" or "following"
+ * @param {string|ObjectId} options.viewerId - The signed-in user
+ * @param {number} options.limit - Page size
+ * @param {Object|null} [options.cursor] - Decoded cursor of the last entry of the previous page
+ * @param {string} [options.search] - Case-insensitive filter on the listed users' names
+ * @param {string} [options.sort="newest"] - "newest" or "oldest" follow first
+ * @returns {Promise<Object>} `{ users, nextCursor }`; each user has `followedAt`, `isFollowedByMe` and `followsMe`
+ */
+export const getFollowList = async (userId, { list, viewerId, limit, cursor = null, search, sort = "newest" }) => {
+  // The list owner is on one side of each edge, the listed users on the other
+  const [ownerField, userField] = list === "followers" ? ["following", "follower"] : ["follower", "following"];
+  const oldestFirst = sort === "oldest";
+  const order = oldestFirst ? 1 : -1;
+
+  // Aggregations do not cast, so the owner ID must already be an ObjectId
+  const match = { [ownerField]: new mongoose.Types.ObjectId(String(userId)) };
+  if (cursor) Object.assign(match, oldestFirst ? newerThanCursor(cursor) : olderThanCursor(cursor));
+
+  // Join each edge to its user, skipping suspended, deactivated and deleted accounts like the feed does
+  const userMatch = { active: true, ...NOT_PENDING_DELETION };
+  if (search) userMatch.name = { $regex: escapeRegex(search), $options: "i" };
+
+  // The page is cut after the join, so skipped users never shorten it. One extra edge is fetched
+  // to know whether another page exists.
+  const edges = await Follow.aggregate([
+    { $match: match },
+    { $sort: { createdAt: order, _id: order } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: userField,
+        foreignField: "_id",
+        pipeline: [{ $match: userMatch }, { $project: { name: 1, profilePicture: 1 } }],
+        as: "user",
+      },
+    },
+    { $unwind: "$user" },
+    { $limit: limit + 1 },
+  ]);
+
+  const hasMore = edges.length > limit;
+  if (hasMore) edges.pop();
+
+  const ids = edges.map((edge) => edge.user._id);
+  const [followedByViewer, followingViewer] = await Promise.all([
+    Follow.find({ follower: viewerId, following: { $in: ids } }).distinct("following"),
+    Follow.find({ follower: { $in: ids }, following: viewerId }).distinct("follower"),
+  ]);
+  const followedSet = new Set(followedByViewer.map(String));
+  const followerSet = new Set(followingViewer.map(String));
+
+  const users = edges.map(({ user, createdAt }) => ({
+    _id: user._id,
+    name: user.name,
+    profilePicture: user.profilePicture,
+    followedAt: createdAt,
+    isFollowedByMe: followedSet.has(String(user._id)),
+    followsMe: followerSet.has(String(user._id)),
+  }));
+
+  return { users, nextCursor: hasMore ? encodeCursor(edges[edges.length - 1]) : null };
+};
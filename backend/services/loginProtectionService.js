@@ -0,0 +1,205 @@
+import User from "../models/User.js";
+import LoginFailure from "../models/LoginFailure.js";
+import EmailLoginFailure from "../models/EmailLoginFailure.js";
+import { getLoginPolicy } from "../config/loginPolicy.js";
+import { createSecureToken, hashToken } from "../utils/secureToken.js";
+
+/**
+ * Fields `signInUser` must select for `getAccountThrottle`.
+ */
+export const LOGIN_TRACKING_FIELDS = "+failedLoginAttempts +lastFailedLoginAt +lockUntil";
+
+/**
+ * @description Delay required after a number of failures: none for the free attempts, then doubling
+ * @param {number} failures - Failed attempts so far
+ * @param {number} freeAttempts - Failures allowed without delay
+ * @returns {number} Delay in milliseconds
+ */
+const progressiveDelay = (failures, freeAttempts) => {
+  const { baseDelayMs, maxDelayMs } = getLoginPolicy();
+  if (failures <= freeAttempts) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - freeAttempts - 1), maxDelayMs);
+};
+
+/**
+ * @description Milliseconds left before a timestamp plus a delay has passed
+ * @param {Date} since - Start time
+ * @param {number} delayMs - Delay
+ * @returns {number} Remaining milliseconds (0 if passed)
+ */
+const remaining = (since, delayMs) => Math.max(0, new Date(since).getTime() + delayMs - Date.now());
+
+/**
+ * @description Check whether an IP address must wait before its next sign-in attempt
+ * @param {string} ip - Client IP address
+ * @returns {Promise<number>} Milliseconds to wait (0 if allowed)
+ */
+export const getIpThrottle = async (ip) => {
+  const { ipFreeAttempts, ipBlockThreshold } = getLoginPolicy();
+  const record = await LoginFailure.findOne({ ip, expiresAt: { $gt: new Date() } });
+
+  if (!record) return 0;
+
+  // Blocked for the rest of the window once the threshold is reached
+  if (record.count >= ipBlockThreshold) {
+    return remaining(record.expiresAt, 0);
+  }
+  return remaining(record.lastFailedAt, progressiveDelay(record.count, ipFreeAttempts));
+};
+
+/**
+ * @description Lock or delay state from an email's failure tracking
+ * @param {Object} tracking - `{ failedAttempts, lastFailedAt, lockUntil }`
+ * @returns {Object} `{ locked, retryAfterMs }`
+ */
+const throttleFromTracking = ({ failedAttempts, lastFailedAt, lockUntil }) => {
+  if (lockUntil && lockUntil > Date.now()) {
+    return { locked: true, retryAfterMs: remaining(lockUntil, 0) };
+  }
+
+  const { accountFreeAttempts } = getLoginPolicy();
+  const delay = lockUntil ? 0 : progressiveDelay(failedAttempts, accountFreeAttempts);
+
+  return { locked: false, retryAfterMs: lastFailedAt ? remaining(lastFailedAt, delay) : 0 };
+};
+
+/**
+ * @description Whether the failure count should start over: the last lock has expired,
+ * or the previous failure is older than the tracking window
+ * @param {Object} tracking - `{ lastFailedAt, lockUntil }`
+ * @param {Date} now - Current time
+ * @returns {boolean} True to restart counting
+ */
+const shouldRestartCount = ({ lastFailedAt, lockUntil }, now) => {
+  const { accountWindowMs } = getLoginPolicy();
+  return Boolean((lockUntil && lockUntil <= now) || (lastFailedAt && now - lastFailedAt > accountWindowMs));
+};
+
+/**
+ * @description Check whether an email is locked or must wait before its next sign-in attempt.
+ * Unknown emails are tracked the same way as accounts, so the response cannot reveal which exist.
+ * @param {Object} params - `{ user, email }`; `user` is selected with `LOGIN_TRACKING_FIELDS`, or null
+ * @returns {Promise<Object>} `{ locked, retryAfterMs }`
+ */
+export const getAccountThrottle = async ({ user, email }) => {
+  if (user) {
+    return throttleFromTracking({
+      failedAttempts: user.failedLoginAttempts,
+      lastFailedAt: user.lastFailedLoginAt,
+      lockUntil: user.lockUntil,
+    });
+  }
+
+  const record = await EmailLoginFailure.findOne({ email, expiresAt: { $gt: new Date() } });
+  return record ? throttleFromTracking(record) : { locked: false, retryAfterMs: 0 };
+};
+
+/**
+ * @description Record a failed sign-in for an email that has no account, locking it at the same
+ * threshold as a real account
+ * @param {string} email - Normalized email address
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} `{ locked }`
+ */
+const recordUnknownEmailFailure = async (email, now) => {
+  const { accountWindowMs, accountLockThreshold, lockDurationMs } = getLoginPolicy();
+  const expiresAt = new Date(now.getTime() + accountWindowMs);
+
+  const existing = await EmailLoginFailure.findOne({ email });
+  const updated = await EmailLoginFailure.findOneAndUpdate(
+    { email },
+    existing && !shouldRestartCount(existing, now)
+      ? { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: now, expiresAt } }
+      : { $set: { failedAttempts: 1, lastFailedAt: now, expiresAt }, $unset: { lockUntil: "" } },
+    { upsert: true, new: true }
+  );
+
+  if (updated.failedAttempts < accountLockThreshold) {
+    return { locked: false };
+  }
+
+  await EmailLoginFailure.updateOne(
+    { email, $or: [{ lockUntil: { $exists: false } }, { lockUntil: { $lte: now } }] },
+    { lockUntil: new Date(now.getTime() + lockDurationMs) }
+  );
+
+  return { locked: true };
+};
+
+/**
+ * @description Record a failed sign-in for the IP address and the account, or for the email
+ * address when it has no account. Locks the account or email once it reaches the threshold.
+ * @param {Object} params - `{ user, email, ip }`; `user` is null for unknown emails
+ * @returns {Promise<Object>} `{ locked, unlockToken }`; `unlockToken` is set when this failure locked the account
+ */
+export const recordFailedLogin = async ({ user, email, ip }) => {
+  const { ipWindowMs, accountLockThreshold, lockDurationMs, unlockTokenTtlMs } = getLoginPolicy();
+  const now = new Date();
+
+  await LoginFailure.findOneAndUpdate(
+    { ip },
+    { $inc: { count: 1 }, $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + ipWindowMs) } },
+    { upsert: true }
+  );
+
+  if (!user) return recordUnknownEmailFailure(email, now);
+
+  // A previous lock has expired or the last failure is old: start counting again
+  const reset = shouldRestartCount({ lastFailedAt: user.lastFailedLoginAt, lockUntil: user.lockUntil }, now);
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    reset
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: "" } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select(LOGIN_TRACKING_FIELDS);
+
+  if (updated.failedLoginAttempts < accountLockThreshold) {
+    return { locked: false };
+  }
+
+  // Claim the lock atomically so concurrent failures send only one unlock email
+  const { token, tokenHash } = createSecureToken();
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, $or: [{ lockUntil: { $exists: false } }, { lockUntil: { $lte: now } }] },
+    {
+      lockUntil: new Date(now.getTime() + lockDurationMs),
+      unlockToken: tokenHash,
+      unlockTokenExpires: new Date(now.getTime() + unlockTokenTtlMs),
+    }
+  );
+
+  return { locked: true, unlockToken: locked ? token : undefined };
+};
+
+/**
+ * @description Clear an account's failed attempts after a successful sign-in
+ * @param {Object} user - User document selected with `LOGIN_TRACKING_FIELDS`
+ */
+export const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lastFailedLoginAt: "", lockUntil: "", unlockToken: "", unlockTokenExpires: "" },
+    }
+  );
+};
+
+/**
+ * @description Unlock an account with the token from the lockout email (single use)
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<Object|null>} The unlocked user, or null if the token is invalid or expired
+ */
+export const unlockAccount = (token) => {
+  return User.findOneAndUpdate(
+    { unlockToken: hashToken(token), unlockTokenExpires: { $gt: new Date() } },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lastFailedLoginAt: "", lockUntil: "", unlockToken: "", unlockTokenExpires: "" },
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Mailer
+ * @module services/mailer
+ * @description Renders named email templates and hands them to the configured transport.
+ *
+ * `MAIL_TRANSPORT` selects the transport: `smtp`, `file` (writes `.eml` files to `MAIL_OUTBOX_DIR`)
+ * or `memory` (captures messages in `sentMail`). Defaults to `memory` under test, `smtp` in
+ * production and `file` otherwise.
+ */
+
+import dotenv from "dotenv";
+import { createSmtpTransport } from "./transports/smtpTransport.js";
+import { createFileTransport } from "./transports/fileTransport.js";
+import { createMemoryTransport } from "./transports/memoryTransport.js";
+import { renderTemplate, SUPPORTED_LOCALES, DEFAULT_LOCALE } from "./templates/index.js";
+
+dotenv.config();
+
+export { sentMail, clearSentMail } from "./transports/memoryTransport.js";
+export { SUPPORTED_LOCALES, DEFAULT_LOCALE };
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let transport = null;
+
+/**
+ * @description Name of the transport to use when none was set explicitly
+ * @returns {string} Transport name
+ */
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === "test") return "memory";
+  return process.env.NODE_ENV === "production" ? "smtp" : "file";
+};
+
+/**
+ * @description Get the active transport, creating it on first use
+ * @returns {Object} Transport with a `send(message)` method
+ * @throws {Error} If `MAIL_TRANSPORT` names an unknown transport
+ */
+export const getTransport = () => {
+  if (!transport) {
+    const name = defaultTransportName();
+
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+/**
+ * @description Replace the active transport (any object with a `send(message)` method)
+ * @param {Object|null} customTransport - Transport to use, or null to fall back to the configured one
+ */
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * @description Pick the email locale from the request's Accept-Language header
+ * @param {Object} req - Express request object
+ * @returns {string} Supported locale code
+ */
+export const requestLocale = (req) => req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+
+/**
+ * @description Build an absolute link into the frontend
+ * @param {string} pathname - Path starting with "/"
+ * @returns {string} Frontend URL
+ */
+export const frontendLink = (pathname) => `${(process.env.FRONTEND_URL || "").replace(/\/$/, "")}${pathname}`;
+
+/**
+ * @description Render a template and send it
+ * @param {Object} options - `{ to, template, locale, data }`
+ * @returns {Promise<Object>} Transport delivery info
+ * @throws {Error} If rendering or delivery fails
+ */
+export const sendMail = async ({ to, template, locale, data }) => {
+  const { subject, text, html } = renderTemplate(template, locale, data);
+
+  try {
+    return await getTransport().send({
+      from: process.env.MAIL_FROM || `"Support Team" <${process.env.EMAIL_USER || "no-reply@localhost"}>`,
+      to,
+      subject,
+      text,
+      html,
+    });
+  } catch (error) {
+    console.error(`Error sending "${template}" email:`, error.message);
+    throw new Error("Failed to send email.");
+  }
+};
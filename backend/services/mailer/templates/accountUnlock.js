@@ -0,0 +1,33 @@
+/**
+ * Sent when repeated failed sign-ins lock an account. Data: `{ name, link }`; the link expires after one hour.
+ */
+export default {
+  en: {
+    subject: () => "Your account has been temporarily locked",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nWe locked your account after several failed sign-in attempts. ` +
+      `It unlocks automatically in 15 minutes, or you can unlock it now:\n${link}\n\n` +
+      "If these attempts were not you, consider resetting your password.",
+    html: ({ name, link }) => `
+      <h2>Account Temporarily Locked</h2>
+      <p>Hi ${name},</p>
+      <p>We locked your account after several failed sign-in attempts. It unlocks automatically in 15 minutes, or you can unlock it now:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Unlock Your Account</a>
+      <p>If these attempts were not you, consider resetting your password.</p>
+    `,
+  },
+  es: {
+    subject: () => "Tu cuenta se ha bloqueado temporalmente",
+    text: ({ name, link }) =>
+      `Hola ${name}:\n\nHemos bloqueado tu cuenta tras varios intentos fallidos de inicio de sesión. ` +
+      `Se desbloqueará automáticamente en 15 minutos, o puedes desbloquearla ahora:\n${link}\n\n` +
+      "Si no fuiste tú, te recomendamos restablecer tu contraseña.",
+    html: ({ name, link }) => `
+      <h2>Cuenta bloqueada temporalmente</h2>
+      <p>Hola ${name}:</p>
+      <p>Hemos bloqueado tu cuenta tras varios intentos fallidos de inicio de sesión. Se desbloqueará automáticamente en 15 minutos, o puedes desbloquearla ahora:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Desbloquear cuenta</a>
+      <p>Si no fuiste tú, te recomendamos restablecer tu contraseña.</p>
+    `,
+  },
+};
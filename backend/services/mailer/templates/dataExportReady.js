@@ -0,0 +1,31 @@
+/**
+ * Sent when a personal data export has finished generating. Data: `{ name, link }`; the link expires after 7 days.
+ */
+export default {
+  en: {
+    subject: () => "Your data export is ready",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nThe copy of your data you requested is ready. Download it here:\n${link}\n\n` +
+      "This link will expire in 7 days. If you did not request this export, please change your password.",
+    html: ({ name, link }) => `
+      <h2>Your Data Export Is Ready</h2>
+      <p>Hi ${name},</p>
+      <p>The copy of your data you requested is ready.</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Download Your Data</a>
+      <p>This link will expire in 7 days. If you did not request this export, please change your password.</p>
+    `,
+  },
+  es: {
+    subject: () => "Tu exportación de datos está lista",
+    text: ({ name, link }) =>
+      `Hola ${name}:\n\nLa copia de tus datos que solicitaste está lista. Descárgala aquí:\n${link}\n\n` +
+      "Este enlace caduca en 7 días. Si no solicitaste esta exportación, cambia tu contraseña.",
+    html: ({ name, link }) => `
+      <h2>Tu exportación de datos está lista</h2>
+      <p>Hola ${name}:</p>
+      <p>La copia de tus datos que solicitaste está lista.</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Descargar tus datos</a>
+      <p>Este enlace caduca en 7 días. Si no solicitaste esta exportación, cambia tu contraseña.</p>
+    `,
+  },
+};
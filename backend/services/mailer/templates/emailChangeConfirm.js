@@ -0,0 +1,31 @@
+/**
+ * Sent to the new address when a user asks to change their email. Data: `{ name, link }`; the link expires after 24 hours.
+ */
+export default {
+  en: {
+    subject: () => "Confirm your new email address",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nConfirm that you want to use this address for your account:\n${link}\n\n` +
+      "This link will expire in 24 hours. If you did not request this change, please ignore this email.",
+    html: ({ name, link }) => `
+      <h2>Confirm Your New Email Address</h2>
+      <p>Hi ${name},</p>
+      <p>Click the link below to start using this address for your account:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Confirm Email Change</a>
+      <p>This link will expire in 24 hours. If you did not request this change, please ignore this email.</p>
+    `,
+  },
+  es: {
+    subject: () => "Confirma tu nueva dirección de correo",
+    text: ({ name, link }) =>
+      `Hola ${name}:\n\nConfirma que quieres usar esta dirección en tu cuenta:\n${link}\n\n` +
+      "Este enlace caduca en 24 horas. Si no solicitaste este cambio, ignora este correo.",
+    html: ({ name, link }) => `
+      <h2>Confirma tu nueva dirección de correo</h2>
+      <p>Hola ${name}:</p>
+      <p>Haz clic en el siguiente enlace para usar esta dirección en tu cuenta:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Confirmar cambio de correo</a>
+      <p>Este enlace caduca en 24 horas. Si no solicitaste este cambio, ignora este correo.</p>
+    `,
+  },
+};
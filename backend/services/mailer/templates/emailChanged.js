@@ -0,0 +1,31 @@
+/**
+ * Sent to the previous address once an email change is confirmed. Data: `{ name, newEmail }`.
+ */
+export default {
+  en: {
+    subject: () => "Your email address has been changed",
+    text: ({ name, newEmail }) =>
+      `Hi ${name},\n\nThe email address on your account was changed to ${newEmail}. ` +
+      "You will no longer receive account emails at this address.\n\n" +
+      "If you did not make this change, contact support immediately.",
+    html: ({ name, newEmail }) => `
+      <h2>Email Address Changed</h2>
+      <p>Hi ${name},</p>
+      <p>The email address on your account was changed to <strong>${newEmail}</strong>. You will no longer receive account emails at this address.</p>
+      <p>If you did not make this change, contact support immediately.</p>
+    `,
+  },
+  es: {
+    subject: () => "Tu dirección de correo ha cambiado",
+    text: ({ name, newEmail }) =>
+      `Hola ${name}:\n\nLa dirección de correo de tu cuenta se cambió a ${newEmail}. ` +
+      "Ya no recibirás correos de la cuenta en esta dirección.\n\n" +
+      "Si no hiciste este cambio, contacta con soporte de inmediato.",
+    html: ({ name, newEmail }) => `
+      <h2>Dirección de correo cambiada</h2>
+      <p>Hola ${name}:</p>
+      <p>La dirección de correo de tu cuenta se cambió a <strong>${newEmail}</strong>. Ya no recibirás correos de la cuenta en esta dirección.</p>
+      <p>Si no hiciste este cambio, contacta con soporte de inmediato.</p>
+    `,
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Email address confirmation sent on signup and on resend. Data: `{ name, link }`; the link expires after 24 hours.
+ */
+export default {
+  en: {
+    subject: () => "Confirm your email address",
+    text: ({ name, link }) =>
+      `Welcome, ${name}!\n\nConfirm your email address by opening this link:\n${link}\n\n` +
+      "This link will expire in 24 hours. If you did not create an account, please ignore this email.",
+    html: ({ name, link }) => `
+      <h2>Welcome, ${name}!</h2>
+      <p>Click the link below to confirm your email address:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Verify Your Email</a>
+      <p>This link will expire in 24 hours. If you did not create an account, please ignore this email.</p>
+    `,
+  },
+  es: {
+    subject: () => "Confirma tu dirección de correo",
+    text: ({ name, link }) =>
+      `¡Bienvenido, ${name}!\n\nConfirma tu dirección de correo abriendo este enlace:\n${link}\n\n` +
+      "Este enlace caduca en 24 horas. Si no creaste una cuenta, ignora este correo.",
+    html: ({ name, link }) => `
+      <h2>¡Bienvenido, ${name}!</h2>
+      <p>Haz clic en el siguiente enlace para confirmar tu dirección de correo:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Verificar correo</a>
+      <p>Este enlace caduca en 24 horas. Si no creaste una cuenta, ignora este correo.</p>
+    `,
+  },
+};
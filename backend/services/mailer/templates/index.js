@@ -0,0 +1,64 @@
+import passwordReset from "./passwordReset.js";
+import passwordResetRequired from "./passwordResetRequired.js";
+import emailVerification from "./emailVerification.js";
+import accountUnlock from "./accountUnlock.js";
+import passwordChanged from "./passwordChanged.js";
+import emailChangeConfirm from "./emailChangeConfirm.js";
+import emailChanged from "./emailChanged.js";
+import dataExportReady from "./dataExportReady.js";
+
+/**
+ * Registered email templates by name. Each maps a locale to `{ subject, text, html }` render functions.
+ */
+const templates = {
+  passwordReset,
+  passwordResetRequired,
+  emailVerification,
+  accountUnlock,
+  passwordChanged,
+  emailChangeConfirm,
+  emailChanged,
+  dataExportReady,
+};
+
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * Locales every template provides.
+ */
+export const SUPPORTED_LOCALES = ["en", "es"];
+
+/**
+ * @description Escape a value for interpolation into HTML
+ * @param {*} value - Template data value
+ * @returns {string} HTML-safe string
+ */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * @description Render a named template for a locale, falling back to the default locale
+ * @param {string} name - Template name (e.g. "passwordReset")
+ * @param {string} [locale] - Preferred locale (e.g. "es")
+ * @param {Object} [data] - Values interpolated into the template
+ * @returns {Object} `{ subject, text, html, locale }`
+ * @throws {Error} If the template does not exist
+ */
+export const renderTemplate = (name, locale, data = {}) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLocale = template[locale] ? locale : DEFAULT_LOCALE;
+  const { subject, text, html } = template[resolvedLocale];
+  const safeData = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, escapeHtml(value)]));
+
+  return {
+    subject: subject(data),
+    text: text(data),
+    html: html(safeData),
+    locale: resolvedLocale,
+  };
+};
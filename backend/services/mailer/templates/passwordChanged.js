@@ -0,0 +1,29 @@
+/**
+ * Confirmation sent after a password is reset or changed. Data: `{ name }`.
+ */
+export default {
+  en: {
+    subject: () => "Your password has been changed",
+    text: ({ name }) =>
+      `Hi ${name},\n\nThe password for your account was just changed and all your sessions were signed out.\n\n` +
+      "If you did not make this change, reset your password immediately and contact support.",
+    html: ({ name }) => `
+      <h2>Password Changed</h2>
+      <p>Hi ${name},</p>
+      <p>The password for your account was just changed and all your sessions were signed out.</p>
+      <p>If you did not make this change, reset your password immediately and contact support.</p>
+    `,
+  },
+  es: {
+    subject: () => "Tu contraseña ha cambiado",
+    text: ({ name }) =>
+      `Hola ${name}:\n\nLa contraseña de tu cuenta acaba de cambiar y se han cerrado todas tus sesiones.\n\n` +
+      "Si no hiciste este cambio, restablece tu contraseña de inmediato y contacta con soporte.",
+    html: ({ name }) => `
+      <h2>Contraseña cambiada</h2>
+      <p>Hola ${name}:</p>
+      <p>La contraseña de tu cuenta acaba de cambiar y se han cerrado todas tus sesiones.</p>
+      <p>Si no hiciste este cambio, restablece tu contraseña de inmediato y contacta con soporte.</p>
+    `,
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Password reset email. Data: `{ name, link }`; the link expires after one hour.
+ */
+export default {
+  en: {
+    subject: () => "Password Reset Request",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nUse the link below to reset your password:\n${link}\n\n` +
+      "This link will expire in 1 hour. If you did not request this, please ignore this email.",
+    html: ({ name, link }) => `
+      <h2>Password Reset Request</h2>
+      <p>Hi ${name},</p>
+      <p>Click the link below to reset your password:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Reset Your Password</a>
+      <p>This link will expire in 1 hour. If you did not request this, please ignore this email.</p>
+    `,
+  },
+  es: {
+    subject: () => "Solicitud de restablecimiento de contraseña",
+    text: ({ name, link }) =>
+      `Hola ${name}:\n\nUsa el siguiente enlace para restablecer tu contraseña:\n${link}\n\n` +
+      "Este enlace caduca en 1 hora. Si no lo solicitaste, ignora este correo.",
+    html: ({ name, link }) => `
+      <h2>Restablecer contraseña</h2>
+      <p>Hola ${name}:</p>
+      <p>Haz clic en el siguiente enlace para restablecer tu contraseña:</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Restablecer contraseña</a>
+      <p>Este enlace caduca en 1 hora. Si no lo solicitaste, ignora este correo.</p>
+    `,
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Sent when an administrator requires a password reset. Data: `{ name, link }`; the link expires after 24 hours.
+ */
+export default {
+  en: {
+    subject: () => "Please reset your password",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nFor your security, an administrator has signed you out and asked you to choose a new password. ` +
+      `You will not be able to sign in with your current password until you do:\n${link}\n\n` +
+      "This link will expire in 24 hours. If it expires, request a new one from the sign-in page.",
+    html: ({ name, link }) => `
+      <h2>Please Reset Your Password</h2>
+      <p>Hi ${name},</p>
+      <p>For your security, an administrator has signed you out and asked you to choose a new password.
+      You will not be able to sign in with your current password until you do.</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Reset Your Password</a>
+      <p>This link will expire in 24 hours. If it expires, request a new one from the sign-in page.</p>
+    `,
+  },
+  es: {
+    subject: () => "Restablece tu contraseña",
+    text: ({ name, link }) =>
+      `Hola ${name}:\n\nPor tu seguridad, un administrador ha cerrado tus sesiones y te pide que elijas una nueva contraseña. ` +
+      `No podrás iniciar sesión con tu contraseña actual hasta que lo hagas:\n${link}\n\n` +
+      "Este enlace caduca en 24 horas. Si caduca, solicita uno nuevo desde la página de inicio de sesión.",
+    html: ({ name, link }) => `
+      <h2>Restablece tu contraseña</h2>
+      <p>Hola ${name}:</p>
+      <p>Por tu seguridad, un administrador ha cerrado tus sesiones y te pide que elijas una nueva contraseña.
+      No podrás iniciar sesión con tu contraseña actual hasta que lo hagas.</p>
+      <a href="${link}" style="color: #1DA1F2; font-weight: bold;">Restablecer contraseña</a>
+      <p>Este enlace caduca en 24 horas. Si caduca, solicita uno nuevo desde la página de inicio de sesión.</p>
+    `,
+  },
+};
@@ -0,0 +1,27 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+/**
+ * @description Create a transport that writes each message as an `.eml` file instead of sending it.
+ * Useful for local development: open the files in any mail client to check the rendering.
+ * @param {string} [outboxDir] - Target directory, defaults to `MAIL_OUTBOX_DIR` or `./outbox`
+ * @returns {Object} Transport with a `send(message)` method
+ */
+export const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || "outbox") => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      const file = path.join(outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`);
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(file, info.message);
+
+      return { ...info, message: undefined, file };
+    },
+  };
+};
@@ -0,0 +1,23 @@
+/**
+ * Messages delivered through the memory transport, oldest first.
+ */
+export const sentMail = [];
+
+/**
+ * @description Forget all captured messages (call between tests).
+ */
+export const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+/**
+ * @description Create a transport that keeps messages in `sentMail` so tests can assert on them.
+ * @returns {Object} Transport with a `send(message)` method
+ */
+export const createMemoryTransport = () => ({
+  name: "memory",
+  send: async (message) => {
+    sentMail.push({ ...message, sentAt: new Date() });
+    return { accepted: [message.to], messageId: `memory-${sentMail.length}` };
+  },
+});
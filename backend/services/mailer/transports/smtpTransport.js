@@ -0,0 +1,23 @@
+import nodemailer from "nodemailer";
+
+/**
+ * @description Create a transport that delivers mail over SMTP.
+ * Uses `SMTP_HOST`/`SMTP_PORT` when set, otherwise the well-known `EMAIL_SERVICE` (default Gmail).
+ * @returns {Object} Transport with a `send(message)` method
+ */
+export const createSmtpTransport = () => {
+  const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth,
+      })
+    : nodemailer.createTransport({ service: process.env.EMAIL_SERVICE || "gmail", auth });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
@@ -0,0 +1,59 @@
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { canViewUserContent } from "../utils/visibility.js";
+import eventBus from "./eventBus.js";
+import { NOT_PENDING_DELETION } from "./accountDeletionService.js";
+
+/**
+ * @description Create an in-app notification and push it to the recipient's open connections.
+ * Failures are logged and swallowed so they never break the action that triggered them.
+ * @param {Object} notification - `{ recipient, actor, type, post, comment }`
+ * @returns {Promise<Object|null>} The created notification, or null on failure
+ */
+export const createNotification = async ({ recipient, actor = null, type, post, comment }) => {
+  try {
+    const notification = await Notification.create({ recipient, actor, type, post, comment });
+    eventBus.publish(recipient.toString(), "notification", notification);
+    return notification;
+  } catch (error) {
+    console.error("❌ Error creating notification:", error.message);
+    return null;
+  }
+};
+
+/**
+ * @description Notify users mentioned as `@displayName` in a post or comment.
+ * Only users who can see the content, and who have not blocked the author, are notified.
+ * @param {Object} params
+ * @param {string} params.content - Text that may contain mentions
+ * @param {Object} params.actor - The user who wrote the content
+ * @param {Object} params.owner - The user whose privacy settings govern the content (needs `isPrivate`, `blockedUsers`)
+ * @param {ObjectId} params.post - The post containing or hosting the mention
+ * @param {ObjectId} [params.comment] - The comment containing the mention
+ * @returns {Promise<void>}
+ */
+export const notifyMentions = async ({ content, actor, owner, post, comment }) => {
+  try {
+    const displayNames = [...new Set([...content.matchAll(/@([\w.]+)/g)].map((match) => match[1]))];
+
+    if (!displayNames.length) return;
+
+    const mentionedUsers = await User.find({
+      displayName: { $in: displayNames },
+      _id: { $ne: actor._id },
+      blockedUsers: { $ne: actor._id },
+      ...NOT_PENDING_DELETION,
+    }).select("_id");
+
+    const canView = await Promise.all(mentionedUsers.map((user) => canViewUserContent(owner, user._id)));
+    const recipients = mentionedUsers.filter((user, index) => canView[index]);
+
+    await Promise.all(
+      recipients.map((user) =>
+        createNotification({ recipient: user._id, actor: actor._id, type: "mention", post, comment })
+      )
+    );
+  } catch (error) {
+    console.error("❌ Error creating mention notifications:", error.message);
+  }
+};
@@ -0,0 +1,237 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import OAuthState from "../models/OAuthState.js";
+import { OAUTH_STATE_TTL_MS, getProviderConfig } from "../config/oauthProviders.js";
+import { hashToken } from "../utils/secureToken.js";
+
+// Discovery documents and key sets rarely change; cache them per URL for the life of the process
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const PROVIDER_UNAVAILABLE = { status: 502, message: "The identity provider could not be reached. Please try again later." };
+const AUTHORIZATION_FAILED = { status: 401, message: "Sign-in with the identity provider failed. Please try again." };
+
+/**
+ * @description Fetch a JSON document from a provider
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - `fetch` options
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} If the request fails or returns a non-2xx status
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: { Accept: "application/json", ...options.headers } });
+  if (!response.ok) {
+    const error = new Error(`Provider request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+/**
+ * @description Resolve a provider's endpoints, using OpenID Connect discovery when an issuer is configured
+ * @param {Object} config - Provider settings from `getProviderConfig`
+ * @returns {Promise<Object>} `{ issuer, authorizationUrl, tokenUrl, userinfoUrl, jwksUrl }`
+ */
+const resolveEndpoints = async (config) => {
+  let discovered = {};
+
+  if (config.issuer) {
+    const url = `${config.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+    if (!discoveryCache.has(url)) discoveryCache.set(url, await fetchJson(url));
+    discovered = discoveryCache.get(url);
+  }
+
+  // Explicitly configured endpoints override discovered ones
+  return {
+    issuer: discovered.issuer || config.issuer,
+    authorizationUrl: config.authorizationUrl || discovered.authorization_endpoint,
+    tokenUrl: config.tokenUrl || discovered.token_endpoint,
+    userinfoUrl: config.userinfoUrl || discovered.userinfo_endpoint,
+    jwksUrl: config.jwksUrl || discovered.jwks_uri,
+  };
+};
+
+/**
+ * @description Find the provider key an ID token was signed with, refetching the key set once for unknown key IDs
+ * @param {string} jwksUrl - Provider's JWKS endpoint
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object|null>} Public key object, or null if no matching key exists
+ */
+const getSigningKey = async (jwksUrl, kid) => {
+  const findKey = () => (jwksCache.get(jwksUrl) || []).find((key) => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { keys = [] } = await fetchJson(jwksUrl);
+    jwksCache.set(jwksUrl, keys);
+  }
+
+  const jwk = findKey();
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+};
+
+/**
+ * @description Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - Raw ID token
+ * @param {Object} params - `{ config, endpoints, nonce }`
+ * @returns {Promise<Object|null>} Verified claims, or null if the token is invalid
+ */
+const verifyIdToken = async (idToken, { config, endpoints, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !endpoints.jwksUrl) return null;
+
+  const key = await getSigningKey(endpoints.jwksUrl, decoded.header.kid);
+  if (!key) return null;
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "ES256"],
+      issuer: endpoints.issuer,
+      audience: config.clientId,
+    });
+    return claims.nonce === nonce ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @description Generate a random URL-safe value for `state`, `nonce` and the PKCE verifier
+ * @returns {string} 256-bit random string
+ */
+const randomValue = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * @description Start an authorization code + PKCE request to a provider
+ * @param {Object} params - `{ provider, mode, userId, rememberMe }`; `userId` is required in `link` mode
+ * @returns {Promise<Object>} `{ authorizationUrl }` or `{ status, message }`
+ */
+export const createAuthorizationRequest = async ({ provider, mode = "login", userId, rememberMe = false }) => {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    return { status: 404, message: "Unknown identity provider." };
+  }
+
+  let endpoints;
+  try {
+    endpoints = await resolveEndpoints(config);
+  } catch (error) {
+    return PROVIDER_UNAVAILABLE;
+  }
+
+  const state = randomValue();
+  const nonce = randomValue();
+  const codeVerifier = randomValue();
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: config.name,
+    codeVerifier,
+    nonce,
+    mode,
+    user: userId,
+    rememberMe: Boolean(rememberMe),
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+  });
+
+  const url = new URL(endpoints.authorizationUrl);
+  url.search = new URLSearchParams({
+    ...Object.fromEntries(url.searchParams),
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { authorizationUrl: url.toString() };
+};
+
+/**
+ * @description Complete an authorization request: consume the state, exchange the code and read the user's identity
+ * @param {Object} params - `{ provider, code, state }` from the provider's redirect
+ * @returns {Promise<Object>} `{ identity, mode, userId, rememberMe }` or `{ status, message }`.
+ * `identity` is `{ provider, subject, email, emailVerified, name, picture }`.
+ */
+export const completeAuthorization = async ({ provider, code, state }) => {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    return { status: 404, message: "Unknown identity provider." };
+  }
+
+  if (typeof code !== "string" || !code || typeof state !== "string" || !state) {
+    return { status: 400, message: "Authorization code and state are required." };
+  }
+
+  // Consume the state in a single update so a redirect cannot be replayed
+  const pending = await OAuthState.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider: config.name,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!pending) {
+    return { status: 400, message: "Invalid or expired sign-in request. Please start again." };
+  }
+
+  let claims;
+  try {
+    const endpoints = await resolveEndpoints(config);
+
+    let tokens;
+    try {
+      tokens = await fetchJson(endpoints.tokenUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: config.redirectUri,
+          client_id: config.clientId,
+          code_verifier: pending.codeVerifier,
+          ...(config.clientSecret && { client_secret: config.clientSecret }),
+        }),
+      });
+    } catch (error) {
+      // The provider rejected the code (4xx) rather than being unreachable
+      if (error.status >= 400 && error.status < 500) return AUTHORIZATION_FAILED;
+      throw error;
+    }
+
+    if (tokens.id_token) {
+      claims = await verifyIdToken(tokens.id_token, { config, endpoints, nonce: pending.nonce });
+      if (!claims) return AUTHORIZATION_FAILED;
+    }
+
+    // Plain OAuth2 providers (or ID tokens without an email) need the userinfo endpoint
+    if ((!claims || !claims.email) && endpoints.userinfoUrl && tokens.access_token) {
+      const userinfo = await fetchJson(endpoints.userinfoUrl, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (claims && String(userinfo.sub) !== String(claims.sub)) return AUTHORIZATION_FAILED;
+      claims = { ...userinfo, ...claims };
+    }
+  } catch (error) {
+    return PROVIDER_UNAVAILABLE;
+  }
+
+  if (!claims?.sub) return AUTHORIZATION_FAILED;
+
+  return {
+    identity: {
+      provider: config.name,
+      subject: String(claims.sub),
+      email: typeof claims.email === "string" ? claims.email.toLowerCase().trim() : undefined,
+      emailVerified: claims.email_verified === true || claims.email_verified === "true",
+      name: claims.name,
+      picture: claims.picture,
+    },
+    mode: pending.mode,
+    userId: pending.user?.toString(),
+    rememberMe: pending.rememberMe,
+  };
+};
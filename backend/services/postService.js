@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import { canViewUserContent } from "../utils/visibility.js";
+import { isPendingDeletion } from "./accountDeletionService.js";
+
+/**
+ * @description Load a post and check that the viewer may see it.
+ * Used by every endpoint that reads or interacts with a single post.
+ * @param {string} postId - ID of the post from the request params
+ * @param {string} viewerId - ID of the authenticated user
+ * @returns {Promise<Object>} `{ post }` on success, otherwise `{ status, message }` describing the error response
+ */
+export const findVisiblePost = async (postId, viewerId) => {
+  // Validate MongoDB ObjectId format
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    return { status: 400, message: "Invalid post ID." };
+  }
+
+  const post = await Post.findById(postId).populate(
+    "author",
+    "name profilePicture isPrivate blockedUsers active deletion"
+  );
+
+  // Posts of suspended, deactivated and deleted accounts are hidden along with the account
+  if (!post || !post.author || !post.author.active || isPendingDeletion(post.author)) {
+    return { status: 404, message: "Post not found." };
+  }
+
+  // If the author has a private account and the requester is not following them
+  if (!(await canViewUserContent(post.author, viewerId))) {
+    return { status: 403, message: "This user's posts are private." };
+  }
+
+  return { post };
+};
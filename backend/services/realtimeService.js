@@ -0,0 +1,44 @@
+import User from "../models/User.js";
+import eventBus from "./eventBus.js";
+import { getFollowerIds } from "./followService.js";
+
+/**
+ * @description Push the current follower and following counts of users to their open connections.
+ * @param {...(string|ObjectId)} userIds - Users whose counts changed
+ * @returns {Promise<void>}
+ */
+export const publishFollowCounts = async (...userIds) => {
+  try {
+    const users = await User.find({ _id: { $in: userIds } }).select("followersCount followingCount");
+
+    users.forEach((user) => {
+      eventBus.publish(user.id, "follow_counts", {
+        followersCount: user.followersCount,
+        followingCount: user.followingCount,
+      });
+    });
+  } catch (error) {
+    console.error("❌ Error publishing follow counts:", error.message);
+  }
+};
+
+/**
+ * @description Tell followers of an author that a new post is available in their feed.
+ * Followers who muted the author are skipped.
+ * @param {Object} post - The newly created post
+ * @param {Object} author - The post author
+ * @returns {Promise<void>}
+ */
+export const publishNewPost = async (post, author) => {
+  try {
+    const recipients = await User.find({
+      _id: { $in: await getFollowerIds(author._id) },
+      mutedUsers: { $ne: author._id },
+    }).select("_id");
+
+    const payload = { postId: post._id, authorId: author._id };
+    [author, ...recipients].forEach((user) => eventBus.publish(user._id.toString(), "feed_post", payload));
+  } catch (error) {
+    console.error("❌ Error publishing feed update:", error.message);
+  }
+};
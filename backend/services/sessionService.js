@@ -0,0 +1,161 @@
+import crypto from "crypto";
+import RefreshToken from "../models/RefreshToken.js";
+import { hashToken } from "../utils/secureToken.js";
+
+/**
+ * Lifetime of access tokens. Kept short because they are only revocable through their session.
+ */
+export const ACCESS_TOKEN_EXPIRATION = "15m";
+
+/**
+ * Session lifetimes. Each refresh extends the session by the same duration.
+ */
+export const SESSION_DURATIONS = {
+  standard: { label: "1h", ms: 60 * 60 * 1000 },
+  rememberMe: { label: "7d", ms: 7 * 24 * 60 * 60 * 1000 },
+};
+
+/**
+ * @description Generate and store a new refresh token in a family
+ * @param {Object} params - `{ userId, family, rememberMe, ip, userAgent }`
+ * @returns {Promise<Object>} `{ refreshToken, expiresAt }`
+ */
+const issueRefreshToken = async ({ userId, family, rememberMe, ip, userAgent }) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const duration = rememberMe ? SESSION_DURATIONS.rememberMe : SESSION_DURATIONS.standard;
+  const expiresAt = new Date(Date.now() + duration.ms);
+
+  await RefreshToken.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(refreshToken),
+    rememberMe,
+    expiresAt,
+    ip,
+    userAgent,
+  });
+
+  return { refreshToken, expiresAt };
+};
+
+/**
+ * @description Start a new session for a user
+ * @param {Object} user - The signed-in user document
+ * @param {Object} [options] - `{ rememberMe, ip, userAgent }`
+ * @returns {Promise<Object>} `{ sessionId, refreshToken, expiresAt }`
+ */
+export const createSession = async (user, { rememberMe = false, ip, userAgent } = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, expiresAt } = await issueRefreshToken({
+    userId: user._id,
+    family: sessionId,
+    rememberMe: Boolean(rememberMe),
+    ip,
+    userAgent,
+  });
+
+  return { sessionId, refreshToken, expiresAt };
+};
+
+/**
+ * @description Exchange a refresh token for a new one in the same session.
+ * Presenting a token that was already rotated means it leaked, so the whole session is revoked.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} [meta] - `{ ip, userAgent }` of the refreshing client
+ * @returns {Promise<Object>} `{ session: { userId, sessionId, refreshToken, expiresAt } }`,
+ * `{ reuseDetected: true }` when a rotated token is replayed, or `{}` for unknown and expired tokens
+ */
+export const rotateRefreshToken = async (refreshToken, { ip, userAgent } = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token atomically so concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+
+    if (known && known.revokedAt) {
+      await revokeSession(known.family);
+      return { reuseDetected: true };
+    }
+
+    return {};
+  }
+
+  const { refreshToken: nextToken, expiresAt } = await issueRefreshToken({
+    userId: current.user,
+    family: current.family,
+    rememberMe: current.rememberMe,
+    ip,
+    userAgent,
+  });
+
+  return { session: { userId: current.user, sessionId: current.family, refreshToken: nextToken, expiresAt } };
+};
+
+/**
+ * @description Revoke every token of a session
+ * @param {string} sessionId - Token family ID
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId) => {
+  await RefreshToken.updateMany({ family: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+/**
+ * @description Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<void>}
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (token) await revokeSession(token.family);
+};
+
+/**
+ * @description Revoke every session of a user (e.g. after a password reset)
+ * @param {string|ObjectId} userId - The user whose sessions are revoked
+ * @param {Object} [options] - `{ exceptSessionId }` keeps one session (e.g. the one changing the password)
+ * @returns {Promise<void>}
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { family: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * @description Check whether a session can still be used
+ * @param {string} sessionId - Token family ID
+ * @returns {Promise<boolean>} True if the session has an unrevoked, unexpired token
+ */
+export const isSessionActive = async (sessionId) => {
+  return Boolean(
+    await RefreshToken.exists({ family: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  );
+};
+
+/**
+ * @description List a user's live sessions
+ * @param {string|ObjectId} userId - The session owner
+ * @returns {Promise<Object[]>} `{ sessionId, ip, userAgent, rememberMe, lastRefreshedAt, expiresAt }` per session
+ */
+export const listUserSessions = async (userId) => {
+  // Each live session has exactly one unrevoked token: the latest one issued
+  const tokens = await RefreshToken.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+    createdAt: -1,
+  });
+
+  return tokens.map((token) => ({
+    sessionId: token.family,
+    ip: token.ip,
+    userAgent: token.userAgent,
+    rememberMe: token.rememberMe,
+    lastRefreshedAt: token.createdAt,
+    expiresAt: token.expiresAt,
+  }));
+};
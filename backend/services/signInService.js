@@ -0,0 +1,101 @@
+import { issueAccessToken } from "./tokenService.js";
+import { createSignInChallenge } from "./twoFactorService.js";
+import { isTwoFactorRequired } from "../config/twoFactorPolicy.js";
+import { ACCESS_TOKEN_EXPIRATION, SESSION_DURATIONS, createSession } from "./sessionService.js";
+import { recordAudit } from "./auditService.js";
+import { isPendingDeletion, restoreAccount } from "./accountDeletionService.js";
+
+/**
+ * Response body for accounts that must reset their password before signing in.
+ */
+export const PASSWORD_RESET_REQUIRED_RESPONSE = {
+  message: "You must reset your password before signing in. Check your email for a reset link.",
+  passwordResetRequired: true,
+};
+
+/**
+ * @description Store the refresh token in an HTTP-only cookie scoped to the auth routes
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Date} expiresAt - When the refresh token expires
+ */
+export const setRefreshTokenCookie = (res, refreshToken, expiresAt) => {
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/auth",
+    expires: expiresAt,
+  });
+};
+
+/**
+ * @description Create a session for a fully authenticated user and send the sign-in response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @param {boolean} rememberMe - Whether to create a long-lived session
+ * @param {Object} [method] - How the user authenticated, recorded in the audit log (e.g. `{ method: "password" }`)
+ */
+export const sendSignInResponse = async (req, res, user, rememberMe, method = { method: "password" }) => {
+  // Remember Me: 7-day session, else 1 hour; access tokens are short-lived either way
+  const expiration = rememberMe ? SESSION_DURATIONS.rememberMe.label : SESSION_DURATIONS.standard.label;
+  const { sessionId, refreshToken, expiresAt } = await createSession(user, {
+    rememberMe,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  const token = issueAccessToken(user, { sessionId });
+
+  setRefreshTokenCookie(res, refreshToken, expiresAt);
+  await recordAudit(req, {
+    action: "auth.signin.success",
+    actor: user,
+    target: { type: "User", id: user._id },
+    metadata: { ...method, sessionId },
+  });
+
+  // Signing in during the deletion grace period cancels the deletion
+  const accountRestored = isPendingDeletion(user) && (await restoreAccount(user));
+  if (accountRestored) {
+    await recordAudit(req, { action: "user.restore", actor: user, target: { type: "User", id: user._id } });
+  }
+
+  res.status(200).json({
+    message: `Welcome back, ${user.name}!`,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      isVerified: user.isVerified,
+    },
+    tokenExpiration: expiration,
+    accessTokenExpiration: ACCESS_TOKEN_EXPIRATION,
+    ...(accountRestored && { accountRestored: true }),
+    // Accounts that must use 2FA can only reach the enrolment endpoints until they set it up
+    ...(isTwoFactorRequired(user) && !user.twoFactor?.enabled && { twoFactorSetupRequired: true }),
+  });
+};
+
+/**
+ * @description Finish a successful first sign-in step (password or external provider).
+ * With 2FA enabled this only earns a challenge; the session is created by /2fa/verify.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document that passed the first step
+ * @param {boolean} rememberMe - Whether to create a long-lived session
+ * @param {Object} [method] - How the user authenticated, recorded in the audit log
+ */
+export const completeSignIn = async (req, res, user, rememberMe, method) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      message: "Two-factor authentication required.",
+      twoFactorRequired: true,
+      challengeToken: await createSignInChallenge(user, { rememberMe }),
+    });
+  }
+
+  await sendSignInResponse(req, res, user, rememberMe, method);
+};
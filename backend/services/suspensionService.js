@@ -0,0 +1,65 @@
+import User from "../models/User.js";
+import { revokeUserSessions } from "./sessionService.js";
+
+/**
+ * @description Get the suspension currently in force for a user. A suspension whose expiry has
+ * passed is lifted here, so accounts come back without an admin having to reactivate them.
+ * @param {Object} user - User document (needs `active` and `suspension`)
+ * @returns {Promise<Object|null>} `{ reason, expiresAt }` while suspended, otherwise null
+ */
+export const getActiveSuspension = async (user) => {
+  if (user.active) return null;
+
+  const expiresAt = user.suspension?.expiresAt;
+
+  if (expiresAt && expiresAt <= Date.now()) {
+    await User.updateOne({ _id: user._id, active: false }, { $set: { active: true }, $unset: { suspension: "" } });
+    user.active = true;
+    user.suspension = undefined;
+    return null;
+  }
+
+  return { reason: user.suspension?.reason, expiresAt: expiresAt || null };
+};
+
+/**
+ * @description Response body telling a suspended user why they cannot sign in
+ * @param {Object} suspension - Result of `getActiveSuspension`
+ * @returns {Object} `{ message, reason, suspendedUntil }`
+ */
+export const suspendedResponse = ({ reason, expiresAt }) => ({
+  message: "Your account has been suspended.",
+  reason,
+  suspendedUntil: expiresAt,
+});
+
+/**
+ * @description Suspend an account and sign it out everywhere
+ * @param {string|ObjectId} userId - The account to suspend
+ * @param {Object} params - `{ reason, expiresAt, suspendedBy }`; without `expiresAt` it lasts until reactivated
+ * @returns {Promise<Object|null>} The updated user, or null if it does not exist
+ */
+export const suspendUser = async (userId, { reason, expiresAt, suspendedBy }) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { active: false, suspension: { reason, suspendedAt: new Date(), suspendedBy, expiresAt } },
+    { new: true }
+  );
+
+  if (user) await revokeUserSessions(user._id);
+
+  return user;
+};
+
+/**
+ * @description Lift a suspension
+ * @param {string|ObjectId} userId - The suspended account
+ * @returns {Promise<Object|null>} The updated user, or null if it was not suspended
+ */
+export const reactivateUser = (userId) => {
+  return User.findOneAndUpdate(
+    { _id: userId, active: false },
+    { $set: { active: true }, $unset: { suspension: "" } },
+    { new: true }
+  );
+};
@@ -0,0 +1,137 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { ACCESS_TOKEN_EXPIRATION, isSessionActive } from "./sessionService.js";
+import { getActiveSuspension } from "./suspensionService.js";
+import { isPendingDeletion } from "./accountDeletionService.js";
+import { CHALLENGE_TTL_MS } from "../config/twoFactorPolicy.js";
+
+/**
+ * Version of the access token claim set. Bump when the claims change so older tokens are rejected.
+ */
+export const TOKEN_VERSION = 1;
+
+const TOKEN_ISSUER = process.env.JWT_ISSUER || "social-media-api";
+const TOKEN_AUDIENCE = process.env.JWT_AUDIENCE || "social-media-app";
+
+// Challenge tokens use their own audience so they can never pass as access tokens
+const CHALLENGE_AUDIENCE = `${TOKEN_AUDIENCE}:2fa-challenge`;
+
+/**
+ * @description Issue a signed access token for a user
+ * @param {Object} user - User document (needs `_id` and `role`)
+ * @param {Object} [options] - `{ sessionId, expiresIn }`; `sessionId` ties the token to a revocable session
+ * @returns {string} JWT carrying `{ ver, sub, role, sid, iss, aud }`
+ */
+export const issueAccessToken = (user, { sessionId, expiresIn = ACCESS_TOKEN_EXPIRATION } = {}) => {
+  return jwt.sign(
+    { ver: TOKEN_VERSION, role: user.role, ...(sessionId && { sid: sessionId }) },
+    process.env.JWT_SECRET,
+    {
+      subject: user._id.toString(),
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE,
+      expiresIn,
+    }
+  );
+};
+
+/**
+ * @description Verify an access token's signature, expiry, issuer, audience and claim version
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded claims
+ * @throws {Error} If the token is invalid, expired or uses an unsupported claim set
+ */
+export const verifyAccessToken = (token) => {
+  const claims = jwt.verify(token, process.env.JWT_SECRET, {
+    algorithms: ["HS256"],
+    issuer: TOKEN_ISSUER,
+    audience: TOKEN_AUDIENCE,
+  });
+
+  if (claims.ver !== TOKEN_VERSION || !claims.sub) {
+    throw new jwt.JsonWebTokenError("Unsupported token claims");
+  }
+
+  return claims;
+};
+
+/**
+ * @description Issue a short-lived token proving the password step of sign-in succeeded
+ * @param {Object} user - User document
+ * @param {Object} options - `{ challengeId, rememberMe }`; `challengeId` names the stored challenge that
+ * counts attempts, and `rememberMe` is carried over to the session created after the second step
+ * @returns {string} JWT only accepted by `verifyChallengeToken`
+ */
+export const issueChallengeToken = (user, { challengeId, rememberMe = false }) => {
+  return jwt.sign({ ver: TOKEN_VERSION, rememberMe: Boolean(rememberMe) }, process.env.JWT_SECRET, {
+    subject: user._id.toString(),
+    jwtid: challengeId,
+    issuer: TOKEN_ISSUER,
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: Math.floor(CHALLENGE_TTL_MS / 1000),
+  });
+};
+
+/**
+ * @description Verify a sign-in challenge token
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded claims (`sub`, `jti`, `rememberMe`)
+ * @throws {Error} If the token is invalid or expired
+ */
+export const verifyChallengeToken = (token) => {
+  const claims = jwt.verify(token, process.env.JWT_SECRET, {
+    algorithms: ["HS256"],
+    issuer: TOKEN_ISSUER,
+    audience: CHALLENGE_AUDIENCE,
+  });
+
+  if (claims.ver !== TOKEN_VERSION || !claims.sub || !claims.jti) {
+    throw new jwt.JsonWebTokenError("Unsupported token claims");
+  }
+
+  return claims;
+};
+
+/**
+ * @description Check that verified access token claims still grant access. Also used to re-check
+ * long-lived connections, which outlive the request that authenticated them.
+ * @param {Object} claims - Verified claims from `verifyAccessToken`
+ * @returns {Promise<Object|null>} The unsuspended user on a live session, otherwise null
+ */
+export const resolveClaimsUser = async (claims) => {
+  // Reject tokens whose session was signed out or revoked
+  if (claims.sid && !(await isSessionActive(claims.sid))) {
+    return null;
+  }
+
+  const user = await User.findById(claims.sub).select("-password +passwordChangedAt");
+
+  // Deleted, pending-deletion or suspended accounts lose access immediately
+  if (!user || isPendingDeletion(user) || (await getActiveSuspension(user))) {
+    return null;
+  }
+
+  // Tokens issued before the latest password change are no longer valid (`iat` is in whole seconds)
+  if (user.passwordChangedAt && claims.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * @description Resolve the user an access token belongs to
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object|null>} `{ user, claims }` for an unsuspended user on a live session, otherwise null
+ */
+export const authenticateAccessToken = async (token) => {
+  let claims;
+  try {
+    claims = verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await resolveClaimsUser(claims);
+  return user ? { user, claims } : null;
+};
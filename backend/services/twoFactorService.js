@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import TwoFactorChallenge from "../models/TwoFactorChallenge.js";
+import {
+  BACKUP_CODE_COUNT,
+  CHALLENGE_TTL_MS,
+  MAX_CHALLENGE_ATTEMPTS,
+  SECOND_FACTOR_LOCK_THRESHOLD,
+  SECOND_FACTOR_LOCK_MS,
+  SECOND_FACTOR_WINDOW_MS,
+} from "../config/twoFactorPolicy.js";
+import { issueChallengeToken } from "./tokenService.js";
+import { hashToken } from "../utils/secureToken.js";
+import { verifyTotp } from "../utils/totp.js";
+
+/**
+ * @description Normalise a backup code as typed by the user (case and dashes are ignored)
+ * @param {string} code - Backup code
+ * @returns {string} Normalised code
+ */
+const normalizeBackupCode = (code) => code.replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * @description Generate a fresh set of single-use backup codes
+ * @returns {Object} `{ codes, hashes }`; show `codes` to the user once and store only `hashes`
+ */
+export const createBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(normalizeBackupCode(code))) };
+};
+
+/**
+ * @description Check a user's second factor: a TOTP code or an unused backup code.
+ * Accepted TOTP codes and backup codes are consumed atomically, so neither can be replayed.
+ * @param {string} userId - ID of the user signing in
+ * @param {Object} factor - `{ code }` (authenticator code) or `{ backupCode }`
+ * @returns {Promise<boolean>} True if the factor is valid
+ */
+export const verifySecondFactor = async (userId, { code, backupCode }) => {
+  if (typeof backupCode === "string" && backupCode) {
+    const hash = hashToken(normalizeBackupCode(backupCode));
+    const result = await User.updateOne(
+      { _id: userId, "twoFactor.enabled": true, "twoFactor.backupCodes": hash },
+      { $pull: { "twoFactor.backupCodes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const user = await User.findById(userId).select("+twoFactor.secret +twoFactor.lastUsedStep");
+
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+    return false;
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code, { afterStep: user.twoFactor.lastUsedStep ?? -1 });
+
+  if (step === null) {
+    return false;
+  }
+
+  // Record the step only if no concurrent request used it (or a later one) first
+  const result = await User.updateOne(
+    { _id: userId, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * @description Start a sign-in challenge for a user who passed the first step
+ * @param {Object} user - User document
+ * @param {Object} [options] - `{ rememberMe }`, carried over to the session created after the second step
+ * @returns {Promise<string>} Challenge token for /2fa/verify
+ */
+export const createSignInChallenge = async (user, { rememberMe = false } = {}) => {
+  const challengeId = crypto.randomUUID();
+  await TwoFactorChallenge.create({
+    challengeId,
+    user: user._id,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+
+  return issueChallengeToken(user, { challengeId, rememberMe });
+};
+
+/**
+ * @description Use up one of a challenge's attempts. Counted before the code is checked, so
+ * concurrent guesses cannot exceed the limit; the challenge is unusable once it is reached.
+ * @param {string} challengeId - The `jti` of the challenge token
+ * @returns {Promise<boolean>} True if the attempt may proceed
+ */
+export const consumeChallengeAttempt = async (challengeId) => {
+  const challenge = await TwoFactorChallenge.findOneAndUpdate(
+    { challengeId, attempts: { $lt: MAX_CHALLENGE_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  return Boolean(challenge);
+};
+
+/**
+ * @description Remove a challenge once sign-in completes, so its token cannot be used again
+ * @param {string} challengeId - The `jti` of the challenge token
+ */
+export const endChallenge = (challengeId) => TwoFactorChallenge.deleteOne({ challengeId });
+
+// Fields the second-factor lockout reads; none are selected by default
+const SECOND_FACTOR_TRACKING_FIELDS = "+twoFactor.failedAttempts +twoFactor.lastFailedAt +twoFactor.lockUntil";
+
+/**
+ * @description Check whether an account's second-factor sign-in is locked
+ * @param {string|ObjectId} userId - The user signing in
+ * @returns {Promise<number>} Milliseconds until codes are accepted again (0 if not locked)
+ */
+export const getSecondFactorLock = async (userId) => {
+  const user = await User.findById(userId).select(SECOND_FACTOR_TRACKING_FIELDS);
+  const lockUntil = user?.twoFactor?.lockUntil;
+
+  return lockUntil ? Math.max(0, lockUntil.getTime() - Date.now()) : 0;
+};
+
+/**
+ * @description Count a wrong code against the account, locking second-factor sign-in at the threshold
+ * @param {string|ObjectId} userId - The user signing in
+ * @returns {Promise<boolean>} True if the account is now locked
+ */
+export const recordSecondFactorFailure = async (userId) => {
+  const now = new Date();
+  const { twoFactor } = await User.findById(userId).select(SECOND_FACTOR_TRACKING_FIELDS);
+
+  // A previous lock has expired or the last failure is old: start counting again
+  const restart =
+    (twoFactor.lockUntil && twoFactor.lockUntil <= now) ||
+    (twoFactor.lastFailedAt && now - twoFactor.lastFailedAt > SECOND_FACTOR_WINDOW_MS);
+
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    restart
+      ? {
+          $set: { "twoFactor.failedAttempts": 1, "twoFactor.lastFailedAt": now },
+          $unset: { "twoFactor.lockUntil": "" },
+        }
+      : { $inc: { "twoFactor.failedAttempts": 1 }, $set: { "twoFactor.lastFailedAt": now } },
+    { new: true }
+  ).select(SECOND_FACTOR_TRACKING_FIELDS);
+
+  if (updated.twoFactor.failedAttempts < SECOND_FACTOR_LOCK_THRESHOLD) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: userId, "twoFactor.lockUntil": { $not: { $gt: now } } },
+    { $set: { "twoFactor.lockUntil": new Date(now.getTime() + SECOND_FACTOR_LOCK_MS) } }
+  );
+  return true;
+};
+
+/**
+ * @description Clear an account's second-factor failures after a correct code
+ * @param {string|ObjectId} userId - The user signing in
+ */
+export const resetSecondFactorFailures = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { $unset: { "twoFactor.failedAttempts": "", "twoFactor.lastFailedAt": "", "twoFactor.lockUntil": "" } }
+  );
@@ -0,0 +1,173 @@
+/**
+ * @file audit_log.test.js
+ * @description Tests for the append-only audit log: entries written by security-relevant and
+ * admin actions, and the admin query and export endpoints.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import AuditLog from "../../models/AuditLog";
+import { issueAccessToken } from "../../services/tokenService";
+
+let mongoServer;
+let admin, member;
+let adminToken, memberToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  // The model refuses deletes, so clear the collection directly
+  await AuditLog.collection.deleteMany({});
+
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+  member = await User.create({ name: "Member", email: "member@example.com", password: "Password123" });
+
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+  memberToken = issueAccessToken(member, { expiresIn: "1h" });
+});
+
+const queryLogs = (query = "", token = adminToken) =>
+  request(app).get(`/api/admin/audit-logs${query}`).set("Authorization", `Bearer ${token}`);
+
+describe("Audit log", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Sign-up and sign-in outcomes are recorded with IP and user agent", async () => {
+    await request(app)
+      .post("/api/auth/signup")
+      .set("User-Agent", "audit-test")
+      .send({ name: "New User", email: "new@example.com", password: "Password123" });
+    await request(app).post("/api/auth/signin").send({ email: "new@example.com", password: "Password123" });
+    await request(app).post("/api/auth/signin").send({ email: "new@example.com", password: "WrongPass123" });
+
+    const entries = await AuditLog.find().sort({ _id: 1 });
+
+    expect(entries.map((entry) => entry.action)).toEqual([
+      "user.signup",
+      "auth.signin.success",
+      "auth.signin.failure",
+    ]);
+    expect(entries[0].userAgent).toBe("audit-test");
+    expect(entries[0].ip).toBeDefined();
+    expect(entries[2].metadata).toMatchObject({ email: "new@example.com", reason: "invalid_credentials" });
+  });
+
+  test("TC-002: Account deletion records who deleted whom", async () => {
+    await request(app).delete(`/api/users/${member._id}`).set("Authorization", `Bearer ${adminToken}`);
+
+    const entry = await AuditLog.findOne({ action: "user.delete" });
+
+    expect(entry.actor.toString()).toBe(admin.id);
+    expect(entry.actorEmail).toBe("admin@example.com");
+    expect(entry.target.id.toString()).toBe(member.id);
+    expect(entry.changes.before).toMatchObject({ email: "member@example.com" });
+  });
+
+  test("TC-003: Profile updates store only the changed fields", async () => {
+    await request(app)
+      .put(`/api/users/${member._id}`)
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ name: "Renamed", bio: "" });
+
+    const entry = await AuditLog.findOne({ action: "user.update" });
+
+    expect(entry.changes.before).toEqual({ name: "Member" });
+    expect(entry.changes.after).toEqual({ name: "Renamed" });
+  });
+
+  test("TC-004: Role changes and follows are recorded", async () => {
+    await request(app)
+      .patch(`/api/admin/users/${member._id}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "moderator" });
+    await request(app).post(`/api/follow/${admin._id}`).set("Authorization", `Bearer ${memberToken}`);
+
+    const roleChange = await AuditLog.findOne({ action: "user.role.change" });
+    expect(roleChange.changes).toEqual({ before: { role: "user" }, after: { role: "moderator" } });
+
+    const follow = await AuditLog.findOne({ action: "follow.create" });
+    expect(follow.actor.toString()).toBe(member.id);
+    expect(follow.target.id.toString()).toBe(admin.id);
+  });
+
+  test("TC-005: Admins can filter by actor, action and date range", async () => {
+    await request(app).post(`/api/follow/${admin._id}`).set("Authorization", `Bearer ${memberToken}`);
+    await request(app).delete(`/api/follow/${admin._id}`).set("Authorization", `Bearer ${memberToken}`);
+
+    const byAction = await queryLogs("?action=follow.delete");
+    expect(byAction.statusCode).toBe(200);
+    expect(byAction.body.totalEntries).toBe(1);
+
+    const byActor = await queryLogs(`?actor=${member._id}&action=follow.create,follow.delete`);
+    expect(byActor.body.totalEntries).toBe(2);
+
+    const byEmail = await queryLogs("?actor=member@example.com");
+    expect(byEmail.body.totalEntries).toBe(2);
+
+    const future = await queryLogs(`?from=${new Date(Date.now() + 60000).toISOString()}`);
+    expect(future.body.totalEntries).toBe(0);
+  });
+
+  test("TC-006: Entries can be exported as CSV and JSON", async () => {
+    await request(app).post(`/api/follow/${admin._id}`).set("Authorization", `Bearer ${memberToken}`);
+
+    const csv = await request(app)
+      .get("/api/admin/audit-logs/export?format=csv")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(csv.statusCode).toBe(200);
+    expect(csv.headers["content-type"]).toContain("text/csv");
+    expect(csv.headers["content-disposition"]).toContain("attachment");
+    expect(csv.text.split("\r\n")[0]).toContain('"action"');
+    expect(csv.text).toContain('"follow.create"');
+
+    const json = await request(app)
+      .get("/api/admin/audit-logs/export?format=json")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(json.statusCode).toBe(200);
+    expect(json.body).toHaveLength(1);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-007: Regular users cannot read the audit log", async () => {
+    const res = await queryLogs("", memberToken);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("TC-008: Unknown actions and invalid dates are rejected", async () => {
+    expect((await queryLogs("?action=made.up")).statusCode).toBe(400);
+    expect((await queryLogs("?from=not-a-date")).statusCode).toBe(400);
+    expect((await queryLogs("?from=2024-02-01&to=2024-01-01")).statusCode).toBe(400);
+  });
+
+  test("TC-009: Unsupported export formats are rejected", async () => {
+    const res = await request(app)
+      .get("/api/admin/audit-logs/export?format=xml")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Export format must be csv or json.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-010: Entries cannot be modified or deleted", async () => {
+    const entry = await AuditLog.create({ action: "user.signup" });
+
+    await expect(AuditLog.updateOne({ _id: entry._id }, { action: "user.delete" })).rejects.toThrow();
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow();
+
+    entry.action = "user.delete";
+    await expect(entry.save()).rejects.toThrow();
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @file user_management.test.js
+ * @description Tests for the admin user management API: full records, suspensions,
+ * forced password resets and session revocation.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import RefreshToken from "../../models/RefreshToken";
+import { issueAccessToken } from "../../services/tokenService";
+import { sentMail, clearSentMail } from "../../services/mailer";
+
+let mongoServer;
+let admin, member;
+let adminToken, memberToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await RefreshToken.deleteMany();
+  clearSentMail();
+
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+  member = await User.create({ name: "Member", email: "member@example.com", password: "Password123" });
+
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+  memberToken = issueAccessToken(member, { expiresIn: "1h" });
+});
+
+const signIn = (email = "member@example.com", password = "Password123") =>
+  request(app).post("/api/auth/signin").send({ email, password });
+
+const suspend = (body, userId = member.id) =>
+  request(app).post(`/api/admin/users/${userId}/suspend`).set("Authorization", `Bearer ${adminToken}`).send(body);
+
+describe("Admin user management", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Admins can view a user's full record without secrets", async () => {
+    await signIn();
+
+    const res = await request(app).get(`/api/admin/users/${member._id}`).set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.email).toBe("member@example.com");
+    expect(res.body.user.failedLoginAttempts).toBe(0);
+    expect(res.body.user.password).toBeUndefined();
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.body.stats).toEqual({ posts: 0, followers: 0, following: 0 });
+  });
+
+  test("TC-002: Suspending a user signs them out and blocks sign-in with the reason", async () => {
+    const session = await signIn();
+
+    const res = await suspend({ reason: "Spam" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.suspension.reason).toBe("Spam");
+
+    const profile = await request(app).get(`/api/users/${member._id}`).set("Authorization", `Bearer ${session.body.token}`);
+    expect(profile.statusCode).toBe(401);
+
+    const signin = await signIn();
+    expect(signin.statusCode).toBe(403);
+    expect(signin.body).toMatchObject({ message: "Your account has been suspended.", reason: "Spam", suspendedUntil: null });
+  });
+
+  test("TC-003: Reactivating a user restores access", async () => {
+    await suspend({ reason: "Spam" });
+
+    const res = await request(app)
+      .post(`/api/admin/users/${member._id}/reactivate`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect((await signIn()).statusCode).toBe(200);
+  });
+
+  test("TC-004: Suspensions with an expiry lift themselves once it passes", async () => {
+    await suspend({ reason: "Cooling off", expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    await User.updateOne({ _id: member._id }, { "suspension.expiresAt": new Date(Date.now() - 1000) });
+
+    const res = await signIn();
+
+    expect(res.statusCode).toBe(200);
+    const stored = await User.findById(member._id);
+    expect(stored.active).toBe(true);
+    expect(stored.suspension?.reason).toBeUndefined();
+  });
+
+  test("TC-005: Forcing a password reset signs the user out, emails a link and blocks password sign-in", async () => {
+    const session = await signIn();
+
+    const res = await request(app)
+      .post(`/api/admin/users/${member._id}/password-reset`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe("member@example.com");
+
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: session.body.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+
+    const signin = await signIn();
+    expect(signin.statusCode).toBe(403);
+    expect(signin.body.passwordResetRequired).toBe(true);
+
+    // The emailed link lets the user back in with a new password
+    const token = sentMail[0].text.match(/reset-password\/([\w-]+)/)[1];
+    await request(app).post(`/api/auth/reset-password/${token}`).send({ newPassword: "BrandNewPass123" });
+    expect((await signIn("member@example.com", "BrandNewPass123")).statusCode).toBe(200);
+  });
+
+  test("TC-006: Revoking sessions signs the user out everywhere", async () => {
+    const first = await signIn();
+    const second = await signIn();
+
+    const res = await request(app)
+      .delete(`/api/admin/users/${member._id}/sessions`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    for (const session of [first, second]) {
+      const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: session.body.refreshToken });
+      expect(refresh.statusCode).toBe(401);
+    }
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-007: Regular users cannot use the admin API", async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${admin._id}/suspend`)
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ reason: "Revenge" });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Access denied");
+  });
+
+  test("TC-008: A suspension requires a reason", async () => {
+    const res = await suspend({});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("A suspension reason is required.");
+  });
+
+  test("TC-009: A suspension expiry must be in the future", async () => {
+    const res = await suspend({ reason: "Spam", expiresAt: "2000-01-01T00:00:00Z" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Suspension expiry must be a future date.");
+  });
+
+  test("TC-010: Admins cannot suspend themselves", async () => {
+    const res = await suspend({ reason: "Oops" }, admin.id);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You cannot suspend your own account.");
+  });
+
+  test("TC-011: Reactivating an account that is not suspended fails", async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${member._id}/reactivate`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("This account is not suspended.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-012: Suspension is checked after the password, so it does not reveal accounts", async () => {
+    await suspend({ reason: "Spam" });
+
+    const res = await signIn("member@example.com", "WrongPass123");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid email or password.");
+  });
+
+  test("TC-013: Unknown users return 404", async () => {
+    const res = await suspend({ reason: "Spam" }, new mongoose.Types.ObjectId().toString());
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("User not found.");
+  });
+
+  test("TC-014: Account status is hidden from other users' view of a profile", async () => {
+    await suspend({ reason: "Spam" });
+    await User.updateOne({ _id: member._id }, { passwordResetRequired: true });
+    const viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "Password123" });
+    const viewerToken = issueAccessToken(viewer, { expiresIn: "1h" });
+
+    const asViewer = await request(app).get(`/api/users/${member._id}`).set("Authorization", `Bearer ${viewerToken}`);
+    const asAdmin = await request(app).get(`/api/users/${member._id}`).set("Authorization", `Bearer ${adminToken}`);
+
+    expect(asViewer.statusCode).toBe(200);
+    expect(asViewer.body.user.suspension).toBeUndefined();
+    expect(asViewer.body.user.passwordResetRequired).toBeUndefined();
+    expect(asAdmin.body.user.suspension.reason).toBe("Spam");
+    expect(asAdmin.body.user.passwordResetRequired).toBe(true);
+  });
+});
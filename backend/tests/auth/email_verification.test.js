@@ -0,0 +1,163 @@
+/**
+ * @file email_verification.test.js
+ * @description Tests for email verification on signup, GET /api/auth/verify/:token,
+ * POST /api/auth/verify/resend and the unverified account policy.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import { issueAccessToken } from "../../services/tokenService";
+import { hashToken } from "../../utils/secureToken";
+
+let mongoServer;
+let user, userToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  delete process.env.UNVERIFIED_USER_RESTRICTIONS;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  delete process.env.UNVERIFIED_USER_RESTRICTIONS;
+
+  user = await User.create({
+    name: "Unverified User",
+    email: "unverified@example.com",
+    password: "SecurePass123",
+    verificationToken: hashToken("known-token"),
+    verificationTokenExpires: Date.now() + 60 * 60 * 1000,
+  });
+  userToken = issueAccessToken(user, { expiresIn: "1h" });
+});
+
+describe("Email verification", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Signup creates an unverified user with a hashed, expiring token", async () => {
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({ name: "New User", email: "new@example.com", password: "SecurePass123" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.user.isVerified).toBe(false);
+
+    const created = await User.findOne({ email: "new@example.com" }).select("+verificationToken +verificationTokenExpires");
+    expect(created.verificationToken).toHaveLength(64);
+    expect(created.verificationTokenExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test("TC-002: Verifying with a valid token confirms the email", async () => {
+    const res = await request(app).get("/api/auth/verify/known-token");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Email verified successfully.");
+
+    const updated = await User.findById(user._id).select("+verificationToken");
+    expect(updated.isVerified).toBe(true);
+    expect(updated.verificationToken).toBeUndefined();
+  });
+
+  test("TC-003: Resending issues a new token and invalidates the old one", async () => {
+    const res = await request(app).post("/api/auth/verify/resend").set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(200);
+
+    const stale = await request(app).get("/api/auth/verify/known-token");
+    expect(stale.statusCode).toBe(400);
+
+    const updated = await User.findById(user._id).select("+verificationToken");
+    expect(updated.verificationToken).not.toBe(hashToken("known-token"));
+  });
+
+  test("TC-004: Verification fields are not exposed on the profile", async () => {
+    const res = await request(app).get(`/api/users/${user._id}`).set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user).not.toHaveProperty("verificationToken");
+    expect(res.body.user.isVerified).toBe(false);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-005: A verification token cannot be used twice", async () => {
+    await request(app).get("/api/auth/verify/known-token");
+
+    const res = await request(app).get("/api/auth/verify/known-token");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid or expired verification token.");
+  });
+
+  test("TC-006: Expired verification tokens are rejected", async () => {
+    await User.updateOne({ _id: user._id }, { verificationTokenExpires: Date.now() - 1000 });
+
+    const res = await request(app).get("/api/auth/verify/known-token");
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-007: Verified users cannot request another link", async () => {
+    await User.updateOne({ _id: user._id }, { isVerified: true });
+
+    const res = await request(app).post("/api/auth/verify/resend").set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Your email address is already verified.");
+  });
+
+  test("TC-008: Resend requires authentication", async () => {
+    const res = await request(app).post("/api/auth/verify/resend");
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-009: Resend is rate limited per account", async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post("/api/auth/verify/resend").set("Authorization", `Bearer ${userToken}`);
+    }
+
+    const res = await request(app).post("/api/auth/verify/resend").set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(429);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-010: Unverified users are unrestricted when no policy is configured", async () => {
+    const res = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ content: "Hello before verifying" });
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  test("TC-011: The policy blocks only the configured actions until the user verifies", async () => {
+    process.env.UNVERIFIED_USER_RESTRICTIONS = "post";
+    const other = await User.create({ name: "Other", email: "other@example.com", password: "SecurePass123" });
+
+    const blocked = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ content: "Not yet" });
+    expect(blocked.statusCode).toBe(403);
+    expect(blocked.body.message).toBe("Please verify your email address to create posts.");
+
+    const follow = await request(app).post(`/api/follow/${other._id}`).set("Authorization", `Bearer ${userToken}`);
+    expect(follow.statusCode).toBe(200);
+
+    await request(app).get("/api/auth/verify/known-token");
+    const allowed = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ content: "Verified now" });
+    expect(allowed.statusCode).toBe(201);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @file login_lockout.test.js
+ * @description Tests for failed sign-in tracking: progressive delays, account lockout,
+ * per-IP blocking and unlocking via email.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import LoginFailure from "../../models/LoginFailure";
+import EmailLoginFailure from "../../models/EmailLoginFailure";
+import { sentMail, clearSentMail } from "../../services/mailer";
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  delete process.env.LOGIN_DELAY_BASE_MS;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await LoginFailure.deleteMany();
+  await EmailLoginFailure.deleteMany();
+  clearSentMail();
+  // No progressive delays unless a test opts in, so lockout can be reached quickly
+  process.env.LOGIN_DELAY_BASE_MS = "0";
+
+  await User.create({ name: "Locked User", email: "locked@example.com", password: "SecurePass123" });
+});
+
+// Helper function to attempt a sign-in
+const signIn = (password, email = "locked@example.com") =>
+  request(app).post("/api/auth/signin").send({ email, password });
+
+// Helper function to fail a number of sign-ins in a row
+const failSignIns = async (count, email) => {
+  for (let i = 0; i < count; i++) {
+    await signIn("WrongPass123", email);
+  }
+};
+
+describe("Sign-in brute-force protection", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: A successful sign-in resets the failed attempt counter", async () => {
+    await failSignIns(4);
+    await signIn("SecurePass123");
+    await failSignIns(4);
+
+    const res = await signIn("SecurePass123");
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("TC-002: The unlock link from the lockout email unlocks the account", async () => {
+    await failSignIns(5);
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].subject).toBe("Your account has been temporarily locked");
+    const token = sentMail[0].text.match(/\/unlock-account\/(\w+)/)[1];
+
+    const unlock = await request(app).get(`/api/auth/unlock/${token}`);
+    expect(unlock.statusCode).toBe(200);
+
+    const res = await signIn("SecurePass123");
+    expect(res.statusCode).toBe(200);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-003: Unknown emails and wrong passwords get the same response", async () => {
+    const wrongPassword = await signIn("WrongPass123");
+    const unknownEmail = await signIn("WrongPass123", "nobody@example.com");
+
+    expect(wrongPassword.statusCode).toBe(401);
+    expect(unknownEmail.statusCode).toBe(401);
+    expect(unknownEmail.body).toEqual(wrongPassword.body);
+  });
+
+  test("TC-004: The account locks after five failed attempts, even with the right password", async () => {
+    await failSignIns(5);
+
+    const res = await signIn("SecurePass123");
+
+    expect(res.statusCode).toBe(423);
+    expect(res.headers["retry-after"]).toBeDefined();
+  });
+
+  test("TC-005: Attempts inside the progressive delay are rejected", async () => {
+    process.env.LOGIN_DELAY_BASE_MS = "60000";
+    await failSignIns(4);
+
+    const res = await signIn("SecurePass123");
+
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  test("TC-006: An IP address is blocked after too many failures across accounts", async () => {
+    for (let i = 0; i < 30; i++) {
+      await signIn("WrongPass123", `nobody${i}@example.com`);
+    }
+
+    const res = await signIn("SecurePass123");
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toBe("Too many sign-in attempts. Please try again later.");
+  });
+
+  test("TC-007: Unlock tokens are single use", async () => {
+    await failSignIns(5);
+    const token = sentMail[0].text.match(/\/unlock-account\/(\w+)/)[1];
+    await request(app).get(`/api/auth/unlock/${token}`);
+
+    const res = await request(app).get(`/api/auth/unlock/${token}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid or expired unlock token.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-008: The account unlocks by itself once the lock expires", async () => {
+    await failSignIns(5);
+    await User.updateOne({ email: "locked@example.com" }, { lockUntil: new Date(Date.now() - 1000) });
+
+    const res = await signIn("SecurePass123");
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("TC-009: Further failures while locked do not send more unlock emails", async () => {
+    await failSignIns(8);
+
+    expect(sentMail).toHaveLength(1);
+  });
+
+  test("TC-010: Unknown emails lock after five failed attempts with the same response as accounts", async () => {
+    await failSignIns(5);
+    await failSignIns(5, "nobody@example.com");
+
+    const known = await signIn("SecurePass123");
+    const unknown = await signIn("SecurePass123", "nobody@example.com");
+
+    expect(unknown.statusCode).toBe(423);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test("TC-011: Unknown emails get the same progressive delay as accounts", async () => {
+    process.env.LOGIN_DELAY_BASE_MS = "60000";
+    await failSignIns(4);
+    await failSignIns(4, "nobody@example.com");
+
+    const known = await signIn("SecurePass123");
+    const unknown = await signIn("SecurePass123", "nobody@example.com");
+
+    expect(unknown.statusCode).toBe(429);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test("TC-012: Failures older than the tracking window are forgotten", async () => {
+    await failSignIns(4);
+    await failSignIns(4, "nobody@example.com");
+    const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    await User.updateOne({ email: "locked@example.com" }, { lastFailedLoginAt: dayAgo });
+    await EmailLoginFailure.updateOne({ email: "nobody@example.com" }, { lastFailedAt: dayAgo });
+
+    await failSignIns(1);
+    await failSignIns(1, "nobody@example.com");
+
+    expect((await signIn("SecurePass123")).statusCode).toBe(200);
+    expect((await signIn("WrongPass123", "nobody@example.com")).statusCode).toBe(401);
+  });
+});
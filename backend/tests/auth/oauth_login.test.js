@@ -0,0 +1,425 @@
+/**
+ * @file oauth_login.test.js
+ * @description Tests for OAuth / OpenID Connect sign-in and provider linking, run against a local
+ * mock identity provider (discovery, authorization, token, JWKS and userinfo endpoints).
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import UserIdentity from "../../models/UserIdentity";
+import OAuthState from "../../models/OAuthState";
+import AuditLog from "../../models/AuditLog";
+import { issueAccessToken } from "../../services/tokenService";
+import { hashToken } from "../../utils/secureToken";
+
+let mongoServer;
+let idpServer, issuer;
+
+// Mock identity provider state
+const signingKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const rogueKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const pendingCodes = new Map();
+let profile; // The account the next person to "log in" at the provider uses
+let idpOptions; // Misbehaviour toggles for negative tests
+
+const CLIENT_ID = "social-media-test-client";
+const REDIRECT_URI = "http://localhost:3000/oauth/callback/mock";
+
+const idp = express();
+idp.use(express.urlencoded({ extended: false }));
+
+idp.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+  });
+});
+
+// Skips the login page: the current `profile` consents immediately
+idp.get("/authorize", (req, res) => {
+  const code = crypto.randomBytes(16).toString("hex");
+  pendingCodes.set(code, { ...req.query, profile });
+  res.redirect(`${req.query.redirect_uri}?code=${code}&state=${encodeURIComponent(req.query.state)}`);
+});
+
+idp.post("/token", (req, res) => {
+  const pending = pendingCodes.get(req.body.code);
+  pendingCodes.delete(req.body.code);
+
+  const challenge = crypto.createHash("sha256").update(req.body.code_verifier || "").digest("base64url");
+
+  if (
+    !pending ||
+    req.body.client_id !== CLIENT_ID ||
+    req.body.redirect_uri !== pending.redirect_uri ||
+    pending.code_challenge_method !== "S256" ||
+    challenge !== pending.code_challenge
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString("hex");
+  pendingCodes.set(`access:${accessToken}`, pending);
+
+  const idToken = jwt.sign(
+    {
+      nonce: idpOptions.nonce || pending.nonce,
+      email: pending.profile.email,
+      email_verified: pending.profile.emailVerified,
+      name: pending.profile.name,
+    },
+    (idpOptions.rogueSigner ? rogueKey : signingKey).privateKey,
+    { algorithm: "RS256", keyid: "test-key", subject: pending.profile.sub, issuer, audience: CLIENT_ID, expiresIn: "5m" }
+  );
+
+  res.json({ access_token: accessToken, token_type: "Bearer", id_token: idToken });
+});
+
+idp.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...signingKey.publicKey.export({ format: "jwk" }), kid: "test-key", alg: "RS256", use: "sig" }] });
+});
+
+idp.get("/userinfo", (req, res) => {
+  const pending = pendingCodes.get(`access:${req.get("authorization")?.split(" ")[1]}`);
+  if (!pending) return res.status(401).end();
+  res.json({ sub: pending.profile.sub, email: pending.profile.email, email_verified: pending.profile.emailVerified });
+});
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  idpServer = await new Promise((resolve) => {
+    const server = idp.listen(0, () => resolve(server));
+  });
+  issuer = `http://127.0.0.1:${idpServer.address().port}`;
+
+  process.env.OAUTH_PROVIDERS = "mock";
+  process.env.OAUTH_MOCK_CLIENT_ID = CLIENT_ID;
+  process.env.OAUTH_MOCK_ISSUER = issuer;
+  process.env.OAUTH_MOCK_REDIRECT_URI = REDIRECT_URI;
+});
+
+afterAll(async () => {
+  for (const key of ["OAUTH_PROVIDERS", "OAUTH_MOCK_CLIENT_ID", "OAUTH_MOCK_ISSUER", "OAUTH_MOCK_REDIRECT_URI"]) {
+    delete process.env[key];
+  }
+  await new Promise((resolve) => idpServer.close(resolve));
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await UserIdentity.deleteMany();
+  await OAuthState.deleteMany();
+  await AuditLog.deleteMany();
+  pendingCodes.clear();
+  idpOptions = {};
+  profile = { sub: "mock-user-1", email: "oauth@example.com", emailVerified: true, name: "OAuth User" };
+});
+
+// Helper to start a sign-in (or a link, when a token is given) and follow the provider's redirect
+const authorize = async ({ token } = {}) => {
+  const start = token
+    ? await request(app).post("/api/auth/oauth/mock/link").set("Authorization", `Bearer ${token}`)
+    : await request(app).get("/api/auth/oauth/mock/authorize");
+
+  const redirect = await fetch(start.body.authorizationUrl, { redirect: "manual" });
+  const location = new URL(redirect.headers.get("location"));
+
+  return { code: location.searchParams.get("code"), state: location.searchParams.get("state") };
+};
+
+const callback = (params, token) => {
+  const req = request(app).post("/api/auth/oauth/mock/callback");
+  if (token) req.set("Authorization", `Bearer ${token}`);
+  return req.send(params);
+};
+
+const createUser = (overrides = {}) =>
+  User.create({ name: "Local User", email: "oauth@example.com", password: "LocalPass123", ...overrides });
+
+describe("OAuth / OpenID Connect sign-in", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Lists the configured providers", async () => {
+    const res = await request(app).get("/api/auth/oauth/providers");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.providers).toEqual(["mock"]);
+  });
+
+  test("TC-002: Authorization URL uses PKCE (S256) and only the state hash is stored", async () => {
+    const res = await request(app).get("/api/auth/oauth/mock/authorize");
+
+    expect(res.statusCode).toBe(200);
+    const url = new URL(res.body.authorizationUrl);
+    expect(url.origin + url.pathname).toBe(`${issuer}/authorize`);
+    expect(url.searchParams.get("client_id")).toBe(CLIENT_ID);
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(url.searchParams.get("code_challenge")).toBeTruthy();
+    expect(url.searchParams.get("nonce")).toBeTruthy();
+
+    const state = url.searchParams.get("state");
+    expect(await OAuthState.exists({ stateHash: hashToken(state) })).toBeTruthy();
+    expect(await OAuthState.exists({ stateHash: state })).toBeNull();
+  });
+
+  test("TC-003: First sign-in creates a verified account without a usable password", async () => {
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.user.email).toBe("oauth@example.com");
+
+    const user = await User.findOne({ email: "oauth@example.com" });
+    expect(user.name).toBe("OAuth User");
+    expect(user.isVerified).toBe(true);
+    expect(user.hasPassword).toBe(false);
+    expect(await UserIdentity.countDocuments({ user: user._id, provider: "mock", subject: "mock-user-1" })).toBe(1);
+  });
+
+  test("TC-004: Signing in again with the same provider account reuses the user", async () => {
+    await callback(await authorize());
+    profile.email = "changed-at-provider@example.com";
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.email).toBe("oauth@example.com");
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  test("TC-005: A verified provider email links to the matching verified account", async () => {
+    const user = await createUser({ isVerified: true });
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+    expect(await UserIdentity.exists({ user: user._id, provider: "mock" })).toBeTruthy();
+  });
+
+  test("TC-006: A signed-in user can link a provider and then sign in with it", async () => {
+    const user = await createUser({ email: "local@example.com" });
+    const token = issueAccessToken(user, { expiresIn: "1h" });
+
+    const link = await callback(await authorize({ token }), token);
+
+    expect(link.statusCode).toBe(200);
+    expect(link.body.identity).toMatchObject({ provider: "mock", email: "oauth@example.com" });
+
+    const res = await callback(await authorize());
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+
+    const identities = await request(app).get("/api/auth/oauth/identities").set("Authorization", `Bearer ${token}`);
+    expect(identities.body.hasPassword).toBe(true);
+    expect(identities.body.identities).toHaveLength(1);
+  });
+
+  test("TC-007: A user with a password can unlink a provider", async () => {
+    const user = await createUser();
+    await UserIdentity.create({ user: user._id, provider: "mock", subject: "mock-user-1" });
+    const token = issueAccessToken(user, { expiresIn: "1h" });
+
+    const res = await request(app).delete("/api/auth/oauth/mock").set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(await UserIdentity.countDocuments()).toBe(0);
+  });
+
+  test("TC-008: Accounts with 2FA enabled still get the second-factor challenge", async () => {
+    const user = await createUser({ isVerified: true });
+    await User.updateOne({ _id: user._id }, { "twoFactor.enabled": true });
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-009: Unknown providers are rejected", async () => {
+    const res = await request(app).get("/api/auth/oauth/unknown/authorize");
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Unknown identity provider.");
+  });
+
+  test("TC-010: A state can only be used once", async () => {
+    const params = await authorize();
+    await callback(params);
+
+    const res = await callback(params);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid or expired sign-in request. Please start again.");
+  });
+
+  test("TC-011: A code the provider rejects fails sign-in", async () => {
+    const { state } = await authorize();
+
+    const res = await callback({ code: "forged-code", state });
+
+    expect(res.statusCode).toBe(401);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test("TC-012: An ID token with the wrong nonce is rejected", async () => {
+    idpOptions.nonce = "replayed-nonce";
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(401);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test("TC-013: An ID token signed with an unknown key is rejected", async () => {
+    idpOptions.rogueSigner = true;
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(401);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test("TC-014: An unverified email never takes over an existing account", async () => {
+    await createUser({ isVerified: true });
+    profile.emailVerified = false;
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(409);
+    expect(await UserIdentity.countDocuments()).toBe(0);
+  });
+
+  test("TC-015: A provider account linked to another user cannot be linked again", async () => {
+    const owner = await createUser({ email: "owner@example.com" });
+    await UserIdentity.create({ user: owner._id, provider: "mock", subject: "mock-user-1" });
+    const other = await createUser({ email: "other@example.com" });
+    const token = issueAccessToken(other, { expiresIn: "1h" });
+
+    const res = await callback(await authorize({ token }), token);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe("This mock account is already linked to another user.");
+  });
+
+  test("TC-016: A link request must be completed by the account that started it", async () => {
+    const user = await createUser({ email: "local@example.com" });
+    const token = issueAccessToken(user, { expiresIn: "1h" });
+
+    const res = await callback(await authorize({ token }));
+
+    expect(res.statusCode).toBe(403);
+    expect(await UserIdentity.countDocuments()).toBe(0);
+  });
+
+  test("TC-017: The only sign-in method of an account without a password cannot be unlinked", async () => {
+    const signIn = await callback(await authorize());
+
+    const res = await request(app).delete("/api/auth/oauth/mock").set("Authorization", `Bearer ${signIn.body.token}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Set a password before unlinking your only sign-in method.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-018: Expired authorization requests are rejected", async () => {
+    const params = await authorize();
+    await OAuthState.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await callback(params);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-019: Setting a password marks a provider-created account as having one", async () => {
+    await callback(await authorize());
+    const user = await User.findOne({ email: "oauth@example.com" });
+
+    user.password = "NewPassword123";
+    await user.save();
+
+    expect((await User.findById(user._id)).hasPassword).toBe(true);
+  });
+
+  test("TC-020: Accounts that must reset their password cannot sign in with a provider", async () => {
+    await createUser({ isVerified: true, passwordResetRequired: true });
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.passwordResetRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test("TC-021: An unverified provider email does not create an account", async () => {
+    profile.emailVerified = false;
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(403);
+    expect(await User.countDocuments()).toBe(0);
+    expect(await UserIdentity.countDocuments()).toBe(0);
+  });
+
+  test("TC-022: Accounts created through a provider are audited as signups", async () => {
+    await callback(await authorize());
+    await callback(await authorize());
+
+    const user = await User.findOne({ email: "oauth@example.com" });
+    const entries = await AuditLog.find({ action: "user.signup" });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].target.id.toString()).toBe(user.id);
+    expect(entries[0].metadata.provider).toBe("mock");
+  });
+
+  test("TC-023: Concurrent first sign-ins with the same provider account create one user and one link", async () => {
+    const first = await authorize();
+    const second = await authorize();
+
+    const responses = await Promise.all([callback(first), callback(second)]);
+
+    expect(responses.map((res) => res.statusCode)).toEqual([200, 200]);
+    expect(responses[0].body.user.id).toBe(responses[1].body.user.id);
+    expect(await User.countDocuments()).toBe(1);
+    expect(await UserIdentity.countDocuments()).toBe(1);
+  });
+
+  test("TC-024: Linking an existing account by its email is audited", async () => {
+    const user = await createUser({ isVerified: true });
+
+    await callback(await authorize());
+    await callback(await authorize());
+
+    const entries = await AuditLog.find({ action: "user.identity.link" });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].target.id.toString()).toBe(user.id);
+    expect(entries[0].metadata).toMatchObject({ provider: "mock", email: "oauth@example.com" });
+    expect(await AuditLog.exists({ action: "user.signup" })).toBeNull();
+  });
+
+  test("TC-025: A provider name that is not a string falls back to the email's local part", async () => {
+    profile.name = 42;
+
+    const res = await callback(await authorize());
+
+    expect(res.statusCode).toBe(200);
+    expect((await User.findOne({ email: "oauth@example.com" })).name).toBe("oauth");
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @file refresh_token.test.js
+ * @description Tests for POST /api/auth/refresh and session revocation on signout.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import RefreshToken from "../../models/RefreshToken";
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await RefreshToken.deleteMany();
+  await User.create({ name: "Test User", email: "testuser@example.com", password: "SecurePass123" });
+});
+
+// Helper function to sign in and return the response body
+const signIn = async (rememberMe = false) => {
+  const res = await request(app)
+    .post("/api/auth/signin")
+    .send({ email: "testuser@example.com", password: "SecurePass123", rememberMe });
+  return res;
+};
+
+const refresh = (refreshToken) => request(app).post("/api/auth/refresh").send({ refreshToken });
+
+describe("POST /api/auth/refresh", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Sign in returns a short-lived access token and a refresh token", async () => {
+    const res = await signIn();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty("token");
+    expect(res.body).toHaveProperty("refreshToken");
+    expect(res.body.accessTokenExpiration).toBe("15m");
+    expect(res.headers["set-cookie"].join(";")).toContain("refreshToken=");
+    expect(res.headers["set-cookie"].join(";")).toContain("HttpOnly");
+  });
+
+  test("TC-002: Refreshing rotates the refresh token", async () => {
+    const { body } = await signIn();
+
+    const res = await refresh(body.refreshToken);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty("token");
+    expect(res.body.refreshToken).not.toBe(body.refreshToken);
+  });
+
+  test("TC-003: Refresh token is accepted from the cookie", async () => {
+    const { body } = await signIn();
+
+    const res = await request(app).post("/api/auth/refresh").set("Cookie", `refreshToken=${body.refreshToken}`);
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("TC-004: Refresh tokens are stored hashed", async () => {
+    const { body } = await signIn();
+
+    const stored = await RefreshToken.findOne();
+    expect(stored.tokenHash).not.toBe(body.refreshToken);
+    expect(await RefreshToken.countDocuments({ tokenHash: body.refreshToken })).toBe(0);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-005: Missing refresh token is rejected", async () => {
+    const res = await request(app).post("/api/auth/refresh");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("No refresh token provided");
+  });
+
+  test("TC-006: Unknown refresh token is rejected", async () => {
+    const res = await refresh("not-a-real-token");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid or expired refresh token");
+  });
+
+  test("TC-007: Reusing a rotated refresh token revokes the whole token family", async () => {
+    const { body } = await signIn();
+    const rotated = await refresh(body.refreshToken);
+
+    const replay = await refresh(body.refreshToken);
+    expect(replay.statusCode).toBe(401);
+    expect(replay.body.message).toBe("Refresh token reuse detected. Please sign in again.");
+
+    // The legitimate successor token is revoked too
+    const successor = await refresh(rotated.body.refreshToken);
+    expect(successor.statusCode).toBe(401);
+
+    // Access tokens of the family stop working as well
+    const signout = await request(app)
+      .get("/api/auth/signout")
+      .set("Authorization", `Bearer ${rotated.body.token}`);
+    expect(signout.statusCode).toBe(401);
+  });
+
+  test("TC-008: Signing out revokes the session", async () => {
+    const { body } = await signIn();
+
+    const signout = await request(app).get("/api/auth/signout").set("Authorization", `Bearer ${body.token}`);
+    expect(signout.statusCode).toBe(200);
+
+    const res = await refresh(body.refreshToken);
+    expect(res.statusCode).toBe(401);
+
+    const again = await request(app).get("/api/auth/signout").set("Authorization", `Bearer ${body.token}`);
+    expect(again.statusCode).toBe(401);
+    expect(again.body.message).toBe("Invalid token, authentication failed");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-009: Signing out one session leaves other sessions active", async () => {
+    const first = await signIn();
+    const second = await signIn();
+
+    await request(app).get("/api/auth/signout").set("Authorization", `Bearer ${first.body.token}`);
+
+    const res = await refresh(second.body.refreshToken);
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("TC-010: Refresh fails once the account is deactivated", async () => {
+    const { body } = await signIn();
+    await User.updateOne({ email: "testuser@example.com" }, { active: false });
+
+    const res = await refresh(body.refreshToken);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-011: Refresh fails and the session ends once a password reset is required", async () => {
+    const { body } = await signIn();
+    await User.updateOne({ email: "testuser@example.com" }, { passwordResetRequired: true });
+
+    const res = await refresh(body.refreshToken);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.passwordResetRequired).toBe(true);
+    expect((await refresh(body.refreshToken)).statusCode).toBe(401);
+  });
+
+  test("TC-012: Refresh fails and the session ends once the account is pending deletion", async () => {
+    const { body } = await signIn();
+    await User.updateOne(
+      { email: "testuser@example.com" },
+      { deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 60 * 60 * 1000) } }
+    );
+
+    const res = await refresh(body.refreshToken);
+
+    expect(res.statusCode).toBe(401);
+    expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(0);
+  });
+
+  test("TC-013: A refresh token that is not a string is rejected", async () => {
+    const res = await refresh({ $ne: null });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid refresh token");
+  });
+});
@@ -4,6 +4,7 @@ import bcrypt from "bcryptjs";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app";
 import User from "../../models/User";
+import { hashToken } from "../../utils/secureToken";
 
 let mongoServer;
 
@@ -34,7 +35,7 @@ describe("POST /api/auth/reset-password/:token", () => {
       name: "John Doe",
       email: "john@example.com",
       password: "OldPassword@123",
-      resetPasswordToken: validToken,
+      resetPasswordToken: hashToken(validToken), // Only the hash is stored
       resetPasswordExpires: Date.now() + 10 * 60 * 1000, // Valid for 10 minutes
     });
 
@@ -42,7 +43,7 @@ describe("POST /api/auth/reset-password/:token", () => {
       name: "Jane Doe",
       email: "jane@example.com",
       password: "OldPassword@123",
-      resetPasswordToken: validToken,
+      resetPasswordToken: hashToken(validToken),
       resetPasswordExpires: Date.now() + 10 * 60 * 1000,
     });
 
@@ -0,0 +1,131 @@
+/**
+ * @file reset_password_security.test.js
+ * @description Tests that password reset tokens are hashed and single use, and that a reset
+ * signs the user out everywhere and sends a confirmation email.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import { issueAccessToken } from "../../services/tokenService";
+import { sentMail, clearSentMail } from "../../services/mailer";
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  clearSentMail();
+  await User.create({ name: "Reset User", email: "reset@example.com", password: "OldPassword123" });
+});
+
+// Helper function to request a reset email and return the token from its link
+const requestResetToken = async () => {
+  await request(app).post("/api/auth/reset-password").send({ email: "reset@example.com" });
+  const resetEmail = sentMail.find((mail) => mail.subject === "Password Reset Request");
+  return resetEmail.text.match(/\/reset-password\/(\w+)/)[1];
+};
+
+const resetWith = (token, newPassword = "NewPassword123") =>
+  request(app).post(`/api/auth/reset-password/${token}`).send({ newPassword });
+
+describe("Password reset token security", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Only a hash of the reset token is stored", async () => {
+    const token = await requestResetToken();
+
+    const user = await User.findOne({ email: "reset@example.com" }).select("+resetPasswordToken");
+    expect(user.resetPasswordToken).toBeDefined();
+    expect(user.resetPasswordToken).not.toBe(token);
+  });
+
+  test("TC-002: A successful reset sends a confirmation email", async () => {
+    const token = await requestResetToken();
+    clearSentMail();
+
+    const res = await resetWith(token);
+
+    expect(res.statusCode).toBe(200);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].subject).toBe("Your password has been changed");
+  });
+
+  test("TC-003: A reset revokes existing sessions and access tokens", async () => {
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "reset@example.com", password: "OldPassword123" });
+    const user = await User.findOne({ email: "reset@example.com" });
+    const sessionlessToken = issueAccessToken(user, { expiresIn: "1h" });
+
+    // Make sure the reset happens in a later second than the tokens were issued
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    await resetWith(await requestResetToken());
+
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: signin.body.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+
+    const withSession = await request(app).get(`/api/users/${user._id}`).set("Authorization", `Bearer ${signin.body.token}`);
+    expect(withSession.statusCode).toBe(401);
+
+    const withoutSession = await request(app).get(`/api/users/${user._id}`).set("Authorization", `Bearer ${sessionlessToken}`);
+    expect(withoutSession.statusCode).toBe(401);
+  });
+
+  test("TC-004: Signing in with the new password works after a reset", async () => {
+    await resetWith(await requestResetToken());
+
+    const res = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "reset@example.com", password: "NewPassword123" });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-005: A reset token cannot be used twice", async () => {
+    const token = await requestResetToken();
+    await resetWith(token);
+
+    const res = await resetWith(token, "AnotherPass123");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid or expired password reset token.");
+  });
+
+  test("TC-006: The stored hash does not work as a reset token", async () => {
+    await requestResetToken();
+    const user = await User.findOne({ email: "reset@example.com" }).select("+resetPasswordToken");
+
+    const res = await resetWith(user.resetPasswordToken);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-007: Concurrent resets with the same token succeed only once", async () => {
+    const token = await requestResetToken();
+
+    const results = await Promise.all([resetWith(token, "FirstPass123"), resetWith(token, "SecondPass123")]);
+
+    expect(results.map((res) => res.statusCode).sort()).toEqual([200, 400]);
+  });
+
+  test("TC-008: Requesting a new link invalidates the previous one", async () => {
+    const first = await requestResetToken();
+    const second = await requestResetToken();
+
+    expect((await resetWith(first)).statusCode).toBe(400);
+    expect((await resetWith(second)).statusCode).toBe(200);
+  });
+});
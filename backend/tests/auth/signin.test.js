@@ -95,7 +95,7 @@ describe("POST /api/auth/signin", () => {
     });
 
     expect(res.statusCode).toBe(401);
-    expect(res.body.message).toBe("Incorrect password. Try again.");
+    expect(res.body.message).toBe("Invalid email or password.");
   });
 
   test("TC-006: Should return error for unregistered email", async () => {
@@ -104,8 +104,8 @@ describe("POST /api/auth/signin", () => {
       password: "SomePass123",
     });
 
-    expect(res.statusCode).toBe(404);
-    expect(res.body.message).toBe("No account found with this email. Sign up instead?");
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid email or password.");
   });
 
   test("TC-007: Should return error when email is missing", async () => {
@@ -1,18 +1,15 @@
 import request from "supertest";
 import app from "../../app"; // Import your Express server instance
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import User from "../../models/User"; // Import the User model
 import mongoose from "mongoose";
 
-// Mock JWT Secret for tests
-const JWT_SECRET = process.env.JWT_SECRET || "test_secret";
-
 let mongoServer;
 
 // Utility function to generate JWT tokens
-const generateToken = (userId, expiresIn = "1h") => {
-  return jwt.sign({ id: userId }, JWT_SECRET, { expiresIn });
+const generateToken = (user, expiresIn = "1h") => {
+  return issueAccessToken(user, { expiresIn });
 };
 
 describe("POST /api/auth/signout - Logout API", () => {
@@ -32,9 +29,9 @@ describe("POST /api/auth/signout - Logout API", () => {
     });
 
     // Generate tokens
-    validToken = generateToken(user._id);
-    expiredToken = generateToken(user._id, "-1s"); // Expired token
-    revokedToken = generateToken(user._id); // This will be manually revoked in a test
+    validToken = generateToken(user);
+    expiredToken = generateToken(user, "-1s"); // Expired token
+    revokedToken = generateToken(user); // This will be manually revoked in a test
     malformedToken = "invalid.token.string"; // Malformed token
   });
 
@@ -55,7 +52,7 @@ describe("POST /api/auth/signout - Logout API", () => {
   });
 
   // test("TC-002: User logs out while using a valid token stored in cookies", async () => {
-  //   const freshToken = generateToken(user._id);
+  //   const freshToken = generateToken(user);
   //   const res = await request(app)
   //     .get("/api/auth/signout")
   //     .set("Cookie", `jwt=${freshToken}`);
@@ -65,7 +62,7 @@ describe("POST /api/auth/signout - Logout API", () => {
   // });
 
   test("TC-003: User logs out after being authenticated with a recently refreshed token", async () => {
-    const freshToken = generateToken(user._id);
+    const freshToken = generateToken(user);
     const res = await request(app)
       .get("/api/auth/signout")
       .set("Authorization", `Bearer ${freshToken}`);
@@ -75,8 +72,8 @@ describe("POST /api/auth/signout - Logout API", () => {
   });
 
   test("TC-004: User logs out from multiple devices (each session invalidates separately)", async () => {
-    const token1 = generateToken(user._id);
-    const token2 = generateToken(user._id);
+    const token1 = generateToken(user);
+    const token2 = generateToken(user);
 
     // Logout first session
     const res1 = await request(app)
@@ -159,7 +156,7 @@ describe("POST /api/auth/signout - Logout API", () => {
   // });
 
   test("TC-015: User logs out right after signing in (before any other actions)", async () => {
-    const newToken = generateToken(user._id);
+    const newToken = generateToken(user);
     const res = await request(app)
       .get("/api/auth/signout")
       .set("Authorization", `Bearer ${newToken}`);
@@ -0,0 +1,124 @@
+/**
+ * @file token_claims.test.js
+ * @description Tests that every auth path issues the same versioned access token claims
+ * and that `protect` rejects tokens for missing or inactive users.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import { issueAccessToken, TOKEN_VERSION } from "../../services/tokenService";
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+});
+
+// Helper function to call a protected endpoint with a token
+const getProfile = (userId, token) =>
+  request(app).get(`/api/users/${userId}`).set("Authorization", `Bearer ${token}`);
+
+describe("Access token claims", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Signup and signin issue tokens with the same claim set", async () => {
+    const signup = await request(app)
+      .post("/api/auth/signup")
+      .send({ name: "Token User", email: "token@example.com", password: "SecurePass123" });
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "token@example.com", password: "SecurePass123" });
+
+    for (const res of [signup, signin]) {
+      const claims = jwt.decode(res.body.token);
+      expect(claims.ver).toBe(TOKEN_VERSION);
+      expect(claims.sub).toBe(signup.body.user.id);
+      expect(claims.role).toBe("user");
+      expect(claims).toHaveProperty("sid");
+      expect(claims).toHaveProperty("iss");
+      expect(claims).toHaveProperty("aud");
+    }
+  });
+
+  test("TC-002: A token from signin authenticates protected routes", async () => {
+    const user = await User.create({ name: "Signin User", email: "signin@example.com", password: "SecurePass123" });
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "signin@example.com", password: "SecurePass123" });
+
+    const res = await getProfile(user._id, signin.body.token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.email).toBe("signin@example.com");
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-003: Tokens in the legacy `{ id }` format are rejected", async () => {
+    const user = await User.create({ name: "Legacy User", email: "legacy@example.com", password: "SecurePass123" });
+    const legacyToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+
+    const res = await getProfile(user._id, legacyToken);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid token, authentication failed");
+  });
+
+  test("TC-004: Tokens for another audience are rejected", async () => {
+    const user = await User.create({ name: "Audience User", email: "aud@example.com", password: "SecurePass123" });
+    const foreignToken = jwt.sign({ ver: TOKEN_VERSION, role: "user" }, process.env.JWT_SECRET, {
+      subject: user._id.toString(),
+      audience: "another-app",
+      expiresIn: "1h",
+    });
+
+    const res = await getProfile(user._id, foreignToken);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-005: Tokens of a deleted user are rejected", async () => {
+    const user = await User.create({ name: "Gone User", email: "gone@example.com", password: "SecurePass123" });
+    const other = await User.create({ name: "Other User", email: "other@example.com", password: "SecurePass123" });
+    const token = issueAccessToken(user);
+    await User.findByIdAndDelete(user._id);
+
+    const res = await getProfile(other._id, token);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid token, authentication failed");
+  });
+
+  test("TC-006: Tokens of a deactivated user are rejected", async () => {
+    const user = await User.create({ name: "Idle User", email: "idle@example.com", password: "SecurePass123" });
+    const token = issueAccessToken(user);
+    await User.updateOne({ _id: user._id }, { active: false });
+
+    const res = await getProfile(user._id, token);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-007: Optional auth treats a deactivated user's token as anonymous", async () => {
+    const user = await User.create({ name: "Idle User", email: "idle@example.com", password: "SecurePass123" });
+    const token = issueAccessToken(user);
+    await User.updateOne({ _id: user._id }, { active: false });
+
+    const res = await request(app).get("/api/users").set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+  });
+});
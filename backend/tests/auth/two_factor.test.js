@@ -0,0 +1,289 @@
+/**
+ * @file two_factor.test.js
+ * @description Tests for TOTP two-factor authentication: enrolment, the sign-in challenge,
+ * backup codes, disabling and the admin requirement.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import TwoFactorChallenge from "../../models/TwoFactorChallenge";
+import { issueAccessToken } from "../../services/tokenService";
+import { MAX_CHALLENGE_ATTEMPTS, SECOND_FACTOR_LOCK_THRESHOLD } from "../../config/twoFactorPolicy";
+import { base32Encode, generateTotp, TOTP_STEP_SECONDS } from "../../utils/totp";
+
+let mongoServer;
+let user, userToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  delete process.env.REQUIRE_ADMIN_2FA;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await TwoFactorChallenge.deleteMany();
+  delete process.env.REQUIRE_ADMIN_2FA;
+
+  user = await User.create({ name: "Secure User", email: "secure@example.com", password: "SecurePass123" });
+  userToken = issueAccessToken(user, { expiresIn: "1h" });
+});
+
+// Helper to get the code for the current time step (offset lets a test use a fresh, unused step)
+const currentCode = (secret, offset = 0) =>
+  generateTotp(secret, Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + offset);
+
+// Helper function to enrol the test user and return the secret and backup codes
+const enrol = async (token = userToken) => {
+  const setup = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${token}`);
+  const confirm = await request(app)
+    .post("/api/auth/2fa/confirm")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ code: currentCode(setup.body.secret) });
+  return { secret: setup.body.secret, backupCodes: confirm.body.backupCodes };
+};
+
+const signIn = () =>
+  request(app).post("/api/auth/signin").send({ email: "secure@example.com", password: "SecurePass123" });
+
+describe("Two-factor authentication", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: TOTP codes match the RFC 6238 test vector", () => {
+    const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+    expect(generateTotp(secret, 1)).toBe("287082");
+  });
+
+  test("TC-002: Setup returns a secret and an otpauth URI", async () => {
+    const res = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${userToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(res.body.otpauthUri).toContain("otpauth://totp/");
+    expect(res.body.otpauthUri).toContain(`secret=${res.body.secret}`);
+  });
+
+  test("TC-003: Confirming enrolment enables 2FA and returns hashed backup codes", async () => {
+    const { backupCodes } = await enrol();
+
+    expect(backupCodes).toHaveLength(10);
+
+    const stored = await User.findById(user._id).select("+twoFactor.backupCodes");
+    expect(stored.twoFactor.enabled).toBe(true);
+    expect(stored.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+  });
+
+  test("TC-004: Sign-in returns a challenge instead of a session when 2FA is enabled", async () => {
+    await enrol();
+
+    const res = await signIn();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body).toHaveProperty("challengeToken");
+    expect(res.body).not.toHaveProperty("token");
+  });
+
+  test("TC-005: A valid code completes sign-in", async () => {
+    const { secret } = await enrol();
+    const { body } = await signIn();
+
+    const res = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, code: currentCode(secret, 1) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty("token");
+    expect(res.body).toHaveProperty("refreshToken");
+  });
+
+  test("TC-006: A backup code completes sign-in only once", async () => {
+    const { backupCodes } = await enrol();
+    const { body } = await signIn();
+
+    const first = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, backupCode: backupCodes[0] });
+    expect(first.statusCode).toBe(200);
+
+    const second = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, backupCode: backupCodes[0] });
+    expect(second.statusCode).toBe(401);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-007: A wrong code is rejected", async () => {
+    await enrol();
+    const { body } = await signIn();
+
+    const res = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, code: "000000" });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid authentication code.");
+  });
+
+  test("TC-008: A TOTP code cannot be replayed", async () => {
+    const { secret } = await enrol();
+    const { body } = await signIn();
+    const code = currentCode(secret, 1);
+
+    await request(app).post("/api/auth/2fa/verify").send({ challengeToken: body.challengeToken, code });
+    const replay = await request(app).post("/api/auth/2fa/verify").send({ challengeToken: body.challengeToken, code });
+
+    expect(replay.statusCode).toBe(401);
+  });
+
+  test("TC-009: Challenge tokens are not accepted as access tokens", async () => {
+    await enrol();
+    const { body } = await signIn();
+
+    const res = await request(app).get(`/api/users/${user._id}`).set("Authorization", `Bearer ${body.challengeToken}`);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-010: Enrolment fails with a wrong confirmation code", async () => {
+    await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${userToken}`);
+
+    const res = await request(app)
+      .post("/api/auth/2fa/confirm")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ code: "123456" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid authentication code.");
+  });
+
+  test("TC-011: Disabling requires the password", async () => {
+    const { secret } = await enrol();
+
+    const res = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ password: "WrongPass123", code: currentCode(secret, 1) });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-012: Disabling with password and code restores single-step sign-in", async () => {
+    const { secret } = await enrol();
+
+    const disable = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ password: "SecurePass123", code: currentCode(secret, 1) });
+    expect(disable.statusCode).toBe(200);
+
+    const res = await signIn();
+    expect(res.body).toHaveProperty("token");
+  });
+
+  test("TC-013: Required admins can only reach enrolment until they set up 2FA", async () => {
+    process.env.REQUIRE_ADMIN_2FA = "true";
+    const admin = await User.create({ name: "Admin", email: "admin@example.com", password: "AdminPass123", role: "admin" });
+    const adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "admin@example.com", password: "AdminPass123" });
+    expect(signin.body.twoFactorSetupRequired).toBe(true);
+
+    const blocked = await request(app).get(`/api/users/${admin._id}`).set("Authorization", `Bearer ${adminToken}`);
+    expect(blocked.statusCode).toBe(403);
+
+    const { secret } = await enrol(adminToken);
+    const allowed = await request(app).get(`/api/users/${admin._id}`).set("Authorization", `Bearer ${adminToken}`);
+    expect(allowed.statusCode).toBe(200);
+
+    const disable = await request(app)
+      .post("/api/auth/2fa/disable")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ password: "AdminPass123", code: currentCode(secret, 1) });
+    expect(disable.statusCode).toBe(403);
+  });
+
+  test("TC-014: A challenge is invalidated after too many wrong codes", async () => {
+    const { secret } = await enrol();
+    const { body } = await signIn();
+    const verify = (code) =>
+      request(app).post("/api/auth/2fa/verify").send({ challengeToken: body.challengeToken, code });
+
+    for (let i = 0; i < MAX_CHALLENGE_ATTEMPTS; i++) {
+      expect((await verify("000000")).body.message).toBe("Invalid authentication code.");
+    }
+
+    const res = await verify(currentCode(secret, 1));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid or expired sign-in challenge.");
+    expect(res.body.token).toBeUndefined();
+
+    // Signing in again starts a fresh challenge
+    const retry = await signIn();
+    const completed = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: retry.body.challengeToken, code: currentCode(secret, 1) });
+    expect(completed.statusCode).toBe(200);
+  });
+
+  test("TC-015: A challenge can only complete one sign-in", async () => {
+    const { backupCodes } = await enrol();
+    const { body } = await signIn();
+
+    await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, backupCode: backupCodes[0] });
+    const res = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, backupCode: backupCodes[1] });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid or expired sign-in challenge.");
+  });
+
+  test("TC-016: Wrong codes across challenges lock second-factor sign-in for the account", async () => {
+    const { secret } = await enrol();
+
+    for (let failures = 0; failures < SECOND_FACTOR_LOCK_THRESHOLD; ) {
+      const { body } = await signIn();
+      for (let i = 0; i < MAX_CHALLENGE_ATTEMPTS && failures < SECOND_FACTOR_LOCK_THRESHOLD; i++, failures++) {
+        await request(app).post("/api/auth/2fa/verify").send({ challengeToken: body.challengeToken, code: "000000" });
+      }
+    }
+
+    // A correct password does not clear the count
+    const { body } = await signIn();
+    const res = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, code: currentCode(secret, 1) });
+
+    expect(res.statusCode).toBe(423);
+    expect(res.headers["retry-after"]).toBeDefined();
+    expect(res.body.token).toBeUndefined();
+  });
+
+  test("TC-017: A password reset forced after the password step blocks the code step", async () => {
+    const { secret } = await enrol();
+    const { body } = await signIn();
+    await User.updateOne({ _id: user._id }, { passwordResetRequired: true });
+
+    const res = await request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken: body.challengeToken, code: currentCode(secret, 1) });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.passwordResetRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+  });
+});
@@ -0,0 +1,154 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Follow from "../../models/Follow";
+
+let mongoServer;
+let viewer, followed, privateFollowed, privateUnfollowed, deactivated, stranger;
+let viewerToken;
+
+beforeAll(async () => {
+  // Start in-memory MongoDB
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "Password123" });
+  followed = await User.create({ name: "Followed", email: "followed@example.com", password: "Password123" });
+  stranger = await User.create({ name: "Stranger", email: "stranger@example.com", password: "Password123" });
+  privateFollowed = await User.create({
+    name: "Private Friend",
+    email: "friend@example.com",
+    password: "Password123",
+    isPrivate: true,
+  });
+  privateUnfollowed = await User.create({
+    name: "Private Ex",
+    email: "ex@example.com",
+    password: "Password123",
+    isPrivate: true,
+  });
+  deactivated = await User.create({
+    name: "Gone",
+    email: "gone@example.com",
+    password: "Password123",
+    active: false,
+  });
+
+  for (const user of [followed, privateFollowed, deactivated]) {
+    await createFollow(viewer._id, user._id);
+  }
+
+  viewerToken = issueAccessToken(viewer, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("GET /api/feed - Home Timeline", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Feed contains posts from followed users and the viewer, newest first", async () => {
+    await Post.create({ author: followed._id, content: "first" });
+    await Post.create({ author: viewer._id, content: "second" });
+    await Post.create({ author: privateFollowed._id, content: "third" });
+
+    const res = await request(app).get("/api/feed").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts.map((p) => p.content)).toEqual(["third", "second", "first"]);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  test("TC-002: Cursor pagination walks through the whole timeline without duplicates", async () => {
+    for (let i = 1; i <= 5; i++) {
+      await Post.create({ author: followed._id, content: `post ${i}` });
+    }
+
+    const page1 = await request(app).get("/api/feed?limit=2").set("Authorization", `Bearer ${viewerToken}`);
+    expect(page1.body.posts.map((p) => p.content)).toEqual(["post 5", "post 4"]);
+    expect(page1.body.nextCursor).toBeTruthy();
+
+    const page2 = await request(app)
+      .get(`/api/feed?limit=2&cursor=${page1.body.nextCursor}`)
+      .set("Authorization", `Bearer ${viewerToken}`);
+    expect(page2.body.posts.map((p) => p.content)).toEqual(["post 3", "post 2"]);
+
+    const page3 = await request(app)
+      .get(`/api/feed?limit=2&cursor=${page2.body.nextCursor}`)
+      .set("Authorization", `Bearer ${viewerToken}`);
+    expect(page3.body.posts.map((p) => p.content)).toEqual(["post 1"]);
+    expect(page3.body.nextCursor).toBeNull();
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-003: Posts from unfollowed users are excluded", async () => {
+    await Post.create({ author: stranger._id, content: "not followed" });
+
+    const res = await request(app).get("/api/feed").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toHaveLength(0);
+  });
+
+  test("TC-004: Deactivated authors are skipped", async () => {
+    await Post.create({ author: deactivated._id, content: "inactive" });
+
+    const res = await request(app).get("/api/feed").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.body.posts).toHaveLength(0);
+  });
+
+  test("TC-005: Private accounts the viewer does not follow are skipped", async () => {
+    await Post.create({ author: privateUnfollowed._id, content: "hidden" });
+
+    const res = await request(app).get("/api/feed").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.body.posts).toHaveLength(0);
+  });
+
+  test("TC-006: Malformed cursor returns 400", async () => {
+    const res = await request(app).get("/api/feed?cursor=not-a-cursor").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid cursor.");
+  });
+
+  test("TC-007: Request without authentication is rejected", async () => {
+    const res = await request(app).get("/api/feed");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Not authorized, no token provided");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-008: A negative limit returns one post per page", async () => {
+    await Post.create({ author: followed._id, content: "older" });
+    await Post.create({ author: followed._id, content: "newer" });
+
+    const res = await request(app).get("/api/feed?limit=-1").set("Authorization", `Bearer ${viewerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts.map((p) => p.content)).toEqual(["newer"]);
+    expect(res.body.nextCursor).toBeTruthy();
+  });
+});
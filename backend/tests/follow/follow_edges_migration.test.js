@@ -0,0 +1,141 @@
+/**
+ * @file follow_edges_migration.test.js
+ * @description Tests for moving the embedded follower arrays into Follow edges, and for
+ * the edge model's guarantees under concurrent follows.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Follow from "../../models/Follow";
+import { isFollowing } from "../../services/followService";
+import { migrateFollowEdges } from "../../migrations/followEdges";
+
+let mongoServer;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Inserts a user document in the old shape, bypassing the schema
+const insertLegacyUser = async (name, { followers = [], following = [] } = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  await User.collection.insertOne({
+    _id,
+    name,
+    email: `${name.toLowerCase()}@example.com`,
+    password: "hashed",
+    followers,
+    following,
+  });
+  return _id;
+};
+
+describe("Follow edges", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: The migration creates edges and counts from the embedded arrays", async () => {
+    const alice = new mongoose.Types.ObjectId();
+    const bob = new mongoose.Types.ObjectId();
+    const carol = new mongoose.Types.ObjectId();
+    await User.collection.insertMany([
+      { _id: alice, name: "Alice", email: "alice@example.com", followers: [bob, carol], following: [bob] },
+      { _id: bob, name: "Bob", email: "bob@example.com", followers: [alice], following: [alice] },
+      { _id: carol, name: "Carol", email: "carol@example.com", followers: [], following: [alice] },
+    ]);
+
+    const result = await migrateFollowEdges({ batchSize: 2 });
+
+    expect(result).toEqual({ users: 3, inserted: 3, skipped: 0 });
+    expect(await Follow.countDocuments()).toBe(3);
+    expect(await isFollowing(carol, alice)).toBe(true);
+    expect(await isFollowing(alice, carol)).toBe(false);
+
+    const migratedAlice = await User.collection.findOne({ _id: alice });
+    expect(migratedAlice).toMatchObject({ followersCount: 2, followingCount: 1 });
+    expect(migratedAlice).not.toHaveProperty("followers");
+    expect(migratedAlice).not.toHaveProperty("following");
+  });
+
+  test("TC-002: Followers of a migrated account are listed from the edges", async () => {
+    const alice = await insertLegacyUser("Alice");
+    await insertLegacyUser("Bob", { following: [alice] });
+    await migrateFollowEdges();
+
+    const viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "Password123" });
+    const token = issueAccessToken(viewer, { expiresIn: "1h" });
+    const res = await request(app).get(`/api/users/${alice}/followers`).set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.followers.map((user) => user.name)).toEqual(["Bob"]);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-003: Self-follows and references to missing users are skipped", async () => {
+    const alice = new mongoose.Types.ObjectId();
+    await User.collection.insertOne({
+      _id: alice,
+      name: "Alice",
+      email: "alice@example.com",
+      followers: [alice, new mongoose.Types.ObjectId()],
+    });
+
+    const result = await migrateFollowEdges();
+
+    expect(result).toEqual({ users: 1, inserted: 0, skipped: 2 });
+    expect(await Follow.countDocuments()).toBe(0);
+    expect(await User.collection.findOne({ _id: alice })).toMatchObject({ followersCount: 0 });
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-004: Running the migration twice does not duplicate edges", async () => {
+    const alice = await insertLegacyUser("Alice");
+    const bob = await insertLegacyUser("Bob", { following: [alice] });
+
+    await migrateFollowEdges();
+    // As if an interrupted run had left the array behind
+    await User.collection.updateOne({ _id: alice }, { $set: { followers: [bob] } });
+    const second = await migrateFollowEdges();
+
+    expect(second.inserted).toBe(0);
+    expect(await Follow.countDocuments()).toBe(1);
+    expect(await User.collection.findOne({ _id: alice })).toMatchObject({ followersCount: 1 });
+  });
+
+  test("TC-005: Concurrent follow requests create a single edge", async () => {
+    const alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+    const bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+    const token = issueAccessToken(bob, { expiresIn: "1h" });
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${token}`)
+      )
+    );
+
+    expect(responses.filter((res) => res.statusCode === 200)).toHaveLength(1);
+    expect(await Follow.countDocuments()).toBe(1);
+    expect((await User.findById(alice._id)).followersCount).toBe(1);
+    expect((await User.findById(bob._id)).followingCount).toBe(1);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @file follow_list_pagination.test.js
+ * @description Tests for paging, sorting and searching followers / following lists, and the
+ * per-entry relationship flags.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Follow from "../../models/Follow";
+import { createFollow } from "../../services/followService";
+
+let mongoServer;
+let owner, viewer, fans;
+let viewerToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  owner = await User.create({ name: "Owner", email: "owner@example.com", password: "Password123" });
+  viewer = await User.create({ name: "Viewer", email: "viewer@example.com", password: "Password123" });
+
+  // Followed in this order, so "Fan Eve" is the newest follower
+  fans = [];
+  for (const name of ["Fan Ann", "Fan Bob", "Fan Cid", "Fan Dee", "Fan Eve"]) {
+    const email = `${name.split(" ")[1].toLowerCase()}@example.com`;
+    const fan = await User.create({ name, email, password: "Password123" });
+    await createFollow(fan._id, owner._id);
+    fans.push(fan);
+  }
+
+  viewerToken = issueAccessToken(viewer, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const getList = (list, query = {}, userId = owner._id) =>
+  request(app).get(`/api/users/${userId}/${list}`).query(query).set("Authorization", `Bearer ${viewerToken}`);
+
+describe("Paginated followers and following lists", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Followers are listed newest follow first, one page at a time", async () => {
+    const first = await getList("followers", { limit: 2 });
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.followers.map((user) => user.name)).toEqual(["Fan Eve", "Fan Dee"]);
+    expect(first.body.followers[0]).toHaveProperty("followedAt");
+    expect(first.body.nextCursor).toBeTruthy();
+
+    const second = await getList("followers", { limit: 2, cursor: first.body.nextCursor });
+    const third = await getList("followers", { limit: 2, cursor: second.body.nextCursor });
+
+    expect(second.body.followers.map((user) => user.name)).toEqual(["Fan Cid", "Fan Bob"]);
+    expect(third.body.followers.map((user) => user.name)).toEqual(["Fan Ann"]);
+    expect(third.body.nextCursor).toBeNull();
+  });
+
+  test("TC-002: Lists can be sorted oldest follow first", async () => {
+    const first = await getList("followers", { limit: 3, sort: "oldest" });
+    const second = await getList("followers", { limit: 3, sort: "oldest", cursor: first.body.nextCursor });
+
+    expect(first.body.followers.map((user) => user.name)).toEqual(["Fan Ann", "Fan Bob", "Fan Cid"]);
+    expect(second.body.followers.map((user) => user.name)).toEqual(["Fan Dee", "Fan Eve"]);
+  });
+
+  test("TC-003: Lists can be searched by name", async () => {
+    const res = await getList("followers", { search: "eve" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.followers.map((user) => user.name)).toEqual(["Fan Eve"]);
+  });
+
+  test("TC-004: Entries say whether the viewer follows them and whether they follow the viewer", async () => {
+    await createFollow(viewer._id, fans[0]._id);
+    await createFollow(fans[1]._id, viewer._id);
+
+    const res = await getList("followers", { sort: "oldest" });
+    const [ann, bob, cid] = res.body.followers;
+
+    expect(ann).toMatchObject({ isFollowedByMe: true, followsMe: false });
+    expect(bob).toMatchObject({ isFollowedByMe: false, followsMe: true });
+    expect(cid).toMatchObject({ isFollowedByMe: false, followsMe: false });
+  });
+
+  test("TC-005: The following list is paginated the same way", async () => {
+    const res = await getList("following", { limit: 1 }, fans[0]._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.following).toEqual([expect.objectContaining({ name: "Owner", isFollowedByMe: false })]);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-006: A malformed cursor returns 400", async () => {
+    const res = await getList("followers", { cursor: "not-a-cursor" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid cursor.");
+  });
+
+  test("TC-007: An unknown sort order returns 400", async () => {
+    const res = await getList("following", { sort: "alphabetical" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid sort order.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-008: Search input is matched literally", async () => {
+    const res = await getList("followers", { search: "Fan .*" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.followers).toEqual([]);
+  });
+
+  test("TC-009: Search results are paginated with the same cursor", async () => {
+    await User.updateOne({ _id: fans[2]._id }, { name: "Someone Else" });
+
+    const first = await getList("followers", { search: "fan", limit: 2 });
+    const second = await getList("followers", { search: "fan", limit: 2, cursor: first.body.nextCursor });
+
+    expect(first.body.followers.map((user) => user.name)).toEqual(["Fan Eve", "Fan Dee"]);
+    expect(second.body.followers.map((user) => user.name)).toEqual(["Fan Bob", "Fan Ann"]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test("TC-010: The owner of a private account can read their own lists", async () => {
+    await User.updateOne({ _id: owner._id }, { isPrivate: true });
+    const ownerToken = issueAccessToken(owner, { expiresIn: "1h" });
+
+    for (const list of ["followers", "following"]) {
+      const res = await request(app).get(`/api/users/${owner._id}/${list}`).set("Authorization", `Bearer ${ownerToken}`);
+      expect(res.statusCode).toBe(200);
+    }
+    expect((await getList("followers")).statusCode).toBe(403);
+  });
+
+  test("TC-011: Search only matches users on the list", async () => {
+    await User.create({ name: "Fan Zed", email: "zed@example.com", password: "Password123" });
+
+    const res = await getList("followers", { search: "zed" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.followers).toEqual([]);
+  });
+
+  test("TC-012: A negative limit returns one entry per page", async () => {
+    const res = await getList("followers", { limit: -5 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.followers.map((user) => user.name)).toEqual(["Fan Eve"]);
+    expect(res.body.nextCursor).toBeTruthy();
+  });
+
+  test("TC-013: Missing, suspended and deleted users are skipped without shortening a page", async () => {
+    await User.deleteOne({ _id: fans[4]._id });
+    await User.updateOne({ _id: fans[3]._id }, { active: false });
+    await User.updateOne({ _id: fans[2]._id }, { deletion: { requestedAt: new Date(), scheduledFor: new Date() } });
+
+    const first = await getList("followers", { limit: 1 });
+    const second = await getList("followers", { limit: 1, cursor: first.body.nextCursor });
+
+    expect(first.body.followers.map((user) => user.name)).toEqual(["Fan Bob"]);
+    expect(first.body.nextCursor).toBeTruthy();
+    expect(second.body.followers.map((user) => user.name)).toEqual(["Fan Ann"]);
+    expect(second.body.nextCursor).toBeNull();
+  });
+});
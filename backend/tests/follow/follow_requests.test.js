@@ -0,0 +1,206 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import FollowRequest from "../../models/FollowRequest";
+import Follow from "../../models/Follow";
+import Notification from "../../models/Notification";
+import { isFollowing } from "../../services/followService";
+
+let mongoServer;
+let privateUser, requester, otherUser;
+let privateToken, requesterToken, otherToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  privateUser = await User.create({
+    name: "Private Pat",
+    email: "pat@example.com",
+    password: "Password123",
+    isPrivate: true,
+  });
+  requester = await User.create({ name: "Requester", email: "requester@example.com", password: "Password123" });
+  otherUser = await User.create({ name: "Other", email: "other@example.com", password: "Password123" });
+
+  // Generate JWT tokens
+  privateToken = issueAccessToken(privateUser, { expiresIn: "1h" });
+  requesterToken = issueAccessToken(requester, { expiresIn: "1h" });
+  otherToken = issueAccessToken(otherUser, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await FollowRequest.deleteMany({});
+  await Follow.deleteMany({});
+  await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const sendRequest = () =>
+  request(app).post(`/api/follow/${privateUser._id}`).set("Authorization", `Bearer ${requesterToken}`);
+
+describe("Follow requests for private accounts", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Following a private account creates a pending request", async () => {
+    const res = await sendRequest();
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.message).toBe(`Follow request sent to ${privateUser.name}.`);
+
+    const updatedPrivateUser = await User.findById(privateUser._id);
+    expect(updatedPrivateUser.followersCount).toBe(0);
+    expect(await isFollowing(requester._id, privateUser._id)).toBe(false);
+  });
+
+  test("TC-002: Private user lists pending requests", async () => {
+    await sendRequest();
+
+    const res = await request(app).get("/api/follow/requests").set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalRequests).toBe(1);
+    expect(res.body.requests[0].requester.name).toBe("Requester");
+    expect(res.body.requests[0].requester).not.toHaveProperty("email");
+  });
+
+  test("TC-003: Approving a request adds the follower", async () => {
+    await sendRequest();
+    const pending = await FollowRequest.findOne({ recipient: privateUser._id });
+
+    const res = await request(app)
+      .post(`/api/follow/requests/${pending._id}/approve`)
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Requester is now following you.");
+
+    const updatedPrivateUser = await User.findById(privateUser._id);
+    const updatedRequester = await User.findById(requester._id);
+    expect(updatedPrivateUser.followersCount).toBe(1);
+    expect(updatedRequester.followingCount).toBe(1);
+    expect(await isFollowing(requester._id, privateUser._id)).toBe(true);
+    expect(await FollowRequest.countDocuments()).toBe(0);
+  });
+
+  test("TC-004: Rejecting a request discards it without adding the follower", async () => {
+    await sendRequest();
+    const pending = await FollowRequest.findOne({ recipient: privateUser._id });
+
+    const res = await request(app)
+      .post(`/api/follow/requests/${pending._id}/reject`)
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Follow request rejected.");
+    expect((await User.findById(privateUser._id)).followersCount).toBe(0);
+    expect(await FollowRequest.countDocuments()).toBe(0);
+  });
+
+  test("TC-005: Requester cancels a pending request by unfollowing", async () => {
+    await sendRequest();
+
+    const res = await request(app)
+      .delete(`/api/follow/${privateUser._id}`)
+      .set("Authorization", `Bearer ${requesterToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Follow request cancelled.");
+    expect(await FollowRequest.countDocuments()).toBe(0);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-006: Sending a duplicate request is rejected", async () => {
+    await sendRequest();
+    const res = await sendRequest();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You have already requested to follow this user.");
+  });
+
+  test("TC-007: Only the recipient can approve a request", async () => {
+    await sendRequest();
+    const pending = await FollowRequest.findOne({ recipient: privateUser._id });
+
+    const res = await request(app)
+      .post(`/api/follow/requests/${pending._id}/approve`)
+      .set("Authorization", `Bearer ${otherToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Follow request not found.");
+  });
+
+  test("TC-008: Invalid request ID returns 400", async () => {
+    const res = await request(app)
+      .post("/api/follow/requests/invalid-id/reject")
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid request ID.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-009: A request cannot be approved twice", async () => {
+    await sendRequest();
+    const pending = await FollowRequest.findOne({ recipient: privateUser._id });
+
+    await request(app)
+      .post(`/api/follow/requests/${pending._id}/approve`)
+      .set("Authorization", `Bearer ${privateToken}`);
+    const res = await request(app)
+      .post(`/api/follow/requests/${pending._id}/approve`)
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect((await User.findById(privateUser._id)).followersCount).toBe(1);
+    expect(await Follow.countDocuments()).toBe(1);
+  });
+
+  test("TC-010: Following a public account still follows immediately", async () => {
+    const res = await request(app)
+      .post(`/api/follow/${otherUser._id}`)
+      .set("Authorization", `Bearer ${requesterToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(await FollowRequest.countDocuments()).toBe(0);
+  });
+
+  test("TC-011: Concurrent requests to the same account create a single request", async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => sendRequest()));
+
+    expect(responses.filter((res) => res.statusCode === 202)).toHaveLength(1);
+    expect(responses.filter((res) => res.statusCode === 400)).toHaveLength(4);
+    expect(await FollowRequest.countDocuments()).toBe(1);
+    expect(await Notification.countDocuments({ type: "follow_request" })).toBe(1);
+  });
+
+  test("TC-012: Out-of-range page and limit values are clamped when listing requests", async () => {
+    await sendRequest();
+    await request(app).post(`/api/follow/${privateUser._id}`).set("Authorization", `Bearer ${otherToken}`);
+
+    const res = await request(app)
+      .get("/api/follow/requests?page=-1&limit=-5")
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(1);
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.requests.map((item) => item.requester.name)).toEqual(["Other"]);
+  });
+});
@@ -1,9 +1,11 @@
 import request from "supertest";
 import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
 import app from "../../app";
 import User from "../../models/User";
+import Follow from "../../models/Follow";
+import { isFollowing } from "../../services/followService";
 
 let mongoServer;
 let authToken1, authToken2, expiredToken, malformedToken;
@@ -36,10 +38,10 @@ beforeEach(async () => {
     });
 
     // Generate JWT tokens
-    authToken1 = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-    authToken2 = jwt.sign({ id: user2._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+    authToken1 = issueAccessToken(user1, { expiresIn: "1h" });
+    authToken2 = issueAccessToken(user2, { expiresIn: "1h" });
 
-    expiredToken = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1s" });
+    expiredToken = issueAccessToken(user1, { expiresIn: "1s" });
     await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait for token expiration
 
     malformedToken = "invalid.token.string";
@@ -49,6 +51,7 @@ beforeEach(async () => {
 
 afterEach(async () => {
     await User.deleteMany({});
+    await Follow.deleteMany({});
 });
 
 afterAll(async () => {
@@ -85,7 +88,7 @@ describe("POST /api/follow/:userId - Follow a User", () => {
     expect(res2.body.message).toBe(`You are now following ${user3.name}.`);
   });
 
-  test("TC-003: Following a user updates both 'followers' and 'following' lists", async () => {
+  test("TC-003: Following a user creates the follow and updates both users' counts", async () => {
     await request(app)
       .post(`/api/follow/${user2._id}`)
       .set("Authorization", `Bearer ${authToken1}`);
@@ -93,8 +96,9 @@ describe("POST /api/follow/:userId - Follow a User", () => {
     const updatedUser1 = await User.findById(user1._id);
     const updatedUser2 = await User.findById(user2._id);
 
-    expect(updatedUser1.following).toContainEqual(user2._id);
-    expect(updatedUser2.followers).toContainEqual(user1._id);
+    expect(await isFollowing(user1._id, user2._id)).toBe(true);
+    expect(updatedUser1.followingCount).toBe(1);
+    expect(updatedUser2.followersCount).toBe(1);
   });
 
   /**
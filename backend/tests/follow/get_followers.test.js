@@ -3,7 +3,8 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app"; // Import Express app
 import User from "../../models/User";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
 
 let mongoServer;
 let authTokenUser1, authTokenUser2;
@@ -37,12 +38,12 @@ beforeAll(async () => {
   });
 
   // User2 & User3 follow User1
-  user1.followers.push(user2._id, user3._id);
-  await user1.save();
+  await createFollow(user2._id, user1._id);
+  await createFollow(user3._id, user1._id);
 
   // Generate authentication tokens
-  authTokenUser1 = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  authTokenUser2 = jwt.sign({ id: user2._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+  authTokenUser1 = issueAccessToken(user1, { expiresIn: "1h" });
+  authTokenUser2 = issueAccessToken(user2, { expiresIn: "1h" });
 });
 
 afterAll(async () => {
@@ -89,8 +90,8 @@ describe("GET /api/followers/:userId - Retrieve Followers List", () => {
       email: "lisa.ray@example.com",
       password: "Password123!",
       profilePicture: "profile4.jpg",
-      followers: [user1._id],
     });
+    await createFollow(user1._id, user4._id);
 
     const res = await request(app)
       .get(`/api/users/${user4._id}/followers`)
@@ -141,7 +142,6 @@ describe("GET /api/followers/:userId - Retrieve Followers List", () => {
       name: "Private User",
       email: "private@example.com",
       password: "Password123!",
-      followers: [],
       isPrivate: true,
     });
 
@@ -162,7 +162,7 @@ describe("GET /api/followers/:userId - Retrieve Followers List", () => {
   });
 
   test("TC-010: User provides an expired or invalid JWT token", async () => {
-    const expiredToken = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1s" });
+    const expiredToken = issueAccessToken(user1, { expiresIn: "1s" });
     await new Promise((resolve) => setTimeout(resolve, 2000));
 
     const res = await request(app)
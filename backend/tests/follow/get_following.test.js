@@ -3,7 +3,8 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app";
 import User from "../../models/User";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
 
 let mongoServer;
 let authTokenUser1, authTokenUser2;
@@ -19,28 +20,24 @@ beforeAll(async () => {
     name: "User One",
     email: "user1@example.com",
     password: "Password123!",
-    following: [],
   });
 
   user2 = await User.create({
     name: "User Two",
     email: "user2@example.com",
     password: "Password123!",
-    following: [],
   });
 
   user3 = await User.create({
     name: "User Three",
     email: "user3@example.com",
     password: "Password123!",
-    following: [],
   });
 
   privateUser = await User.create({
     name: "Private User",
     email: "private@example.com",
     password: "Password123!",
-    following: [],
     isPrivate: true, // Mark as private
   });
 
@@ -51,12 +48,12 @@ beforeAll(async () => {
   });
 
   // User1 follows User2 & User3
-  user1.following.push(user2._id, user3._id);
-  await user1.save();
+  await createFollow(user1._id, user2._id);
+  await createFollow(user1._id, user3._id);
 
   // Generate JWT tokens
-  authTokenUser1 = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  authTokenUser2 = jwt.sign({ id: user2._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+  authTokenUser1 = issueAccessToken(user1, { expiresIn: "1h" });
+  authTokenUser2 = issueAccessToken(user2, { expiresIn: "1h" });
 
   // Simulate deleted user scenario
   await User.deleteOne({ _id: deletedUser._id });
@@ -99,8 +96,7 @@ describe("GET /api/users/:userId/following - Retrieve Following List", () => {
   });
 
   test("TC-004: User follows only one person and fetches the list", async () => {
-    user2.following.push(user3._id);
-    await user2.save();
+    await createFollow(user2._id, user3._id);
 
     const res = await request(app)
       .get(`/api/users/${user2._id}/following`)
@@ -3,7 +3,7 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app";
 import User from "../../models/User";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
 
 let mongoServer;
 let authTokenUser1, authTokenUser2;
@@ -20,8 +20,8 @@ beforeAll(async () => {
   user3 = await User.create({ name: "User Three", email: "user3@example.com", password: "Password123" });
 
   // Generate authentication tokens
-  authTokenUser1 = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  authTokenUser2 = jwt.sign({ id: user2._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+  authTokenUser1 = issueAccessToken(user1, { expiresIn: "1h" });
+  authTokenUser2 = issueAccessToken(user2, { expiresIn: "1h" });
 
   // Create an invalid user ID (random ObjectId)
   invalidUserId = new mongoose.Types.ObjectId();
@@ -82,7 +82,7 @@ describe("DELETE /api/follow/:userId - Unfollow a user", () => {
 
     // Fetch updated user2 details
     const updatedUser2 = await User.findById(user2._id);
-    expect(updatedUser2.followers.length).toBe(initialUser2.followers.length);
+    expect(updatedUser2.followersCount).toBe(initialUser2.followersCount);
   });
 
   /**
@@ -133,7 +133,7 @@ describe("DELETE /api/follow/:userId - Unfollow a user", () => {
   });
 
   test("TC-009: User tries to unfollow with an expired JWT token", async () => {
-    const expiredToken = jwt.sign({ id: user1._id }, process.env.JWT_SECRET, { expiresIn: "1s" });
+    const expiredToken = issueAccessToken(user1, { expiresIn: "1s" });
     await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait for token to expire
 
     const res = await request(app)
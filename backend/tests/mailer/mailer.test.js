@@ -0,0 +1,122 @@
+/**
+ * @file mailer.test.js
+ * @description Tests for the mailer: template rendering, transports and the emails sent by auth flows.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import { sendMail, sentMail, clearSentMail, setTransport, getTransport } from "../../services/mailer";
+import { renderTemplate } from "../../services/mailer/templates";
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  clearSentMail();
+  setTransport(null);
+});
+
+describe("Mailer", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Templates render text and HTML variants", () => {
+    const email = renderTemplate("passwordReset", "en", { name: "Alice", link: "http://localhost/reset/abc" });
+
+    expect(email.subject).toBe("Password Reset Request");
+    expect(email.text).toContain("http://localhost/reset/abc");
+    expect(email.html).toContain('href="http://localhost/reset/abc"');
+  });
+
+  test("TC-002: Templates render per locale", () => {
+    const email = renderTemplate("emailVerification", "es", { name: "Ana", link: "http://localhost/v/1" });
+
+    expect(email.locale).toBe("es");
+    expect(email.subject).toBe("Confirma tu dirección de correo");
+  });
+
+  test("TC-003: The memory transport is used under test and captures messages", async () => {
+    await sendMail({ to: "alice@example.com", template: "passwordReset", data: { name: "Alice", link: "x" } });
+
+    expect(getTransport().name).toBe("memory");
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe("alice@example.com");
+    expect(sentMail[0]).toHaveProperty("text");
+    expect(sentMail[0]).toHaveProperty("html");
+  });
+
+  test("TC-004: Forgot password emails a reset link in the requested language", async () => {
+    await User.create({ name: "Alice", email: "alice@example.com", password: "SecurePass123" });
+
+    const res = await request(app)
+      .post("/api/auth/reset-password")
+      .set("Accept-Language", "es-ES,es;q=0.9")
+      .send({ email: "alice@example.com" });
+
+    expect(res.statusCode).toBe(200);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].subject).toBe("Solicitud de restablecimiento de contraseña");
+    expect(sentMail[0].text).toMatch(/\/reset-password\/\w+/);
+  });
+
+  test("TC-005: Signup emails a working verification link", async () => {
+    await request(app)
+      .post("/api/auth/signup")
+      .send({ name: "Bob", email: "bob@example.com", password: "SecurePass123" });
+
+    expect(sentMail).toHaveLength(1);
+    const token = sentMail[0].text.match(/\/verify-email\/(\w+)/)[1];
+
+    const res = await request(app).get(`/api/auth/verify/${token}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-006: Unknown templates are rejected", async () => {
+    await expect(sendMail({ to: "a@example.com", template: "doesNotExist" })).rejects.toThrow("Unknown email template");
+  });
+
+  test("TC-007: Transport failures surface as errors from forgot password", async () => {
+    setTransport({ name: "broken", send: async () => { throw new Error("SMTP down"); } });
+    await User.create({ name: "Alice", email: "alice@example.com", password: "SecurePass123" });
+
+    const res = await request(app).post("/api/auth/reset-password").send({ email: "alice@example.com" });
+
+    expect(res.statusCode).toBe(500);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-008: Unsupported locales fall back to English", () => {
+    const email = renderTemplate("passwordReset", "fr", { name: "Zoé", link: "x" });
+
+    expect(email.locale).toBe("en");
+  });
+
+  test("TC-009: Template data is HTML-escaped in the HTML variant only", () => {
+    const email = renderTemplate("emailVerification", "en", { name: "<script>", link: "x" });
+
+    expect(email.html).not.toContain("<script>");
+    expect(email.text).toContain("<script>");
+  });
+
+  test("TC-010: Signup still succeeds when the verification email cannot be sent", async () => {
+    setTransport({ name: "broken", send: async () => { throw new Error("SMTP down"); } });
+
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({ name: "Carol", email: "carol@example.com", password: "SecurePass123" });
+
+    expect(res.statusCode).toBe(201);
+  });
+});
@@ -0,0 +1,214 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
+import app from "../../app";
+import User from "../../models/User";
+import Conversation from "../../models/Conversation";
+import Message from "../../models/Message";
+import Follow from "../../models/Follow";
+
+let mongoServer;
+let alice, bob, privateUser;
+let aliceToken, bobToken, privateToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+  privateUser = await User.create({
+    name: "Private",
+    email: "private@example.com",
+    password: "Password123",
+    isPrivate: true,
+  });
+  await createFollow(bob._id, privateUser._id);
+
+  // Generate JWT tokens
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+  privateToken = issueAccessToken(privateUser, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Conversation.deleteMany({});
+  await Message.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const startConversation = (token, userId) =>
+  request(app).post("/api/conversations").set("Authorization", `Bearer ${token}`).send({ userId });
+
+const send = (token, conversationId, content) =>
+  request(app)
+    .post(`/api/conversations/${conversationId}/messages`)
+    .set("Authorization", `Bearer ${token}`)
+    .send({ content });
+
+describe("Direct messages - /api/conversations", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Starting a conversation twice returns the same conversation", async () => {
+    const first = await startConversation(aliceToken, bob._id);
+    const second = await startConversation(bobToken, alice._id);
+
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(200);
+    expect(second.body.conversation._id).toBe(first.body.conversation._id);
+    expect(first.body.conversation.participants[0]).toHaveProperty("name");
+  });
+
+  test("TC-002: Messages are sent and listed newest first with cursor pagination", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+    const conversationId = body.conversation._id;
+
+    for (let i = 1; i <= 3; i++) {
+      const res = await send(aliceToken, conversationId, `message ${i}`);
+      expect(res.statusCode).toBe(201);
+    }
+
+    const page1 = await request(app)
+      .get(`/api/conversations/${conversationId}/messages?limit=2`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(page1.body.messages.map((m) => m.content)).toEqual(["message 3", "message 2"]);
+
+    const page2 = await request(app)
+      .get(`/api/conversations/${conversationId}/messages?limit=2&cursor=${page1.body.nextCursor}`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(page2.body.messages.map((m) => m.content)).toEqual(["message 1"]);
+    expect(page2.body.nextCursor).toBeNull();
+  });
+
+  test("TC-003: Conversation list reports unread counts per conversation", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+    await send(aliceToken, body.conversation._id, "one");
+    await send(aliceToken, body.conversation._id, "two");
+
+    const bobView = await request(app).get("/api/conversations").set("Authorization", `Bearer ${bobToken}`);
+    const aliceView = await request(app).get("/api/conversations").set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(bobView.body.conversations[0].unreadCount).toBe(2);
+    expect(bobView.body.conversations[0].lastMessage.content).toBe("two");
+    expect(aliceView.body.conversations[0].unreadCount).toBe(0);
+  });
+
+  test("TC-004: Marking a conversation read sets read receipts", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+    await send(aliceToken, body.conversation._id, "hello");
+
+    const res = await request(app)
+      .put(`/api/conversations/${body.conversation._id}/read`)
+      .set("Authorization", `Bearer ${bobToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updated).toBe(1);
+
+    const message = await Message.findOne({ conversation: body.conversation._id });
+    expect(message.readAt).not.toBeNull();
+
+    const list = await request(app).get("/api/conversations").set("Authorization", `Bearer ${bobToken}`);
+    expect(list.body.conversations[0].unreadCount).toBe(0);
+  });
+
+  test("TC-005: Followers can message a private account", async () => {
+    const res = await startConversation(bobToken, privateUser._id);
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-006: Non-followers cannot message a private account", async () => {
+    const res = await startConversation(aliceToken, privateUser._id);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("This account only accepts messages from its followers.");
+  });
+
+  test("TC-007: Blocked users cannot message each other", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+    await User.updateOne({ _id: bob._id }, { blockedUsers: [alice._id] });
+
+    const start = await startConversation(aliceToken, bob._id);
+    expect(start.statusCode).toBe(403);
+    expect(start.body.message).toBe("You cannot message this user.");
+
+    const sendAfterBlock = await send(aliceToken, body.conversation._id, "still there?");
+    expect(sendAfterBlock.statusCode).toBe(403);
+
+    const blockerSends = await send(bobToken, body.conversation._id, "go away");
+    expect(blockerSends.statusCode).toBe(403);
+  });
+
+  test("TC-008: Non-participants cannot read a conversation", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+
+    const res = await request(app)
+      .get(`/api/conversations/${body.conversation._id}/messages`)
+      .set("Authorization", `Bearer ${privateToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Conversation not found.");
+  });
+
+  test("TC-009: Users cannot message themselves", async () => {
+    const res = await startConversation(aliceToken, alice._id);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You cannot message yourself.");
+  });
+
+  test("TC-010: Empty messages fail validation", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+
+    const res = await send(aliceToken, body.conversation._id, "   ");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].msg).toBe("Content is required");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-011: Malformed cursor returns 400", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+
+    const res = await request(app)
+      .get(`/api/conversations/${body.conversation._id}/messages?cursor=bogus`)
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-012: Out-of-range page and limit values are clamped", async () => {
+    const { body } = await startConversation(aliceToken, bob._id);
+    await send(aliceToken, body.conversation._id, "First");
+    await send(aliceToken, body.conversation._id, "Second");
+
+    const list = await request(app)
+      .get("/api/conversations?page=-1&limit=-5")
+      .set("Authorization", `Bearer ${aliceToken}`);
+    const messages = await request(app)
+      .get(`/api/conversations/${body.conversation._id}/messages?limit=-5`)
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(list.statusCode).toBe(200);
+    expect(list.body.currentPage).toBe(1);
+    expect(list.body.conversations).toHaveLength(1);
+    expect(messages.statusCode).toBe(200);
+    expect(messages.body.messages.map((m) => m.content)).toEqual(["Second"]);
+  });
+});
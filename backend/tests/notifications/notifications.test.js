@@ -0,0 +1,196 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import FollowRequest from "../../models/FollowRequest";
+import Notification from "../../models/Notification";
+
+let mongoServer;
+let alice, bob;
+let aliceToken, bobToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123", displayName: "alice" });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123", displayName: "bob" });
+
+  // Generate JWT tokens
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await FollowRequest.deleteMany({});
+  await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("Notifications - /api/notifications", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Following a user notifies them", async () => {
+    await request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+
+    const res = await request(app).get("/api/notifications").set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.unreadCount).toBe(1);
+    expect(res.body.notifications[0].type).toBe("follow");
+    expect(res.body.notifications[0].actor.name).toBe("Bob");
+  });
+
+  test("TC-002: Follow requests and approvals notify both sides", async () => {
+    await User.findByIdAndUpdate(alice._id, { isPrivate: true });
+    await request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+    const pending = await FollowRequest.findOne({ recipient: alice._id });
+
+    await request(app)
+      .post(`/api/follow/requests/${pending._id}/approve`)
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    const aliceNotifications = await Notification.find({ recipient: alice._id });
+    const bobNotifications = await Notification.find({ recipient: bob._id });
+    expect(aliceNotifications.map((n) => n.type)).toEqual(["follow_request"]);
+    expect(bobNotifications.map((n) => n.type)).toEqual(["follow_approved"]);
+  });
+
+  test("TC-003: Resetting a password notifies the account owner", async () => {
+    await User.findByIdAndUpdate(alice._id, {
+      resetPasswordToken: "reset-token",
+      resetPasswordExpires: Date.now() + 60 * 1000,
+    });
+
+    await request(app).post("/api/auth/reset-password/reset-token").send({ newPassword: "NewPassword123" });
+
+    const notification = await Notification.findOne({ recipient: alice._id });
+    expect(notification.type).toBe("password_reset");
+    expect(notification.actor).toBeNull();
+  });
+
+  test("TC-004: Mentioning a user in a post notifies them", async () => {
+    const res = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${bobToken}`)
+      .send({ content: "Hello @alice and @nobody" });
+
+    const notification = await Notification.findOne({ recipient: alice._id });
+    expect(notification.type).toBe("mention");
+    expect(notification.post.toString()).toBe(res.body.post._id);
+    expect(await Notification.countDocuments()).toBe(1);
+  });
+
+  test("TC-005: Marking a notification as read lowers the unread count", async () => {
+    const notification = await Notification.create({ recipient: alice._id, actor: bob._id, type: "follow" });
+    await Notification.create({ recipient: alice._id, actor: bob._id, type: "mention" });
+
+    const res = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set("Authorization", `Bearer ${aliceToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.notification.read).toBe(true);
+
+    const list = await request(app).get("/api/notifications").set("Authorization", `Bearer ${aliceToken}`);
+    expect(list.body.unreadCount).toBe(1);
+    expect(list.body.totalNotifications).toBe(2);
+  });
+
+  test("TC-006: Marking all notifications as read", async () => {
+    await Notification.create({ recipient: alice._id, actor: bob._id, type: "follow" });
+    await Notification.create({ recipient: alice._id, actor: bob._id, type: "mention" });
+
+    const res = await request(app).put("/api/notifications/read-all").set("Authorization", `Bearer ${aliceToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updated).toBe(2);
+
+    const unread = await request(app)
+      .get("/api/notifications?unread=true")
+      .set("Authorization", `Bearer ${aliceToken}`);
+    expect(unread.body.notifications).toHaveLength(0);
+    expect(unread.body.unreadCount).toBe(0);
+  });
+
+  test("TC-007: Notifications are paginated", async () => {
+    for (let i = 0; i < 3; i++) {
+      await Notification.create({ recipient: alice._id, actor: bob._id, type: "follow" });
+    }
+
+    const res = await request(app)
+      .get("/api/notifications?page=2&limit=2")
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.notifications).toHaveLength(1);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-008: Users cannot mark someone else's notification as read", async () => {
+    const notification = await Notification.create({ recipient: alice._id, actor: bob._id, type: "follow" });
+
+    const res = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set("Authorization", `Bearer ${bobToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Notification not found.");
+  });
+
+  test("TC-009: Invalid notification ID returns 400", async () => {
+    const res = await request(app)
+      .put("/api/notifications/invalid-id/read")
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-010: Mentions are not sent to users who blocked the author", async () => {
+    await User.findByIdAndUpdate(alice._id, { blockedUsers: [bob._id] });
+
+    await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${bobToken}`)
+      .send({ content: "Hey @alice" });
+
+    expect(await Notification.countDocuments({ recipient: alice._id })).toBe(0);
+  });
+
+  test("TC-011: Request without authentication is rejected", async () => {
+    const res = await request(app).get("/api/notifications");
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-012: Out-of-range page and limit values are clamped", async () => {
+    for (let i = 0; i < 3; i++) {
+      await Notification.create({ recipient: alice._id, actor: bob._id, type: "follow" });
+    }
+
+    const res = await request(app)
+      .get("/api/notifications?page=-1&limit=-5")
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(1);
+    expect(res.body.totalPages).toBe(3);
+    expect(res.body.notifications).toHaveLength(1);
+  });
+});
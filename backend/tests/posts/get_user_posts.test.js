@@ -0,0 +1,156 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+
+let mongoServer;
+let publicUser, privateUser, follower, stranger;
+let followerToken, strangerToken, privateUserToken;
+
+beforeAll(async () => {
+  // Start in-memory MongoDB
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  publicUser = await User.create({ name: "Public", email: "public@example.com", password: "Password123" });
+  follower = await User.create({ name: "Follower", email: "follower@example.com", password: "Password123" });
+  stranger = await User.create({ name: "Stranger", email: "stranger@example.com", password: "Password123" });
+  privateUser = await User.create({
+    name: "Private",
+    email: "private@example.com",
+    password: "Password123",
+    isPrivate: true,
+  });
+  await createFollow(follower._id, privateUser._id);
+
+  // Posts are created one after another so ordering by createdAt is deterministic
+  for (let i = 1; i <= 3; i++) {
+    await Post.create({ author: publicUser._id, content: `Public post ${i}` });
+  }
+  await Post.create({ author: privateUser._id, content: "Private post" });
+
+  // Generate authentication tokens
+  followerToken = issueAccessToken(follower, { expiresIn: "1h" });
+  strangerToken = issueAccessToken(stranger, { expiresIn: "1h" });
+  privateUserToken = issueAccessToken(privateUser, { expiresIn: "1h" });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("GET /api/users/:userId/posts - Retrieve a User's Posts", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: User retrieves a public user's posts, newest first", async () => {
+    const res = await request(app)
+      .get(`/api/users/${publicUser._id}/posts`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalPosts).toBe(3);
+    expect(res.body.posts.map((p) => p.content)).toEqual(["Public post 3", "Public post 2", "Public post 1"]);
+  });
+
+  test("TC-002: Follower retrieves a private user's posts", async () => {
+    const res = await request(app)
+      .get(`/api/users/${privateUser._id}/posts`)
+      .set("Authorization", `Bearer ${followerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts).toHaveLength(1);
+  });
+
+  test("TC-003: Private user retrieves their own posts", async () => {
+    const res = await request(app)
+      .get(`/api/users/${privateUser._id}/posts`)
+      .set("Authorization", `Bearer ${privateUserToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts[0].content).toBe("Private post");
+  });
+
+  test("TC-004: Pagination limits the number of posts returned", async () => {
+    const res = await request(app)
+      .get(`/api/users/${publicUser._id}/posts?page=2&limit=2`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(2);
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.posts).toHaveLength(1);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-005: Non-follower cannot retrieve a private user's posts", async () => {
+    const res = await request(app)
+      .get(`/api/users/${privateUser._id}/posts`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("This user's posts are private.");
+  });
+
+  test("TC-006: Invalid user ID returns 400", async () => {
+    const res = await request(app)
+      .get("/api/users/invalid-id/posts")
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid user ID.");
+  });
+
+  test("TC-007: Non-existent user returns 404", async () => {
+    const res = await request(app)
+      .get(`/api/users/${new mongoose.Types.ObjectId()}/posts`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("User not found.");
+  });
+
+  test("TC-008: Request without authentication is rejected", async () => {
+    const res = await request(app).get(`/api/users/${publicUser._id}/posts`);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-009: A suspended user's posts are hidden", async () => {
+    const suspended = await User.create({
+      name: "Suspended",
+      email: "suspended@example.com",
+      password: "Password123",
+      active: false,
+    });
+    await Post.create({ author: suspended._id, content: "Hidden post" });
+
+    const res = await request(app)
+      .get(`/api/users/${suspended._id}/posts`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("User not found.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-010: Out-of-range page and limit values are clamped", async () => {
+    const res = await request(app)
+      .get(`/api/users/${publicUser._id}/posts?page=-1&limit=-5`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(1);
+    expect(res.body.totalPages).toBe(3);
+    expect(res.body.posts.map((p) => p.content)).toEqual(["Public post 3"]);
+  });
+});
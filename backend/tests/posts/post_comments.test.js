@@ -0,0 +1,253 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Comment from "../../models/Comment";
+import Follow from "../../models/Follow";
+import Notification from "../../models/Notification";
+
+let mongoServer;
+let author, commenter, bystander, admin, post;
+let authorToken, commenterToken, bystanderToken, adminToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  author = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  commenter = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+  bystander = await User.create({ name: "Carol", email: "carol@example.com", password: "Password123" });
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+  post = await Post.create({ author: author._id, content: "Discuss" });
+
+  // Generate JWT tokens
+  authorToken = issueAccessToken(author, { expiresIn: "1h" });
+  commenterToken = issueAccessToken(commenter, { expiresIn: "1h" });
+  bystanderToken = issueAccessToken(bystander, { expiresIn: "1h" });
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await Follow.deleteMany({});
+  await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const addComment = (token, body) =>
+  request(app).post(`/api/posts/${post._id}/comments`).set("Authorization", `Bearer ${token}`).send(body);
+
+describe("Post comments - /api/posts/:postId/comments", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: User comments on a post and the comment count increases", async () => {
+    const res = await addComment(commenterToken, { content: "Nice post" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.comment.content).toBe("Nice post");
+    expect(res.body.comment.author.name).toBe("Bob");
+    expect((await Post.findById(post._id)).commentCount).toBe(1);
+  });
+
+  test("TC-002: User replies to a comment and replies are listed separately", async () => {
+    const parent = await addComment(commenterToken, { content: "Top" });
+    await addComment(authorToken, { content: "Reply", parentId: parent.body.comment._id });
+
+    const top = await request(app)
+      .get(`/api/posts/${post._id}/comments`)
+      .set("Authorization", `Bearer ${bystanderToken}`);
+    expect(top.body.totalComments).toBe(1);
+    expect(top.body.comments[0].replyCount).toBe(1);
+
+    const replies = await request(app)
+      .get(`/api/posts/${post._id}/comments/${parent.body.comment._id}/replies`)
+      .set("Authorization", `Bearer ${bystanderToken}`);
+    expect(replies.statusCode).toBe(200);
+    expect(replies.body.replies[0].content).toBe("Reply");
+  });
+
+  test("TC-003: Comments are paginated", async () => {
+    for (let i = 1; i <= 3; i++) {
+      await addComment(commenterToken, { content: `Comment ${i}` });
+    }
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/comments?page=2&limit=2`)
+      .set("Authorization", `Bearer ${commenterToken}`);
+
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.comments.map((c) => c.content)).toEqual(["Comment 1"]);
+  });
+
+  test("TC-004: Comment author edits their comment", async () => {
+    const created = await addComment(commenterToken, { content: "Typo" });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${created.body.comment._id}`)
+      .set("Authorization", `Bearer ${commenterToken}`)
+      .send({ content: "Fixed" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.comment.content).toBe("Fixed");
+  });
+
+  test("TC-005: Post author removes someone else's comment along with its replies", async () => {
+    const parent = await addComment(commenterToken, { content: "Rude" });
+    await addComment(bystanderToken, { content: "Agreed", parentId: parent.body.comment._id });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${parent.body.comment._id}`)
+      .set("Authorization", `Bearer ${authorToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+    expect((await Post.findById(post._id)).commentCount).toBe(0);
+  });
+
+  test("TC-006: Admin removes any comment", async () => {
+    const created = await addComment(commenterToken, { content: "Spam" });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${created.body.comment._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Comment deleted successfully.");
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-007: Replies to replies are rejected", async () => {
+    const parent = await addComment(commenterToken, { content: "Top" });
+    const reply = await addComment(authorToken, { content: "Reply", parentId: parent.body.comment._id });
+
+    const res = await addComment(bystanderToken, { content: "Nested", parentId: reply.body.comment._id });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You can only reply to top-level comments.");
+  });
+
+  test("TC-008: Other users cannot edit or delete a comment", async () => {
+    const created = await addComment(commenterToken, { content: "Mine" });
+
+    const edit = await request(app)
+      .put(`/api/posts/${post._id}/comments/${created.body.comment._id}`)
+      .set("Authorization", `Bearer ${bystanderToken}`)
+      .send({ content: "Yours" });
+    expect(edit.statusCode).toBe(403);
+
+    const remove = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${created.body.comment._id}`)
+      .set("Authorization", `Bearer ${bystanderToken}`);
+    expect(remove.statusCode).toBe(403);
+    expect(remove.body.message).toBe("Unauthorized to delete this comment.");
+  });
+
+  test("TC-009: Non-followers cannot read or write comments on a private author's posts", async () => {
+    await User.findByIdAndUpdate(author._id, { isPrivate: true });
+    await createFollow(commenter._id, author._id);
+
+    const read = await request(app)
+      .get(`/api/posts/${post._id}/comments`)
+      .set("Authorization", `Bearer ${bystanderToken}`);
+    expect(read.statusCode).toBe(403);
+
+    const write = await addComment(bystanderToken, { content: "Let me in" });
+    expect(write.statusCode).toBe(403);
+
+    const follower = await addComment(commenterToken, { content: "I follow" });
+    expect(follower.statusCode).toBe(201);
+  });
+
+  test("TC-010: Empty comment fails validation", async () => {
+    const res = await addComment(commenterToken, { content: " " });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].msg).toBe("Content is required");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-011: Replying to a comment from another post returns 404", async () => {
+    const otherPost = await Post.create({ author: author._id, content: "Other" });
+    const foreign = await Comment.create({ post: otherPost._id, author: commenter._id, content: "Elsewhere" });
+
+    const res = await addComment(commenterToken, { content: "Cross", parentId: foreign._id });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Comment not found.");
+  });
+
+  test("TC-012: Deleting a reply decrements the parent's reply count", async () => {
+    const parent = await addComment(commenterToken, { content: "Top" });
+    const reply = await addComment(bystanderToken, { content: "Reply", parentId: parent.body.comment._id });
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${reply.body.comment._id}`)
+      .set("Authorization", `Bearer ${bystanderToken}`);
+
+    expect((await Comment.findById(parent.body.comment._id)).replyCount).toBe(0);
+    expect((await Post.findById(post._id)).commentCount).toBe(1);
+  });
+
+  test("TC-013: Concurrent deletes of a reply decrement the counters once", async () => {
+    const parent = await addComment(commenterToken, { content: "Top" });
+    const reply = await addComment(bystanderToken, { content: "Reply", parentId: parent.body.comment._id });
+
+    const responses = await Promise.all(
+      Array.from({ length: 3 }, () =>
+        request(app)
+          .delete(`/api/posts/${post._id}/comments/${reply.body.comment._id}`)
+          .set("Authorization", `Bearer ${bystanderToken}`)
+      )
+    );
+
+    expect(responses.filter((res) => res.statusCode === 200)).toHaveLength(1);
+    expect((await Comment.findById(parent.body.comment._id)).replyCount).toBe(0);
+    expect((await Post.findById(post._id)).commentCount).toBe(1);
+  });
+
+  test("TC-014: Deleting a comment removes the mentions it sent", async () => {
+    await User.updateOne({ _id: bystander._id }, { displayName: "carol" });
+    const parent = await addComment(commenterToken, { content: "Hi @carol" });
+    await addComment(authorToken, { content: "Also @carol", parentId: parent.body.comment._id });
+    expect(await Notification.countDocuments({ type: "mention" })).toBe(2);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${parent.body.comment._id}`)
+      .set("Authorization", `Bearer ${commenterToken}`);
+
+    expect(await Notification.countDocuments({ type: "mention" })).toBe(0);
+  });
+
+  test("TC-015: Out-of-range page and limit values are clamped", async () => {
+    for (let i = 1; i <= 2; i++) {
+      await addComment(commenterToken, { content: `Comment ${i}` });
+    }
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/comments?page=-1&limit=-5`)
+      .set("Authorization", `Bearer ${commenterToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(1);
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.comments.map((c) => c.content)).toEqual(["Comment 2"]);
+  });
+});
@@ -0,0 +1,207 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Notification from "../../models/Notification";
+
+let mongoServer;
+let author, stranger, admin;
+let authorToken, strangerToken, adminToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  author = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  stranger = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+
+  // Generate JWT tokens
+  authorToken = issueAccessToken(author, { expiresIn: "1h" });
+  strangerToken = issueAccessToken(stranger, { expiresIn: "1h" });
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Notification.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("Posts CRUD - /api/posts", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Authenticated user creates a post", async () => {
+    const res = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${authorToken}`)
+      .send({ content: "  Hello world  " });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe("Post created successfully.");
+    expect(res.body.post.content).toBe("Hello world");
+    expect(res.body.post.author.name).toBe("Alice");
+  });
+
+  test("TC-002: User retrieves a public user's post by ID", async () => {
+    const post = await Post.create({ author: author._id, content: "Public post" });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.post.content).toBe("Public post");
+    expect(res.body.post.author).not.toHaveProperty("followers");
+  });
+
+  test("TC-003: Author updates their own post", async () => {
+    const post = await Post.create({ author: author._id, content: "Old content" });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${authorToken}`)
+      .send({ content: "New content" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.post.content).toBe("New content");
+  });
+
+  test("TC-004: Admin deletes another user's post", async () => {
+    const post = await Post.create({ author: author._id, content: "Moderated" });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Post deleted successfully.");
+    expect(await Post.findById(post._id)).toBeNull();
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-005: Creating a post without content fails validation", async () => {
+    const res = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${authorToken}`)
+      .send({ content: "   " });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].msg).toBe("Content is required");
+  });
+
+  test("TC-006: Creating a post without authentication is rejected", async () => {
+    const res = await request(app).post("/api/posts").send({ content: "Hello" });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Not authorized, no token provided");
+  });
+
+  test("TC-007: Non-follower cannot view a private user's post", async () => {
+    await User.findByIdAndUpdate(author._id, { isPrivate: true });
+    const post = await Post.create({ author: author._id, content: "Secret" });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("This user's posts are private.");
+  });
+
+  test("TC-008: User cannot update someone else's post", async () => {
+    const post = await Post.create({ author: author._id, content: "Mine" });
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${strangerToken}`)
+      .send({ content: "Hijacked" });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Unauthorized to update this post.");
+  });
+
+  test("TC-009: User cannot delete someone else's post", async () => {
+    const post = await Post.create({ author: author._id, content: "Mine" });
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${strangerToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Unauthorized to delete this post.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-010: Invalid post ID format returns 400", async () => {
+    const res = await request(app)
+      .get("/api/posts/invalid-id")
+      .set("Authorization", `Bearer ${authorToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid post ID.");
+  });
+
+  test("TC-011: Non-existent post returns 404", async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${authorToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Post not found.");
+  });
+
+  test("TC-012: Content longer than 2000 characters is rejected", async () => {
+    const res = await request(app)
+      .post("/api/posts")
+      .set("Authorization", `Bearer ${authorToken}`)
+      .send({ content: "a".repeat(2001) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].msg).toBe("Content is too long. Max 2000 characters allowed.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-013: Posts of suspended and deleted authors are hidden", async () => {
+    const post = await Post.create({ author: author._id, content: "Soon hidden" });
+    const getPost = () => request(app).get(`/api/posts/${post._id}`).set("Authorization", `Bearer ${strangerToken}`);
+
+    await User.updateOne({ _id: author._id }, { active: false });
+    expect((await getPost()).statusCode).toBe(404);
+
+    await User.updateOne(
+      { _id: author._id },
+      { active: true, deletion: { requestedAt: new Date(), requestedBy: author._id, scheduledFor: new Date() } }
+    );
+    const res = await getPost();
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Post not found.");
+  });
+
+  test("TC-014: Deleting a post removes its notifications", async () => {
+    const post = await Post.create({ author: author._id, content: "Hi @Bob" });
+    await Notification.create({ recipient: stranger._id, actor: author._id, type: "mention", post: post._id });
+
+    await request(app).delete(`/api/posts/${post._id}`).set("Authorization", `Bearer ${authorToken}`);
+
+    expect(await Notification.countDocuments({ post: post._id })).toBe(0);
+  });
+});
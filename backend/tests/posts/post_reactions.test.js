@@ -0,0 +1,211 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Reaction from "../../models/Reaction";
+
+let mongoServer;
+let author, fan1, fan2, post;
+let fan1Token, fan2Token;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  author = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  fan1 = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123", profilePicture: "bob.jpg" });
+  fan2 = await User.create({ name: "Carol", email: "carol@example.com", password: "Password123" });
+  post = await Post.create({ author: author._id, content: "React to me" });
+
+  // Generate JWT tokens
+  fan1Token = issueAccessToken(fan1, { expiresIn: "1h" });
+  fan2Token = issueAccessToken(fan2, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Reaction.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("Post reactions - /api/posts/:postId/reactions", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: User likes a post and the like count increases", async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reaction).toBe("like");
+    expect(res.body.reactionCounts.like).toBe(1);
+  });
+
+  test("TC-002: Changing the reaction type moves the count instead of adding one", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`)
+      .send({ type: "love" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reactionCounts.like).toBe(0);
+    expect(res.body.reactionCounts.love).toBe(1);
+    expect(await Reaction.countDocuments({ post: post._id })).toBe(1);
+  });
+
+  test("TC-003: User removes their reaction", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Reaction removed.");
+    expect(res.body.reactionCounts.like).toBe(0);
+  });
+
+  test("TC-004: Reacting users are listed with name and profile picture", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+    await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan2Token}`)
+      .send({ type: "wow" });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/reactions?limit=1`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalReactions).toBe(2);
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.reactions).toHaveLength(1);
+    expect(res.body.reactions[0].user).toHaveProperty("name");
+    expect(res.body.reactions[0].user).toHaveProperty("profilePicture");
+    expect(res.body.reactions[0].user).not.toHaveProperty("email");
+  });
+
+  test("TC-005: Reacting users can be filtered by type", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+    await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan2Token}`)
+      .send({ type: "wow" });
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/reactions?type=wow`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.body.totalReactions).toBe(1);
+    expect(res.body.reactions[0].user.name).toBe("Carol");
+  });
+
+  test("TC-006: Post responses include aggregate reaction counts", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+
+    const res = await request(app).get(`/api/posts/${post._id}`).set("Authorization", `Bearer ${fan2Token}`);
+
+    expect(res.body.post.reactionCounts.like).toBe(1);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-007: Unknown reaction type is rejected", async () => {
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`)
+      .send({ type: "hate" });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-008: Removing a reaction that does not exist returns 400", async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You have not reacted to this post.");
+  });
+
+  test("TC-009: Non-follower cannot react to a private user's post", async () => {
+    await User.findByIdAndUpdate(author._id, { isPrivate: true });
+
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("TC-010: Reacting to a non-existent post returns 404", async () => {
+    const res = await request(app)
+      .post(`/api/posts/${new mongoose.Types.ObjectId()}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Post not found.");
+  });
+
+  /**
+   * 🔄 Edge Cases
+   */
+  test("TC-011: Reacting twice with the same type does not double count", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+    const res = await request(app)
+      .post(`/api/posts/${post._id}/reactions`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.body.reactionCounts.like).toBe(1);
+  });
+
+  test("TC-012: Deleting a post removes its reactions", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+    const authorToken = issueAccessToken(author, { expiresIn: "1h" });
+
+    await request(app).delete(`/api/posts/${post._id}`).set("Authorization", `Bearer ${authorToken}`);
+
+    expect(await Reaction.countDocuments({ post: post._id })).toBe(0);
+  });
+
+  test("TC-013: Concurrent reactions from the same user all succeed and count once", async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`)
+      )
+    );
+
+    expect(responses.map((res) => res.statusCode)).toEqual([200, 200, 200, 200, 200]);
+    expect(await Reaction.countDocuments({ post: post._id })).toBe(1);
+    expect((await Post.findById(post._id)).reactionCounts.like).toBe(1);
+  });
+
+  test("TC-014: Out-of-range page and limit values are clamped when listing reactions", async () => {
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan1Token}`);
+    await request(app).post(`/api/posts/${post._id}/reactions`).set("Authorization", `Bearer ${fan2Token}`);
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/reactions?page=-1&limit=-5`)
+      .set("Authorization", `Bearer ${fan1Token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(1);
+    expect(res.body.totalPages).toBe(2);
+    expect(res.body.reactions).toHaveLength(1);
+  });
+});
@@ -0,0 +1,181 @@
+import http from "http";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import { createFollow } from "../../services/followService";
+import app from "../../app";
+import User from "../../models/User";
+import Notification from "../../models/Notification";
+import Follow from "../../models/Follow";
+import eventBus from "../../services/eventBus";
+
+let mongoServer, server, baseUrl;
+let alice, bob;
+let aliceToken, bobToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server and a real HTTP server for streaming responses
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(async () => {
+  alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+
+  // Generate JWT tokens
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Notification.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  server.close();
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+/**
+ * Open an event stream and resolve with the raw text once `predicate` matches it.
+ * The connection is closed before resolving.
+ */
+const openStream = (path, { onReady, predicate }) =>
+  new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${path}`, (res) => {
+      let body = "";
+      let ready = false;
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        body += chunk;
+        if (!ready && body.includes("event: ready")) {
+          ready = true;
+          onReady();
+        }
+        if (predicate(body)) {
+          req.destroy();
+          resolve({ statusCode: res.statusCode, headers: res.headers, body });
+        }
+      });
+    });
+    req.on("error", reject);
+  });
+
+describe("In-process event bus", () => {
+  test("TC-001: Subscribers receive events for their user only", () => {
+    const received = [];
+    const unsubscribe = eventBus.subscribe("user-1", (message) => received.push(message));
+
+    eventBus.publish("user-1", "notification", { id: 1 });
+    eventBus.publish("user-2", "notification", { id: 2 });
+
+    expect(received).toEqual([{ event: "notification", data: { id: 1 } }]);
+    unsubscribe();
+  });
+
+  test("TC-002: Unsubscribing stops delivery", () => {
+    const listener = jest.fn();
+    const unsubscribe = eventBus.subscribe("user-1", listener);
+    unsubscribe();
+
+    eventBus.publish("user-1", "notification", {});
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(eventBus.subscriberCount("user-1")).toBe(0);
+  });
+});
+
+describe("GET /api/stream - Real-time events", () => {
+  test("TC-003: Stream requires authentication", async () => {
+    const res = await request(app).get("/api/stream");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Not authorized, no token provided");
+  });
+
+  test("TC-004: Stream rejects an invalid access token in the query string", async () => {
+    const res = await request(app).get("/api/stream?access_token=invalid.token.string");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Invalid token, authentication failed");
+  });
+
+  test("TC-005: New followers are pushed as notifications and follower counts", async () => {
+    const { statusCode, headers, body } = await openStream(`/api/stream?access_token=${aliceToken}`, {
+      onReady: () => request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${bobToken}`).then(),
+      predicate: (text) => text.includes("event: notification") && text.includes("event: follow_counts"),
+    });
+
+    expect(statusCode).toBe(200);
+    expect(headers["content-type"]).toContain("text/event-stream");
+    expect(body).toContain('"type":"follow"');
+    expect(body).toContain('"followersCount":1');
+  });
+
+  test("TC-006: Followers are told about new posts", async () => {
+    await createFollow(bob._id, alice._id);
+
+    const { body } = await openStream(`/api/stream?access_token=${bobToken}`, {
+      onReady: () =>
+        request(app).post("/api/posts").set("Authorization", `Bearer ${aliceToken}`).send({ content: "Hi" }).then(),
+      predicate: (text) => text.includes("event: feed_post"),
+    });
+
+    expect(body).toContain(`"authorId":"${alice._id}"`);
+  });
+
+  test("TC-007: Closing the stream removes the subscription", async () => {
+    await openStream(`/api/stream?access_token=${aliceToken}`, {
+      onReady: () => {},
+      predicate: (text) => text.includes("event: ready"),
+    });
+
+    // Give the server a moment to observe the closed connection
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(eventBus.subscriberCount(alice._id.toString())).toBe(0);
+  });
+
+  test("TC-008: Signing out ends an open stream", async () => {
+    process.env.STREAM_HEARTBEAT_MS = "50";
+    const session = await request(app).post("/api/auth/signin").send({ email: "alice@example.com", password: "Password123" });
+
+    const { body } = await openStream(`/api/stream?access_token=${session.body.token}`, {
+      onReady: () =>
+        request(app).get("/api/auth/signout").set("Authorization", `Bearer ${session.body.token}`).then(),
+      predicate: (text) => text.includes("event: session_ended"),
+    });
+    delete process.env.STREAM_HEARTBEAT_MS;
+
+    expect(body).toContain("event: session_ended");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(eventBus.subscriberCount(alice._id.toString())).toBe(0);
+  });
+
+  test("TC-009: The query string token is only accepted by the stream", async () => {
+    const res = await request(app).get(`/api/feed?access_token=${aliceToken}`);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-010: Query string tokens are not written to the request logs", async () => {
+    const logged = [];
+    const logSpy = jest.spyOn(console, "log").mockImplementation((...args) => logged.push(args.join(" ")));
+    const writeSpy = jest.spyOn(process.stdout, "write").mockImplementation((chunk) => logged.push(String(chunk)));
+
+    await request(app).get("/api/stream?access_token=leaked.token.value");
+    // Let the HTTP logger write once the response has finished
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    logSpy.mockRestore();
+    writeSpy.mockRestore();
+
+    expect(logged.some((line) => line.includes("/api/stream?access_token=[REDACTED]"))).toBe(true);
+    expect(logged.some((line) => line.includes("leaked.token.value"))).toBe(false);
+  });
+});
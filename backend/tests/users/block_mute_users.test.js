@@ -0,0 +1,182 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { issueAccessToken } from "../../services/tokenService";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Follow from "../../models/Follow";
+import { createFollow, isFollowing } from "../../services/followService";
+
+let mongoServer;
+let alice, bob, carol;
+let aliceToken, bobToken;
+
+beforeAll(async () => {
+  // Start MongoDB Memory Server
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+  carol = await User.create({ name: "Carol", email: "carol@example.com", password: "Password123" });
+
+  // Alice and Bob follow each other
+  await createFollow(alice._id, bob._id);
+  await createFollow(bob._id, alice._id);
+
+  // Generate JWT tokens
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const block = () => request(app).post(`/api/users/${bob._id}/block`).set("Authorization", `Bearer ${aliceToken}`);
+
+describe("Blocking users", () => {
+  /**
+   * ✅ Positive Test Cases
+   */
+  test("TC-001: Blocking severs follows in both directions", async () => {
+    const res = await block();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("You have blocked Bob.");
+
+    const updatedAlice = await User.findById(alice._id);
+    const updatedBob = await User.findById(bob._id);
+    expect(updatedAlice.blockedUsers).toContainEqual(bob._id);
+    expect(updatedAlice.followingCount).toBe(0);
+    expect(updatedAlice.followersCount).toBe(0);
+    expect(updatedBob.followingCount).toBe(0);
+    expect(updatedBob.followersCount).toBe(0);
+    expect(await Follow.countDocuments()).toBe(0);
+  });
+
+  test("TC-002: Blocked user cannot re-follow the blocker, and vice versa", async () => {
+    await block();
+
+    const bobFollows = await request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+    expect(bobFollows.statusCode).toBe(403);
+    expect(bobFollows.body.message).toBe("You cannot follow this user.");
+
+    const aliceFollows = await request(app).post(`/api/follow/${bob._id}`).set("Authorization", `Bearer ${aliceToken}`);
+    expect(aliceFollows.statusCode).toBe(403);
+  });
+
+  test("TC-003: Blocker is hidden from the blocked user's search and profile lookup", async () => {
+    await block();
+
+    const search = await request(app).get("/api/users?search=Alice").set("Authorization", `Bearer ${bobToken}`);
+    expect(search.statusCode).toBe(404);
+
+    const profile = await request(app).get(`/api/users/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+    expect(profile.statusCode).toBe(404);
+    expect(profile.body.message).toBe("User not found");
+  });
+
+  test("TC-004: Anonymous search still lists the blocker", async () => {
+    await block();
+
+    const res = await request(app).get("/api/users?search=Alice");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.users).toHaveLength(1);
+  });
+
+  test("TC-005: Unblocking restores profile visibility but not follows", async () => {
+    await block();
+
+    const res = await request(app).delete(`/api/users/${bob._id}/block`).set("Authorization", `Bearer ${aliceToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("You have unblocked Bob.");
+
+    const profile = await request(app).get(`/api/users/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+    expect(profile.statusCode).toBe(200);
+    expect(profile.body.user).not.toHaveProperty("blockedUsers");
+    expect(await isFollowing(alice._id, bob._id)).toBe(false);
+  });
+
+  /**
+   * ❌ Negative Test Cases
+   */
+  test("TC-006: Users cannot block themselves", async () => {
+    const res = await request(app).post(`/api/users/${alice._id}/block`).set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You cannot block yourself.");
+  });
+
+  test("TC-007: Blocking the same user twice is rejected", async () => {
+    await block();
+    const res = await block();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You have already blocked this user.");
+  });
+
+  test("TC-008: Blocking a non-existent user returns 404", async () => {
+    const res = await request(app)
+      .post(`/api/users/${new mongoose.Types.ObjectId()}/block`)
+      .set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("Muting users", () => {
+  test("TC-009: Muted users' posts disappear from the feed while the follow remains", async () => {
+    await Post.create({ author: bob._id, content: "Bob's post" });
+
+    const res = await request(app).post(`/api/users/${bob._id}/mute`).set("Authorization", `Bearer ${aliceToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("You have muted Bob.");
+
+    const feed = await request(app).get("/api/feed").set("Authorization", `Bearer ${aliceToken}`);
+    expect(feed.body.posts).toHaveLength(0);
+    expect(await isFollowing(alice._id, bob._id)).toBe(true);
+  });
+
+  test("TC-010: The muted user cannot see that they are muted", async () => {
+    await request(app).post(`/api/users/${bob._id}/mute`).set("Authorization", `Bearer ${aliceToken}`);
+
+    const profile = await request(app).get(`/api/users/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+
+    expect(profile.statusCode).toBe(200);
+    expect(profile.body.user).not.toHaveProperty("mutedUsers");
+  });
+
+  test("TC-011: Unmuting restores the muted user's posts in the feed", async () => {
+    await Post.create({ author: bob._id, content: "Bob's post" });
+    await request(app).post(`/api/users/${bob._id}/mute`).set("Authorization", `Bearer ${aliceToken}`);
+
+    const res = await request(app).delete(`/api/users/${bob._id}/mute`).set("Authorization", `Bearer ${aliceToken}`);
+    expect(res.statusCode).toBe(200);
+
+    const feed = await request(app).get("/api/feed").set("Authorization", `Bearer ${aliceToken}`);
+    expect(feed.body.posts).toHaveLength(1);
+  });
+
+  test("TC-012: Block and mute lists are returned to their owner", async () => {
+    await request(app).post(`/api/users/${carol._id}/block`).set("Authorization", `Bearer ${aliceToken}`);
+    await request(app).post(`/api/users/${bob._id}/mute`).set("Authorization", `Bearer ${aliceToken}`);
+
+    const res = await request(app).get("/api/users/me/blocks").set("Authorization", `Bearer ${aliceToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.blockedUsers[0].name).toBe("Carol");
+    expect(res.body.mutedUsers[0].name).toBe("Bob");
+  });
+});
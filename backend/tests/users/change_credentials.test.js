@@ -0,0 +1,170 @@
+/**
+ * @file change_credentials.test.js
+ * @description Tests for POST /api/users/me/password, POST /api/users/me/email
+ * and GET /api/auth/email-change/:token.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import { sentMail, clearSentMail } from "../../services/mailer";
+
+let mongoServer;
+let session;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await User.create({ name: "Change User", email: "change@example.com", password: "CurrentPass123" });
+  await User.create({ name: "Taken User", email: "taken@example.com", password: "CurrentPass123" });
+
+  const signin = await request(app)
+    .post("/api/auth/signin")
+    .send({ email: "change@example.com", password: "CurrentPass123" });
+  session = signin.body;
+  clearSentMail();
+});
+
+// Helper functions for the two endpoints
+const changePassword = (body, token = session.token) =>
+  request(app).post("/api/users/me/password").set("Authorization", `Bearer ${token}`).send(body);
+
+const changeEmail = (body, token = session.token) =>
+  request(app).post("/api/users/me/email").set("Authorization", `Bearer ${token}`).send(body);
+
+const confirmationToken = () => sentMail[0].text.match(/\/confirm-email\/(\w+)/)[1];
+
+describe("POST /api/users/me/password", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Changes the password with the correct current password", async () => {
+    const res = await changePassword({ currentPassword: "CurrentPass123", newPassword: "BrandNewPass123" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty("token");
+    expect(sentMail[0].subject).toBe("Your password has been changed");
+
+    const signin = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "change@example.com", password: "BrandNewPass123" });
+    expect(signin.statusCode).toBe(200);
+  });
+
+  test("TC-002: Signs out other sessions but keeps the current one", async () => {
+    const other = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "change@example.com", password: "CurrentPass123" });
+
+    const res = await changePassword({ currentPassword: "CurrentPass123", newPassword: "BrandNewPass123" });
+
+    const otherRefresh = await request(app).post("/api/auth/refresh").send({ refreshToken: other.body.refreshToken });
+    expect(otherRefresh.statusCode).toBe(401);
+
+    const ownRefresh = await request(app).post("/api/auth/refresh").send({ refreshToken: session.refreshToken });
+    expect(ownRefresh.statusCode).toBe(200);
+
+    const me = await request(app).get(`/api/users/${session.user.id}`).set("Authorization", `Bearer ${res.body.token}`);
+    expect(me.statusCode).toBe(200);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-003: Rejects a wrong current password", async () => {
+    const res = await changePassword({ currentPassword: "WrongPass123", newPassword: "BrandNewPass123" });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe("Current password is incorrect.");
+  });
+
+  test("TC-004: Applies the same rules as password reset", async () => {
+    const short = await changePassword({ currentPassword: "CurrentPass123", newPassword: "short" });
+    const spaces = await changePassword({ currentPassword: "CurrentPass123", newPassword: "has spaces 123" });
+
+    expect(short.body.message).toBe("Password must be at least 8 characters long.");
+    expect(spaces.body.message).toBe("Password cannot contain spaces.");
+  });
+
+  test("TC-005: Rejects reusing the current password", async () => {
+    const res = await changePassword({ currentPassword: "CurrentPass123", newPassword: "CurrentPass123" });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe("POST /api/users/me/email", () => {
+  // ✅ Positive Test Cases
+  test("TC-006: Sends a confirmation link to the new address without changing the email yet", async () => {
+    const res = await changeEmail({ newEmail: "New@Example.com", currentPassword: "CurrentPass123" });
+
+    expect(res.statusCode).toBe(200);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe("new@example.com");
+
+    const user = await User.findById(session.user.id);
+    expect(user.email).toBe("change@example.com");
+  });
+
+  test("TC-007: Confirming swaps the address and notifies the old one", async () => {
+    await changeEmail({ newEmail: "new@example.com", currentPassword: "CurrentPass123" });
+    const token = confirmationToken();
+    clearSentMail();
+
+    const res = await request(app).get(`/api/auth/email-change/${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.email).toBe("new@example.com");
+    expect(sentMail[0].to).toBe("change@example.com");
+    expect(sentMail[0].subject).toBe("Your email address has been changed");
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-008: Requires the current password", async () => {
+    const res = await changeEmail({ newEmail: "new@example.com", currentPassword: "WrongPass123" });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test("TC-009: Rejects an address that is already in use", async () => {
+    const res = await changeEmail({ newEmail: "taken@example.com", currentPassword: "CurrentPass123" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("This email is already in use.");
+  });
+
+  test("TC-010: Rejects an invalid address", async () => {
+    const res = await changeEmail({ newEmail: "not-an-email", currentPassword: "CurrentPass123" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid email format.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-011: A confirmation link works only once", async () => {
+    await changeEmail({ newEmail: "new@example.com", currentPassword: "CurrentPass123" });
+    const token = confirmationToken();
+    await request(app).get(`/api/auth/email-change/${token}`);
+
+    const res = await request(app).get(`/api/auth/email-change/${token}`);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("TC-012: Confirmation fails if the address was taken in the meantime", async () => {
+    await changeEmail({ newEmail: "late@example.com", currentPassword: "CurrentPass123" });
+    await User.create({ name: "Late User", email: "late@example.com", password: "CurrentPass123" });
+
+    const res = await request(app).get(`/api/auth/email-change/${confirmationToken()}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("This email is already in use.");
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @file data_export.test.js
+ * @description Tests for personal data exports: background generation, the status endpoint
+ * and the expiring download link.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import DataExport from "../../models/DataExport";
+import Follow from "../../models/Follow";
+import { issueAccessToken } from "../../services/tokenService";
+import { generateDataExport, removeExpiredExports } from "../../services/dataExportService";
+import { createFollow } from "../../services/followService";
+import { sentMail, clearSentMail } from "../../services/mailer";
+
+const PICTURE_NAME = "data-export-test.png";
+const PICTURE_PATH = path.join("uploads", PICTURE_NAME);
+
+let mongoServer;
+let alice, bob;
+let aliceToken, bobToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  fs.mkdirSync("uploads", { recursive: true });
+  fs.copyFileSync(path.join(__dirname, "../files/test-image.png"), PICTURE_PATH);
+});
+
+afterAll(async () => {
+  fs.rmSync(PICTURE_PATH, { force: true });
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await Post.deleteMany();
+  await DataExport.deleteMany();
+  await Follow.deleteMany();
+  clearSentMail();
+
+  alice = await User.create({
+    name: "Alice",
+    email: "alice@example.com",
+    password: "Password123",
+    bio: "Hello",
+    profilePicture: `/uploads/${PICTURE_NAME}`,
+  });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+  await createFollow(bob._id, alice._id);
+  await Post.create({ author: alice._id, content: "My first post" });
+
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+});
+
+const requestExport = (token = aliceToken) =>
+  request(app).post("/api/users/me/export").set("Authorization", `Bearer ${token}`);
+
+const getStatus = (token = aliceToken) =>
+  request(app).get("/api/users/me/export").set("Authorization", `Bearer ${token}`);
+
+// Polls the status endpoint until the background job has finished
+const waitForExport = async (token = aliceToken) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const res = await getStatus(token);
+    if (["ready", "failed"].includes(res.body.export?.status)) return res.body.export;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("Export did not finish in time");
+};
+
+const downloadLink = () => sentMail[0].text.match(/data-export\/([\w-]+)/)[1];
+
+const download = (token) =>
+  request(app)
+    .get(`/api/users/me/export/download/${token}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => callback(null, Buffer.concat(chunks)));
+    });
+
+// Reads the files out of a .tar.gz archive
+const readArchive = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+
+  for (let offset = 0; tar[offset] !== 0; ) {
+    const name = tar.toString("utf8", offset, offset + 100).replace(/\0.*$/s, "");
+    const size = parseInt(tar.toString("ascii", offset + 124, offset + 136), 8);
+    files[name] = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return files;
+};
+
+describe("Personal data export", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Requesting an export generates it in the background", async () => {
+    const res = await requestExport();
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.export.status).toBe("pending");
+
+    const finished = await waitForExport();
+    expect(finished.status).toBe("ready");
+    expect(finished.size).toBeGreaterThan(0);
+    expect(new Date(finished.expiresAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test("TC-002: A download link is emailed once the export is ready", async () => {
+    await requestExport();
+    await waitForExport();
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe("alice@example.com");
+    expect(sentMail[0].text).toMatch(/data-export\/[\w-]+/);
+  });
+
+  test("TC-003: The archive holds the profile, follow lists, content and profile picture", async () => {
+    await requestExport();
+    await waitForExport();
+
+    const res = await download(downloadLink());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-disposition"]).toContain("attachment");
+
+    const files = readArchive(res.body);
+    const data = JSON.parse(files["data.json"].toString());
+
+    expect(data.profile).toMatchObject({ name: "Alice", email: "alice@example.com", bio: "Hello" });
+    expect(data.followers).toEqual([expect.objectContaining({ id: bob.id, name: "Bob" })]);
+    expect(data.posts.map((post) => post.content)).toEqual(["My first post"]);
+    expect(files[`profile-picture/${PICTURE_NAME}`].equals(fs.readFileSync(PICTURE_PATH))).toBe(true);
+  });
+
+  test("TC-004: The archive never contains secrets", async () => {
+    await requestExport();
+    await waitForExport();
+
+    const res = await download(downloadLink());
+    const json = readArchive(res.body)["data.json"].toString();
+
+    expect(json).not.toContain("password");
+    expect(json).not.toContain(alice.password);
+    expect(json).not.toContain("bob@example.com");
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-005: Only one export can be generated at a time", async () => {
+    await requestExport();
+
+    const res = await requestExport();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe("Your data export is already being prepared.");
+    await waitForExport();
+  });
+
+  test("TC-006: Invalid download links are rejected", async () => {
+    const res = await download("not-a-real-token");
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("TC-007: Exports require authentication and are private to their owner", async () => {
+    expect((await request(app).post("/api/users/me/export")).statusCode).toBe(401);
+
+    await requestExport();
+    await waitForExport();
+
+    expect((await getStatus(bobToken)).statusCode).toBe(404);
+  });
+
+  // 🔄 Edge Cases
+  test("TC-008: Expired download links stop working and the archive is removed", async () => {
+    await requestExport();
+    await waitForExport();
+    const { fileName } = await DataExport.findOne({ user: alice._id });
+    await DataExport.updateOne({ user: alice._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect((await download(downloadLink())).statusCode).toBe(404);
+    expect((await getStatus()).statusCode).toBe(404);
+
+    expect(await removeExpiredExports()).toBe(1);
+    expect(fs.existsSync(path.join("exports", fileName))).toBe(false);
+  });
+
+  test("TC-009: A new export replaces the previous one", async () => {
+    await requestExport();
+    await waitForExport();
+    const firstLink = downloadLink();
+    clearSentMail();
+
+    await requestExport();
+    await waitForExport();
+
+    expect(await DataExport.countDocuments({ user: alice._id })).toBe(1);
+    expect((await download(firstLink)).statusCode).toBe(404);
+    expect((await download(downloadLink())).statusCode).toBe(200);
+  });
+
+  test("TC-010: Concurrent requests start a single export", async () => {
+    const responses = await Promise.all([requestExport(), requestExport(), requestExport()]);
+
+    expect(responses.filter((res) => res.statusCode === 202)).toHaveLength(1);
+    expect(responses.filter((res) => res.statusCode === 409)).toHaveLength(2);
+    await waitForExport();
+    expect(await DataExport.countDocuments({ user: alice._id })).toBe(1);
+  });
+
+  test("TC-011: An export removed while it is generating is discarded", async () => {
+    const dataExport = await DataExport.create({ user: alice._id });
+    const writeFile = fs.promises.writeFile;
+    // Removes the export between writing the archive and recording it, as a purge would
+    const spy = jest.spyOn(fs.promises, "writeFile").mockImplementation(async (...args) => {
+      await DataExport.deleteOne({ _id: dataExport._id });
+      return writeFile(...args);
+    });
+
+    try {
+      expect(await generateDataExport(dataExport._id)).toBeNull();
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(fs.existsSync(path.join("exports", `${dataExport._id}.tar.gz`))).toBe(false);
+    expect(sentMail).toHaveLength(0);
+  });
+});
@@ -3,7 +3,7 @@ import app from "../../app.js";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import mongoose from "mongoose";
 import User from "../../models/User.js";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService.js";
 // Dummy users and tokens
 let adminToken, userToken, expiredToken, invalidUserId, validUserId, nonExistentUserId;
 
@@ -39,9 +39,9 @@ beforeEach(async () => {
   nonExistentUserId = "615b9cfa5a0f1a001cbb96ab"; // Random valid ObjectID format
 
   // Generate JWT tokens
-  adminToken = jwt.sign({ id: adminUser._id, role: "admin" }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  userToken = jwt.sign({ id: regularUser._id, role: "user" }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  expiredToken = jwt.sign({ id: regularUser._id }, process.env.JWT_SECRET, { expiresIn: "-1h" });
+  adminToken = issueAccessToken(adminUser, { expiresIn: "1h" });
+  userToken = issueAccessToken(regularUser, { expiresIn: "1h" });
+  expiredToken = issueAccessToken(regularUser, { expiresIn: "-1h" });
 
   invalidUserId = "invalid1234";
 });
@@ -3,7 +3,7 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app";
 import User from "../../models/User";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
 
 let mongoServer;
 let authToken;
@@ -24,8 +24,8 @@ beforeAll(async () => {
   ]);
 
   // Generate authentication tokens
-  authToken = jwt.sign({ id: testUsers[0]._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-  adminToken = jwt.sign({ id: testUsers[1]._id, role: "admin" }, process.env.JWT_SECRET, { expiresIn: "1h" });
+  authToken = issueAccessToken(testUsers[0], { expiresIn: "1h" });
+  adminToken = issueAccessToken(testUsers[1], { expiresIn: "1h" });
 });
 
 afterAll(async () => {
@@ -3,7 +3,7 @@ import mongoose from "mongoose";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import app from "../../app";
 import User from "../../models/User";
-import jwt from "jsonwebtoken";
+import { issueAccessToken } from "../../services/tokenService";
 
 let mongoServer;
 let testUser;
@@ -23,7 +23,7 @@ beforeAll(async () => {
   });
 
   // Generate authentication token
-  authToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+  authToken = issueAccessToken(testUser, { expiresIn: "1h" });
 });
 
 afterAll(async () => {
@@ -97,7 +97,7 @@ describe("GET /api/users/:userId - Retrieve User by ID", () => {
   });
 
   test("TC-008: API call with expired JWT token", async () => {
-    const expiredToken = jwt.sign({ id: testUser._id }, process.env.JWT_SECRET, { expiresIn: "1s" });
+    const expiredToken = issueAccessToken(testUser, { expiresIn: "1s" });
     await new Promise((resolve) => setTimeout(resolve, 2000)); // Wait for token to expire
 
     const res = await request(app).get(`/api/users/${testUser._id}`).set("Authorization", `Bearer ${expiredToken}`);
@@ -0,0 +1,150 @@
+/**
+ * @file roles_permissions.test.js
+ * @description Tests for role-based access control: the permission map, the moderator role
+ * and the admin endpoint for changing roles.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Comment from "../../models/Comment";
+import { issueAccessToken } from "../../services/tokenService";
+import { hasPermission, can } from "../../config/permissions";
+
+let mongoServer;
+let admin, moderator, member, post;
+let adminToken, moderatorToken, memberToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany();
+  await Post.deleteMany();
+  await Comment.deleteMany();
+
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+  moderator = await User.create({ name: "Mod", email: "mod@example.com", password: "Password123", role: "moderator" });
+  member = await User.create({ name: "Member", email: "member@example.com", password: "Password123" });
+  post = await Post.create({ author: member._id, content: "Hello" });
+
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+  moderatorToken = issueAccessToken(moderator, { expiresIn: "1h" });
+  memberToken = issueAccessToken(member, { expiresIn: "1h" });
+});
+
+const changeRole = (userId, role, token = adminToken) =>
+  request(app).patch(`/api/admin/users/${userId}/role`).set("Authorization", `Bearer ${token}`).send({ role });
+
+describe("Roles and permissions", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Roles grant their own permissions and those of lower roles", () => {
+    expect(hasPermission(member, "posts:delete:own")).toBe(true);
+    expect(hasPermission(member, "posts:delete:any")).toBe(false);
+    expect(hasPermission(moderator, "posts:delete:any")).toBe(true);
+    expect(hasPermission(moderator, "users:delete:any")).toBe(false);
+    expect(hasPermission(admin, "users:delete:any")).toBe(true);
+    expect(hasPermission(admin, "roles:assign")).toBe(true);
+  });
+
+  test("TC-002: The own scope applies only to the owner", () => {
+    expect(can(member, "posts:delete", member._id)).toBe(true);
+    expect(can(member, "posts:delete", admin._id)).toBe(false);
+    expect(can(moderator, "posts:delete", member._id)).toBe(true);
+  });
+
+  test("TC-003: An admin can change a user's role", async () => {
+    const res = await changeRole(member.id, "moderator");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.user.role).toBe("moderator");
+    expect((await User.findById(member._id)).role).toBe("moderator");
+  });
+
+  test("TC-004: A role change applies to existing tokens immediately", async () => {
+    const other = await User.create({ name: "Other", email: "other@example.com", password: "Password123" });
+    const otherPost = await Post.create({ author: other._id, content: "Moderate me" });
+
+    await changeRole(member.id, "moderator");
+
+    const res = await request(app).delete(`/api/posts/${otherPost._id}`).set("Authorization", `Bearer ${memberToken}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  test("TC-005: Moderators can delete any post and comment", async () => {
+    const comment = await Comment.create({ post: post._id, author: member._id, content: "Spam" });
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+    const commentRes = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set("Authorization", `Bearer ${moderatorToken}`);
+    expect(commentRes.statusCode).toBe(200);
+
+    const postRes = await request(app).delete(`/api/posts/${post._id}`).set("Authorization", `Bearer ${moderatorToken}`);
+    expect(postRes.statusCode).toBe(200);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-006: Moderators cannot delete other users' accounts", async () => {
+    const res = await request(app).delete(`/api/users/${member._id}`).set("Authorization", `Bearer ${moderatorToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Access denied");
+  });
+
+  test("TC-007: Moderators cannot edit other users' posts", async () => {
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set("Authorization", `Bearer ${moderatorToken}`)
+      .send({ content: "Edited" });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("TC-008: Users without `roles:assign` cannot change roles", async () => {
+    const res = await changeRole(member.id, "admin", moderatorToken);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("Access denied");
+    expect((await User.findById(member._id)).role).toBe("user");
+  });
+
+  test("TC-009: Unknown roles are rejected", async () => {
+    const res = await changeRole(member.id, "superuser");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Role must be one of: user, moderator, admin.");
+  });
+
+  test("TC-010: Admins cannot change their own role", async () => {
+    const res = await changeRole(admin.id, "user");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("You cannot change your own role.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-011: Changing the role of a missing user returns 404", async () => {
+    const res = await changeRole(new mongoose.Types.ObjectId().toString(), "moderator");
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("User not found.");
+  });
+
+  test("TC-012: Invalid user IDs are rejected", async () => {
+    const res = await changeRole("not-an-id", "moderator");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe("Invalid user ID.");
+  });
+});
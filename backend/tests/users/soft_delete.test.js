@@ -0,0 +1,263 @@
+/**
+ * @file soft_delete.test.js
+ * @description Tests for account deletion: the grace period, restoring an account by signing in,
+ * and the purge job that removes the account and everything referencing it.
+ */
+
+import request from "supertest";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import app from "../../app";
+import User from "../../models/User";
+import Post from "../../models/Post";
+import Comment from "../../models/Comment";
+import Reaction from "../../models/Reaction";
+import FollowRequest from "../../models/FollowRequest";
+import Follow from "../../models/Follow";
+import RefreshToken from "../../models/RefreshToken";
+import AuditLog from "../../models/AuditLog";
+import Conversation from "../../models/Conversation";
+import Message from "../../models/Message";
+import { issueAccessToken } from "../../services/tokenService";
+import { purgeAccount, purgeDeletedAccounts } from "../../services/accountDeletionService";
+import { createFollow } from "../../services/followService";
+import { getDeletionGracePeriodMs } from "../../config/accountDeletionPolicy";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let admin, alice, bob;
+let adminToken, aliceToken, bobToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+  await Promise.all([
+    User.deleteMany(),
+    Post.deleteMany(),
+    Comment.deleteMany(),
+    Reaction.deleteMany(),
+    FollowRequest.deleteMany(),
+    Follow.deleteMany(),
+    RefreshToken.deleteMany(),
+    Conversation.deleteMany(),
+    Message.deleteMany(),
+    // The model refuses deletes, so clear the collection directly
+    AuditLog.collection.deleteMany({}),
+  ]);
+
+  admin = await User.create({ name: "Admin", email: "admin@example.com", password: "Password123", role: "admin" });
+  alice = await User.create({ name: "Alice", email: "alice@example.com", password: "Password123" });
+  bob = await User.create({ name: "Bob", email: "bob@example.com", password: "Password123" });
+
+  adminToken = issueAccessToken(admin, { expiresIn: "1h" });
+  aliceToken = issueAccessToken(alice, { expiresIn: "1h" });
+  bobToken = issueAccessToken(bob, { expiresIn: "1h" });
+});
+
+const deleteAccount = (userId = alice.id, token = aliceToken) =>
+  request(app).delete(`/api/users/${userId}`).set("Authorization", `Bearer ${token}`);
+
+const signIn = (email = "alice@example.com", password = "Password123") =>
+  request(app).post("/api/auth/signin").send({ email, password });
+
+// Moves a pending deletion into the past, as if the grace period had ended
+const expireGracePeriod = (userId = alice._id) =>
+  User.updateOne({ _id: userId }, { "deletion.scheduledFor": new Date(Date.now() - 1000) });
+
+describe("Account deletion", () => {
+  // ✅ Positive Test Cases
+  test("TC-001: Deleting an account schedules it for deletion after the grace period", async () => {
+    const res = await deleteAccount();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe("Your account has been deleted");
+
+    const stored = await User.findById(alice._id);
+    expect(stored.deletion.requestedBy.toString()).toBe(alice.id);
+    expect(stored.deletion.scheduledFor - stored.deletion.requestedAt).toBe(30 * DAY_MS);
+  });
+
+  test("TC-002: A deleted account is signed out and hidden from other users", async () => {
+    const session = await signIn();
+
+    await deleteAccount();
+
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: session.body.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+    expect((await deleteAccount()).statusCode).toBe(401);
+
+    const profile = await request(app).get(`/api/users/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+    expect(profile.statusCode).toBe(404);
+
+    const list = await request(app).get("/api/users").set("Authorization", `Bearer ${bobToken}`);
+    expect(list.body.users.map((user) => user.email)).not.toContain("alice@example.com");
+  });
+
+  test("TC-003: Signing in during the grace period restores the account", async () => {
+    await deleteAccount();
+
+    const res = await signIn();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.accountRestored).toBe(true);
+    expect((await User.findById(alice._id)).deletion?.scheduledFor).toBeUndefined();
+    expect(await AuditLog.exists({ action: "user.restore", "target.id": alice._id })).toBeTruthy();
+  });
+
+  test("TC-004: The purge job removes the account and its follow edges, posts and reactions", async () => {
+    const alicePost = await Post.create({ author: alice._id, content: "Goodbye" });
+    const bobPost = await Post.create({ author: bob._id, content: "Hello", reactionCounts: { like: 1 }, commentCount: 1 });
+    await Reaction.create({ post: bobPost._id, user: alice._id, type: "like" });
+    await Comment.create({ post: bobPost._id, author: alice._id, content: "Nice" });
+    await createFollow(alice._id, bob._id);
+    await createFollow(bob._id, alice._id);
+
+    await deleteAccount();
+    await expireGracePeriod();
+    const purged = await purgeDeletedAccounts();
+
+    expect(purged.map(({ id }) => id.toString())).toEqual([alice.id]);
+    expect(await User.exists({ _id: alice._id })).toBeNull();
+    expect(await Post.exists({ _id: alicePost._id })).toBeNull();
+
+    const updatedBob = await User.findById(bob._id);
+    expect(updatedBob.followersCount).toBe(0);
+    expect(updatedBob.followingCount).toBe(0);
+    expect(await Follow.countDocuments()).toBe(0);
+
+    const updatedPost = await Post.findById(bobPost._id);
+    expect(updatedPost.reactionCounts.like).toBe(0);
+    expect(updatedPost.commentCount).toBe(0);
+    expect(await Comment.countDocuments({ author: alice._id })).toBe(0);
+    expect(await AuditLog.exists({ action: "user.purge", "target.id": alice._id })).toBeTruthy();
+  });
+
+  test("TC-005: The grace period is configurable", async () => {
+    process.env.ACCOUNT_DELETION_GRACE_DAYS = "7";
+
+    await deleteAccount();
+
+    const stored = await User.findById(alice._id);
+    expect(stored.deletion.scheduledFor - stored.deletion.requestedAt).toBe(7 * DAY_MS);
+  });
+
+  // ❌ Negative Test Cases
+  test("TC-006: The purge job leaves accounts still in their grace period", async () => {
+    await deleteAccount();
+
+    const purged = await purgeDeletedAccounts();
+
+    expect(purged).toHaveLength(0);
+    expect(await User.exists({ _id: alice._id })).toBeTruthy();
+  });
+
+  test("TC-007: An account deleted by an admin cannot be restored by signing in", async () => {
+    await deleteAccount(alice.id, adminToken);
+
+    const res = await signIn();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe("This account has been deleted.");
+    expect((await User.findById(alice._id)).deletion.scheduledFor).toBeDefined();
+  });
+
+  test("TC-008: Other users cannot follow a deleted account", async () => {
+    await deleteAccount();
+
+    const res = await request(app).post(`/api/follow/${alice._id}`).set("Authorization", `Bearer ${bobToken}`);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("User not found.");
+  });
+
+  // 🔄 Edge Cases
+  test("TC-009: Deleting an account that is already pending deletion returns 404", async () => {
+    await deleteAccount(alice.id, adminToken);
+
+    const res = await deleteAccount(alice.id, adminToken);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test("TC-010: A wrong password does not restore a deleted account", async () => {
+    await deleteAccount();
+
+    const res = await signIn("alice@example.com", "WrongPass123");
+
+    expect(res.statusCode).toBe(401);
+    expect((await User.findById(alice._id)).deletion.scheduledFor).toBeDefined();
+  });
+
+  test("TC-011: Invalid grace period settings fall back to 30 days", () => {
+    process.env.ACCOUNT_DELETION_GRACE_DAYS = "soon";
+
+    expect(getDeletionGracePeriodMs()).toBe(30 * DAY_MS);
+  });
+
+  test("TC-012: The purge removes only the account's own messages from a conversation", async () => {
+    const conversation = await Conversation.create({
+      participants: [alice._id, bob._id],
+      participantKey: Conversation.keyFor(alice._id, bob._id),
+    });
+    const bobMessage = await Message.create({ conversation: conversation._id, sender: bob._id, content: "Hi Alice" });
+    await Message.create({ conversation: conversation._id, sender: alice._id, content: "Hi Bob" });
+
+    await deleteAccount();
+    await expireGracePeriod();
+    await purgeDeletedAccounts();
+
+    const remaining = await Message.find({ conversation: conversation._id });
+    expect(remaining.map((message) => message.content)).toEqual(["Hi Alice"]);
+
+    const updated = await Conversation.findById(conversation._id);
+    expect(updated.participants.map(String)).toEqual([bob.id]);
+    expect(updated.lastMessage.toString()).toBe(bobMessage.id);
+  });
+
+  test("TC-013: Retrying a purge does not decrement reaction counts twice", async () => {
+    const bobPost = await Post.create({ author: bob._id, content: "Hello", reactionCounts: { like: 2 } });
+    await Reaction.create({ post: bobPost._id, user: alice._id, type: "like" });
+    await Reaction.create({ post: bobPost._id, user: bob._id, type: "like" });
+
+    // As if the first run had failed after its cleanup steps
+    await purgeAccount(alice);
+    await purgeAccount(alice);
+
+    expect((await Post.findById(bobPost._id)).reactionCounts.like).toBe(1);
+  });
+
+  test("TC-014: Retrying a purge that failed part way through the follow edges keeps counters right", async () => {
+    const carol = await User.create({ name: "Carol", email: "carol@example.com", password: "Password123" });
+    await createFollow(alice._id, bob._id);
+    await createFollow(bob._id, alice._id);
+    await createFollow(alice._id, carol._id);
+
+    // The first run loses its connection after removing one edge
+    const findOneAndDelete = Follow.findOneAndDelete.bind(Follow);
+    const spy = jest
+      .spyOn(Follow, "findOneAndDelete")
+      .mockImplementationOnce(findOneAndDelete)
+      .mockImplementationOnce(() => {
+        throw new Error("Connection lost");
+      });
+    await expect(purgeAccount(alice)).rejects.toThrow("Connection lost");
+    spy.mockRestore();
+    await purgeAccount(alice);
+
+    const updatedBob = await User.findById(bob._id);
+    expect(updatedBob.followersCount).toBe(0);
+    expect(updatedBob.followingCount).toBe(0);
+    expect((await User.findById(carol._id)).followersCount).toBe(0);
+    expect(await Follow.countDocuments()).toBe(0);
+  });
+});
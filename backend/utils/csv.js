@@ -0,0 +1,30 @@
+/**
+ * @description Quote a value for a CSV cell. Values that spreadsheets would run as formulas are prefixed with `'`.
+ * @param {*} value - Cell value; plain objects and arrays are written as JSON
+ * @returns {string} RFC 4180 quoted cell
+ */
+const toCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) text = JSON.stringify(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * @description Serialise rows as CSV with a header line
+ * @param {Object[]} rows - Plain objects
+ * @param {string[]} columns - Keys to write, in order (also used as the header)
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(toCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => toCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+};
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+/**
+ * @description Encode an opaque cursor pointing at a document in a reverse-chronological list
+ * @param {Object} doc - Document with `createdAt` and `_id` fields
+ * @returns {string} URL-safe cursor string
+ */
+export const encodeCursor = (doc) => {
+  return Buffer.from(`${doc.createdAt.getTime()}_${doc._id}`).toString("base64url");
+};
+
+/**
+ * @description Decode a cursor produced by `encodeCursor`
+ * @param {string} cursor - Cursor string from the client
+ * @returns {Object|null} `{ createdAt, id }` or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(String(cursor), "base64url").toString().split("_");
+  const createdAt = new Date(Number(timestamp));
+
+  if (!timestamp || isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * @description Build a query filter matching documents strictly older than the cursor
+ * @param {Object} cursor - Decoded cursor `{ createdAt, id }`
+ * @returns {Object} Mongoose filter, to be combined with a `{ createdAt: -1, _id: -1 }` sort
+ */
+export const olderThanCursor = ({ createdAt, id }) => ({
+  $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }],
+});
+
+/**
+ * @description Build a query filter matching documents strictly newer than the cursor
+ * @param {Object} cursor - Decoded cursor `{ createdAt, id }`
+ * @returns {Object} Mongoose filter, to be combined with a `{ createdAt: 1, _id: 1 }` sort
+ */
+export const newerThanCursor = ({ createdAt, id }) => ({
+  $or: [{ createdAt: { $gt: createdAt } }, { createdAt, _id: { $gt: id } }],
+});
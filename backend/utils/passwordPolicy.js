@@ -0,0 +1,28 @@
+/**
+ * @description Check a new password against the password rules shared by reset and change flows
+ * @param {string} password - Proposed password
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+export const validateNewPassword = (password) => {
+  if (!password) {
+    return "New password is required.";
+  }
+
+  if (typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters long.";
+  }
+
+  if (password.length > 64) {
+    return "Password is too long. Max length is 64 characters.";
+  }
+
+  // if (!/(?=.*[A-Z])(?=.*[a-z])(?=.*\d)(?=.*[@$!%*?&])/g.test(password)) {
+  //   return "Password is too weak. Use a mix of letters, numbers, and symbols.";
+  // }
+
+  if (/\s/.test(password)) {
+    return "Password cannot contain spaces.";
+  }
+
+  return null;
+};
@@ -0,0 +1,16 @@
+/**
+ * Query parameters that carry credentials and must never reach the logs
+ */
+const SECRET_QUERY_PARAMS = ["access_token"];
+
+/**
+ * @description Mask credential query parameters in a request URL before it is logged
+ * @param {string} url - Request URL, e.g. `req.originalUrl`
+ * @returns {string} The URL with each secret parameter's value replaced by `[REDACTED]`
+ */
+export const redactUrl = (url = "") => {
+  return SECRET_QUERY_PARAMS.reduce(
+    (redacted, param) => redacted.replace(new RegExp(`([?&]${param}=)[^&#]*`, "g"), "$1[REDACTED]"),
+    String(url)
+  );
+};
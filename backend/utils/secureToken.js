@@ -0,0 +1,18 @@
+import crypto from "crypto";
+
+/**
+ * @description Hash a single-use token for storage and lookup, so a leaked database row cannot be replayed
+ * @param {string} token - Raw token as sent to the user
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * @description Generate a random single-use token together with the hash to store
+ * @param {number} [bytes=32] - Amount of randomness
+ * @returns {Object} `{ token, tokenHash }`
+ */
+export const createSecureToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+};
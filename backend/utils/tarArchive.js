@@ -0,0 +1,73 @@
+import zlib from "zlib";
+import { promisify } from "util";
+
+const gzip = promisify(zlib.gzip);
+
+const BLOCK_SIZE = 512;
+
+/**
+ * @description Write a value into a header field as a zero-padded octal number followed by NUL
+ * @param {Buffer} header - Header block being built
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length including the terminator
+ * @param {number} value - Number to write
+ */
+const writeOctal = (header, offset, length, value) => {
+  header.write(`${value.toString(8).padStart(length - 1, "0")}\0`, offset, length, "ascii");
+};
+
+/**
+ * @description Build the 512-byte ustar header for a regular file
+ * @param {string} name - Path inside the archive (at most 100 bytes)
+ * @param {number} size - File size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} Header block
+ */
+const fileHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  header.write(name, 0, 100, "utf8");
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+  header.write("0", 156, 1, "ascii"); // Regular file
+  header.write("ustar\u000000", 257, 8, "ascii");
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(" ", 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8, "ascii");
+
+  return header;
+};
+
+/**
+ * @description Pack files into a gzip-compressed tar archive
+ * @param {Object[]} entries - `{ name, data }` where `data` is a Buffer or string; names must be at most 100 bytes
+ * @param {Date} [mtime] - Modification time recorded for every file (defaults to now)
+ * @returns {Promise<Buffer>} The `.tar.gz` archive
+ * @throws {Error} If a file name is too long for a tar header
+ */
+export const createTarGz = async (entries, mtime = new Date()) => {
+  const blocks = [];
+
+  for (const { name, data } of entries) {
+    if (Buffer.byteLength(name) > 100) {
+      throw new Error(`File name too long for the archive: ${name}`);
+    }
+
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    blocks.push(fileHeader(name, content.length, mtime), content);
+
+    // File data is padded to a whole number of blocks
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) blocks.push(Buffer.alloc(padding));
+  }
+
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return gzip(Buffer.concat(blocks));
+};
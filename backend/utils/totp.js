@@ -0,0 +1,109 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Time step in seconds and code length (RFC 6238 defaults, as used by authenticator apps).
+ */
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * @description Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+/**
+ * @description Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains characters outside the base32 alphabet
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+
+  let bits = "";
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @description Generate a new random TOTP secret
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * @description Compute the TOTP code for a time step (HOTP with HMAC-SHA1, RFC 4226/6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * @description Check a code against the current time step, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - `{ window, afterStep }`; codes at or before `afterStep` are rejected to prevent replay
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  if (typeof code !== "string" || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+/**
+ * @description Build the `otpauth://` URI authenticator apps read from a QR code
+ * @param {Object} params - `{ secret, accountName, issuer }`
+ * @returns {string} Key URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+};
@@ -0,0 +1,26 @@
+import { isFollowing } from "../services/followService.js";
+
+/**
+ * @description Check whether a viewer may see content owned by a user.
+ * Public accounts are visible to everyone; private accounts only to
+ * themselves and their followers. Users never see content from accounts
+ * that have blocked them.
+ * @param {Object} owner - The user document that owns the content (needs `isPrivate` and `blockedUsers`)
+ * @param {string} viewerId - ID of the authenticated user
+ * @returns {Promise<boolean>} True if the viewer may see the owner's content
+ */
+export const canViewUserContent = async (owner, viewerId) => {
+  if (owner._id.toString() === viewerId.toString()) return true;
+  if (owner.blockedUsers.includes(viewerId)) return false;
+  return !owner.isPrivate || isFollowing(viewerId, owner._id);
+};
+
+/**
+ * @description Check whether either of two users has blocked the other.
+ * @param {Object} userA - User document (needs `blockedUsers`)
+ * @param {Object} userB - User document (needs `blockedUsers`)
+ * @returns {boolean} True if a block exists in either direction
+ */
+export const isBlockedBetween = (userA, userB) => {
+  return userA.blockedUsers.includes(userB._id) || userB.blockedUsers.includes(userA._id);
+};
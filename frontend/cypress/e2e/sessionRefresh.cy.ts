@@ -0,0 +1,65 @@
+/**
+ * @file sessionRefresh.cy.ts
+ * @description Cypress E2E tests for refreshing an expired access token with the refresh token cookie.
+ */
+
+// Build an unsigned token the client can decode (the API is stubbed, so no signature is checked)
+const fakeToken = (exp: number) => ["e30", btoa(JSON.stringify({ sub: "12345", exp })), "signature"].join(".");
+
+const user = { id: "12345", email: "user@example.com", name: "John Doe" };
+
+const visitWithToken = (token: string) =>
+  cy.visit("/users", {
+    onBeforeLoad(win) {
+      win.localStorage.setItem("token", token);
+      win.localStorage.setItem("user", JSON.stringify(user));
+    },
+  });
+
+describe("Session Refresh", () => {
+  const validToken = fakeToken(Math.floor(Date.now() / 1000) + 3600);
+
+  beforeEach(() => {
+    // The stale token is rejected; only the rotated one is accepted
+    cy.intercept("GET", "**/api/users", (req) => {
+      if (req.headers.authorization === "Bearer refreshed_token") {
+        req.reply({ statusCode: 200, body: { users: [{ _id: "1", name: "Jane Smith", email: "jane@example.com" }] } });
+      } else {
+        req.reply({ statusCode: 401, body: { message: "Invalid token, authentication failed" } });
+      }
+    }).as("fetchUsers");
+  });
+
+  it("✅ Should refresh the access token on a 401 and retry the request", () => {
+    cy.intercept("POST", "**/api/auth/refresh", { statusCode: 200, body: { token: "refreshed_token" } }).as("refresh");
+
+    visitWithToken(validToken);
+    cy.wait("@refresh");
+
+    cy.contains("Jane Smith").should("be.visible");
+    cy.window().its("localStorage").invoke("getItem", "token").should("equal", "refreshed_token");
+  });
+
+  it("❌ Should clear the session when the refresh token is rejected", () => {
+    cy.intercept("POST", "**/api/auth/refresh", {
+      statusCode: 401,
+      body: { message: "Invalid or expired refresh token" },
+    }).as("refresh");
+
+    visitWithToken(validToken);
+    cy.wait("@refresh");
+
+    cy.window().its("localStorage").invoke("getItem", "token").should("be.null");
+    cy.window().its("localStorage").invoke("getItem", "user").should("be.null");
+  });
+
+  it("🔄 Should refresh an expired token on page load instead of signing out", () => {
+    cy.intercept("POST", "**/api/auth/refresh", { statusCode: 200, body: { token: "refreshed_token" } }).as("refresh");
+
+    visitWithToken(fakeToken(Math.floor(Date.now() / 1000) - 60));
+    cy.wait("@refresh");
+
+    cy.window().its("localStorage").invoke("getItem", "user").should("not.be.null");
+    cy.window().its("localStorage").invoke("getItem", "token").should("equal", "refreshed_token");
+  });
+});
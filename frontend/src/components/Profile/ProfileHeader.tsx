@@ -41,11 +41,11 @@ const ProfileHeader: React.FC<{ profile: any }> = ({ profile }) => {
       {/* Followers & Following Count */}
       <Box className="profile-stats">
         <Box className="stat-box">
-          <Typography className="stat-value">{profile.followers.length}</Typography>
+          <Typography className="stat-value">{profile.followersCount}</Typography>
           <Typography className="stat-label">Followers</Typography>
         </Box>
         <Box className="stat-box">
-          <Typography className="stat-value">{profile.following.length}</Typography>
+          <Typography className="stat-value">{profile.followingCount}</Typography>
           <Typography className="stat-label">Following</Typography>
         </Box>
       </Box>
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
 import { jwtDecode } from "jwt-decode";
 import { logoutUser } from "../services/userService";
+import { refreshAccessToken, SESSION_EXPIRED_EVENT } from "../services/api";
 
 // Define user type
 interface User {
@@ -32,7 +33,7 @@ export const useAuth = () => {
 // Type for decoded JWT token
 interface DecodedToken {
   exp: number; // Expiration time in seconds
-  id: string;
+  sub: string; // ID of the signed-in user
 }
 
 /**
@@ -58,15 +59,33 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
    * Retrieve credentials from localStorage on page reload
    */
   useEffect(() => {
-    const token = localStorage.getItem("token");
+    const token = localStorage.getItem("token") || sessionStorage.getItem("token");
     const storedUser = localStorage.getItem("user");
 
-    if (!token || !storedUser || isTokenExpired(token)) {
-      logout(); // Expired or missing token → log out
+    if (!token || !storedUser) {
+      clearCredentials(); // Missing token → log out
       return;
     }
 
-    setUser(JSON.parse(storedUser)); // Restore user data from localStorage
+    if (!isTokenExpired(token)) {
+      setUser(JSON.parse(storedUser)); // Restore user data from localStorage
+      return;
+    }
+
+    // Expired access token → try the refresh token cookie before logging out
+    refreshAccessToken()
+      .then(() => setUser(JSON.parse(storedUser)))
+      .catch(() => clearCredentials());
+  }, []);
+
+  /**
+   * Clear credentials when the API client can no longer refresh the session
+   */
+  useEffect(() => {
+    const handleSessionExpired = () => clearCredentials();
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
   }, []);
 
   /**
@@ -79,15 +98,23 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   };
 
   /**
-   * Delete credentials on logout
+   * Delete stored credentials
    */
-  const logout = () => {
-    logoutUser();
+  const clearCredentials = () => {
     localStorage.removeItem("token");
+    sessionStorage.removeItem("token");
     localStorage.removeItem("user");
     setUser(null);
   };
 
+  /**
+   * Delete credentials on logout
+   */
+  const logout = () => {
+    logoutUser();
+    clearCredentials();
+  };
+
   return <AuthContext.Provider value={{ user, authUser, logout }}>{children}</AuthContext.Provider>;
 };
 
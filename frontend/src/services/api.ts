@@ -3,23 +3,62 @@
  *
  * - Base URL is loaded from environment variables.
  * - Automatically attaches authentication headers.
+ * - Refreshes an expired access token once and retries the request.
  * - Handles API responses and errors globally.
  */
 
-import axios from "axios";
+import axios, { AxiosError, InternalAxiosRequestConfig } from "axios";
 import { API_URL } from "../config";
 
+/**
+ * Event dispatched on `window` when the session can no longer be refreshed.
+ */
+export const SESSION_EXPIRED_EVENT = "auth:session-expired";
+
 // Create an Axios instance with default settings
 const api = axios.create({
   baseURL: API_URL,
+  // Send and receive the HTTP-only refresh token cookie
+  withCredentials: true,
   headers: {
     "Content-Type": "application/json",
   },
 });
 
+/**
+ * Store a rotated access token where the current one is kept
+ * ("Remember me" sign-ins use localStorage, others sessionStorage).
+ */
+const storeToken = (token: string) => {
+  const storage = sessionStorage.getItem("token") && !localStorage.getItem("token") ? sessionStorage : localStorage;
+  storage.setItem("token", token);
+};
+
+// Shared by concurrent 401s so the refresh token is only rotated once
+let refreshRequest: Promise<string> | null = null;
+
+/**
+ * Exchange the refresh token cookie for a new access token.
+ * @returns Promise resolving the new access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios
+      .post(`${API_URL}/api/auth/refresh`, {}, { withCredentials: true })
+      .then((response) => {
+        storeToken(response.data.token);
+        return response.data.token as string;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Add an interceptor to include Authorization token in requests
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("token");
+  const token = localStorage.getItem("token") || sessionStorage.getItem("token");
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
@@ -29,7 +68,21 @@ api.interceptors.request.use((config) => {
 // Global response handler
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error: AxiosError) => {
+    const request = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+
+    // Auth endpoints answer 401 for bad credentials, not expired tokens
+    if (error.response?.status === 401 && request && !request._retried && !request.url?.startsWith("/api/auth/")) {
+      request._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch {
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      }
+    }
+
     console.error("API Error:", error.response?.data || error.message);
     return Promise.reject(error);
   }
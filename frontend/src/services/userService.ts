@@ -106,3 +106,9 @@ export const deleteUser = async (userId: string) => {
   const response = await api.delete(`/api/users/${userId}`);
   return response.data;
 };
+
+// Fetch posts authored by a user (newest first)
+export const getUserPosts = async (userId: string) => {
+  const response = await api.get(`/api/users/${userId}/posts`);
+  return response.data.posts;
+};